@@ -0,0 +1,164 @@
+/**
+ * MoniBot Discord - Admin HTTP API
+ *
+ * Operator routes mounted at /admin on the health server. Every request needs
+ * `Authorization: Bearer <ADMIN_API_TOKEN>`; without ADMIN_API_TOKEN set the
+ * routes are not mounted at all.
+ *
+ * GET  /admin/guilds                 Connected guilds and their config
+ * GET  /admin/commands/:id           A platform_commands row and its ledger tx
+ * GET  /admin/scheduled-jobs         Pending scheduled jobs
+ * GET  /admin/rpc                    RPC health per chain
+ * GET  /admin/status                 Maintenance and pause switches, and where the global pause came from
+ * POST /admin/payments/pause         { guildId? } - omit guildId for all guilds
+ * POST /admin/payments/resume        { guildId? }
+ * POST /admin/maintenance            { enabled, message? }
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import { getCommand, getTransactionsByHash, getUpcomingScheduledJobs } from './database.js';
+import { getGuildConfig, saveGuildSettings } from './guildConfig.js';
+import { checkRpcHealth } from './blockchain.js';
+import { getMaintenanceState, setMaintenance, setPaymentsPaused } from './maintenance.js';
+import { createLogger, redactString } from './logger.js';
+
+const log = createLogger('adminApi');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Compare bearer tokens in constant time
+ */
+function tokenMatches(given, expected) {
+  const a = crypto.createHash('sha256').update(given).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Middleware that only lets through `Authorization: Bearer <token>`.
+ * Also guards /metrics (METRICS_TOKEN).
+ */
+export function requireToken(token) {
+  return (req, res, next) => {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match || !tokenMatches(match[1].trim(), token)) {
+      log.warn(`🔒 Rejected unauthenticated request: ${req.method} ${req.originalUrl}`, { ip: req.ip });
+      res.status(401).json({ error: 'unauthorized' });
+      return;
+    }
+    next();
+  };
+}
+
+/**
+ * Wrap an async route so rejections become a 500 instead of an unhandled promise
+ */
+const route = (handler) => async (req, res) => {
+  try {
+    await handler(req, res);
+  } catch (err) {
+    log.error(`❌ Admin route ${req.method} ${req.path} failed:`, err.message);
+    res.status(500).json({ error: 'internal_error' });
+  }
+};
+
+/**
+ * Build the /admin router, or null if ADMIN_API_TOKEN is not set.
+ * @param {import('discord.js').Client} client
+ * @returns {import('express').Router|null}
+ */
+export function createAdminRouter(client) {
+  const token = process.env.ADMIN_API_TOKEN;
+  if (!token) {
+    log.info('🔒 ADMIN_API_TOKEN not set, admin API disabled');
+    return null;
+  }
+
+  const router = express.Router();
+  router.use(requireToken(token));
+  router.use(express.json());
+
+  router.get('/guilds', route(async (req, res) => {
+    const guilds = await Promise.all([...client.guilds.cache.values()].map(async (guild) => ({
+      id: guild.id,
+      name: guild.name,
+      memberCount: guild.memberCount,
+      config: await getGuildConfig(guild.id),
+    })));
+    res.json({ guilds });
+  }));
+
+  router.get('/commands/:id', route(async (req, res) => {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      res.status(400).json({ error: 'invalid_id' });
+      return;
+    }
+    const command = await getCommand(req.params.id);
+    if (!command) {
+      res.status(404).json({ error: 'not_found' });
+      return;
+    }
+    const transactions = command.result_tx_hash ? await getTransactionsByHash(command.result_tx_hash) : [];
+    res.json({ command, transactions });
+  }));
+
+  router.get('/scheduled-jobs', route(async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const jobs = await getUpcomingScheduledJobs(limit);
+    res.json({ jobs });
+  }));
+
+  router.get('/rpc', route(async (req, res) => {
+    const chains = await checkRpcHealth();
+    res.json({
+      chains: chains.map(chain => ({
+        ...chain,
+        activeRpc: redactString(chain.activeRpc),
+        rpcs: chain.rpcs.map(rpc => ({ ...rpc, url: redactString(rpc.url), error: rpc.error && redactString(rpc.error) })),
+      })),
+    });
+  }));
+
+  router.get('/status', (req, res) => {
+    res.json(getMaintenanceState());
+  });
+
+  const setPause = (paused) => route(async (req, res) => {
+    const guildId = req.body?.guildId;
+    if (!guildId) {
+      // Applied even if it can't be stored; the error says it won't survive a restart
+      const saved = await setPaymentsPaused(paused);
+      res.status(saved ? 200 : 500).json(saved ? getMaintenanceState() : { error: 'save_failed', ...getMaintenanceState() });
+      return;
+    }
+    if (!client.guilds.cache.has(guildId)) {
+      res.status(404).json({ error: 'unknown_guild' });
+      return;
+    }
+    const saved = await saveGuildSettings(guildId, { payments_paused: paused });
+    if (!saved) {
+      res.status(500).json({ error: 'save_failed' });
+      return;
+    }
+    log.warn(`⏸️ Payments ${paused ? 'paused' : 'resumed'} in guild ${guildId}`, { guildId });
+    res.json({ guildId, paymentsPaused: paused });
+  });
+
+  router.post('/payments/pause', setPause(true));
+  router.post('/payments/resume', setPause(false));
+
+  router.post('/maintenance', (req, res) => {
+    const { enabled, message } = req.body || {};
+    if (typeof enabled !== 'boolean') {
+      res.status(400).json({ error: 'enabled must be true or false' });
+      return;
+    }
+    setMaintenance(enabled, typeof message === 'string' ? message.substring(0, 500) : null);
+    res.json(getMaintenanceState());
+  });
+
+  return router;
+}
@@ -10,6 +10,9 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('ai');
 
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
 
@@ -24,18 +27,18 @@ export async function aiParseCommand(text, platform = 'discord') {
     });
 
     if (error) {
-      console.error('[AI] Parse error:', error.message);
+      log.error('[AI] Parse error:', error.message);
       return null;
     }
 
     if (data?.parsed) {
-      console.log(`[AI] Parsed: ${JSON.stringify(data.parsed)}`);
+      log.info(`[AI] Parsed: ${JSON.stringify(data.parsed)}`);
       return data.parsed;
     }
 
     return null;
   } catch (e) {
-    console.error('[AI] Parse exception:', e.message);
+    log.error('[AI] Parse exception:', e.message);
     return null;
   }
 }
@@ -50,13 +53,13 @@ export async function aiChat(text, username, platform = 'discord') {
     });
 
     if (error) {
-      console.error('[AI] Chat error:', error.message);
+      log.error('[AI] Chat error:', error.message);
       return null;
     }
 
     return data?.text || null;
   } catch (e) {
-    console.error('[AI] Chat exception:', e.message);
+    log.error('[AI] Chat exception:', e.message);
     return null;
   }
 }
@@ -88,13 +91,13 @@ export async function aiParseSchedule(text, platform = 'discord') {
     });
 
     if (error) {
-      console.error('[AI] Schedule parse error:', error.message);
+      log.error('[AI] Schedule parse error:', error.message);
       return null;
     }
 
     return data?.parsed || null;
   } catch (e) {
-    console.error('[AI] Schedule parse exception:', e.message);
+    log.error('[AI] Schedule parse exception:', e.message);
     return null;
   }
 }
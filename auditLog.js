@@ -0,0 +1,78 @@
+/**
+ * MoniBot Discord - Audit Log
+ *
+ * Posts one compact line per payment lifecycle event to the guild's audit
+ * channel (`!monibot config set auditchannel #mod-log`): commands created,
+ * executed, failed or rerouted, giveaways and raffles started and ended, and
+ * scheduled jobs run. Posting never throws and never pings anyone.
+ */
+
+import { getGuildConfig } from './guildConfig.js';
+import { getChain, getExplorerUrl } from './chains.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('auditLog');
+
+const EVENT_LABELS = {
+  created: '📝 Created',
+  executed: '✅ Executed',
+  failed: '❌ Failed',
+  rerouted: '🔄 Rerouted',
+  giveaway_started: '🎁 Giveaway started',
+  giveaway_ended: '🏁 Giveaway ended',
+  raffle_started: '🎟️ Raffle started',
+  raffle_drawn: '🏁 Raffle drawn',
+  scheduled_executed: '⏰ Scheduled job executed',
+  scheduled_failed: '⏰❌ Scheduled job failed',
+};
+
+/**
+ * One audit line, e.g.
+ * ✅ Executed · `p2p` · <@123> → @bob · $5.00 USDC on BASE · [tx](…) · cmd `9f1c…`
+ */
+function formatAuditEntry({ event, type, actorId, amount, chain, recipients, txHash, commandId, jobId, detail }) {
+  const parts = [`**${EVENT_LABELS[event] || event}**`];
+  if (type) parts.push(`\`${type}\``);
+  if (actorId) parts.push(`<@${actorId}>${recipients?.length ? ` → ${recipients.map(r => `@${r}`).join(', ').substring(0, 300)}` : ''}`);
+  if (amount !== undefined && amount !== null) {
+    const config = getChain(chain);
+    parts.push(`$${Number(amount).toFixed(2)}${config ? ` ${config.symbol} on ${config.name.toUpperCase()}` : ''}`);
+  }
+  if (detail) parts.push(detail.substring(0, 300));
+  if (txHash) parts.push(`[tx](<${getExplorerUrl(chain, txHash)}>)`);
+  if (commandId) parts.push(`cmd \`${commandId}\``);
+  if (jobId) parts.push(`job \`${jobId}\``);
+  return parts.join(' · ');
+}
+
+/**
+ * Post an event to the guild's audit channel, if one is set.
+ * Safe to call without awaiting.
+ *
+ * @param {import('discord.js').Guild} guild
+ * @param {object} entry
+ * @param {string} entry.event - Key of EVENT_LABELS
+ * @param {string} [entry.type] - Command type, e.g. 'p2p'
+ * @param {string} [entry.actorId] - Discord ID of whoever is paying
+ * @param {number} [entry.amount]
+ * @param {string} [entry.chain]
+ * @param {string[]} [entry.recipients] - MoniTags
+ * @param {string} [entry.txHash]
+ * @param {string} [entry.commandId] - platform_commands ID
+ * @param {string} [entry.jobId] - scheduled_jobs ID
+ * @param {string} [entry.detail] - Free text, e.g. a failure reason
+ */
+export async function logAudit(guild, entry) {
+  if (!guild) return;
+  try {
+    const { auditChannelId } = await getGuildConfig(guild.id);
+    if (!auditChannelId) return;
+
+    const channel = guild.channels.cache.get(auditChannelId) ?? await guild.channels.fetch(auditChannelId);
+    if (!channel?.isTextBased()) return;
+
+    await channel.send({ content: formatAuditEntry(entry), allowedMentions: { parse: [] } });
+  } catch (err) {
+    log.warn(`⚠️ [Audit] Could not post to audit channel in ${guild.id}: ${err.message}`);
+  }
+}
@@ -1,12 +1,18 @@
 /**
  * MoniBot Discord - Blockchain Module
  * Reuses the same MoniBotRouter contracts as the Twitter bot.
- * Supports Base, BSC, and Tempo.
+ * Chains come from the registry in chains.js. Executor transactions go through
+ * the per-chain queue in txQueue.js, which owns the executor nonce.
  */
 
-import { createPublicClient, createWalletClient, http, parseUnits, formatUnits, erc20Abi, encodeFunctionData } from 'viem';
-import { base, bsc } from 'viem/chains';
+import { createPublicClient, createWalletClient, http, parseUnits, formatUnits, erc20Abi, encodeFunctionData, parseAbiItem } from 'viem';
 import { privateKeyToAccount } from 'viem/accounts';
+import { getChain, getChainNames, DEFAULT_CHAIN } from './chains.js';
+import { submitTransaction, reserveTransfer, getPendingUnits } from './txQueue.js';
+import { executeP2PDuration, executeP2PFailures, rpcFailovers, errorCode } from './metrics.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('blockchain');
 
 // ============ ERC-8021 Builder Code (Base Only) ============
 
@@ -24,38 +30,6 @@ function appendBuilderCode(calldata) {
   return `${calldata}${generateBuilderCodeSuffix()}`;
 }
 
-// ============ Chain Configs ============
-
-const CHAIN_CONFIGS = {
-  base: {
-    chain: base,
-    rpcs: [process.env.BASE_RPC_URL, 'https://base-rpc.publicnode.com', 'https://base.drpc.org', 'https://mainnet.base.org'].filter(Boolean),
-    routerAddress: '0xbee37c2f3ce9a48d498fc0d47629a1e10356a516',
-    tokenAddress: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913',
-    decimals: 6,
-    symbol: 'USDC',
-    useBuilderCode: true,
-  },
-  bsc: {
-    chain: bsc,
-    rpcs: ['https://bsc-dataseed.binance.org', 'https://bsc-rpc.publicnode.com', 'https://bsc-dataseed1.defibit.io'],
-    routerAddress: '0x9eed16952d734dfc84b7c4e75e9a3228b42d832e',
-    tokenAddress: '0x55d398326f99059ff775485246999027b3197955',
-    decimals: 18,
-    symbol: 'USDT',
-    useBuilderCode: false,
-  },
-  tempo: {
-    chain: { id: 42431, name: 'Tempo Testnet', nativeCurrency: { name: 'USD', symbol: 'USD', decimals: 18 }, rpcUrls: { default: { http: ['https://rpc.moderato.tempo.xyz'] } } },
-    rpcs: [process.env.TEMPO_RPC_URL, 'https://rpc.moderato.tempo.xyz'].filter(Boolean),
-    routerAddress: '0x78a824fde7ee3e69b2e2ee52d1136eecd76749fc',
-    tokenAddress: '0x20c0000000000000000000000000000000000001',
-    decimals: 6,
-    symbol: 'αUSD',
-    useBuilderCode: false,
-  },
-};
-
 // ============ MoniBotRouter ABI ============
 
 const moniBotRouterAbi = [
@@ -68,10 +42,25 @@ const moniBotRouterAbi = [
 // ============ Client Factory ============
 
 // Track current RPC index per chain for failover
-const rpcIndexes = { base: 0, bsc: 0, tempo: 0 };
+const rpcIndexes = {};
+
+/**
+ * Read-only client on the chain's current RPC; needs no executor key
+ */
+function getPublicClient(chainName) {
+  const config = getChain(chainName);
+  if (!config) throw new Error(`Unsupported chain: ${chainName}`);
+
+  const rpcIdx = Math.min(rpcIndexes[chainName] || 0, config.rpcs.length - 1);
+  const publicClient = createPublicClient({
+    chain: config.chain,
+    transport: http(config.rpcs[rpcIdx], { retryCount: 3, retryDelay: 300 }),
+  });
+  return { publicClient, config };
+}
 
 function getClients(chainName) {
-  const config = CHAIN_CONFIGS[chainName];
+  const config = getChain(chainName);
   if (!config) throw new Error(`Unsupported chain: ${chainName}`);
 
   const rpcIdx = Math.min(rpcIndexes[chainName] || 0, config.rpcs.length - 1);
@@ -92,11 +81,28 @@ function getClients(chainName) {
 }
 
 function rotateRpc(chainName) {
-  const config = CHAIN_CONFIGS[chainName];
+  const config = getChain(chainName);
   if (!config) return;
   if ((rpcIndexes[chainName] || 0) < config.rpcs.length - 1) {
     rpcIndexes[chainName] = (rpcIndexes[chainName] || 0) + 1;
-    console.log(`  🔁 RPC failover [${chainName}] → ${config.rpcs[rpcIndexes[chainName]]}`);
+    log.info(`  🔁 RPC failover [${chainName}] → ${config.rpcs[rpcIndexes[chainName]]}`);
+    rpcFailovers.inc({ chain: chainName });
+  }
+}
+
+/**
+ * Run RPC reads, moving the chain to its next RPC when the endpoint itself
+ * failed (HTTP error or timeout) rather than the call
+ */
+async function withRpcFailover(chainName, read) {
+  try {
+    return await read();
+  } catch (err) {
+    const transportError = typeof err.walk === 'function'
+      ? err.walk(e => e.name === 'HttpRequestError' || e.name === 'TimeoutError')
+      : null;
+    if (transportError) rotateRpc(chainName);
+    throw err;
   }
 }
 
@@ -104,65 +110,98 @@ function rotateRpc(chainName) {
 
 /**
  * Execute a P2P transfer via MoniBotRouter
+ * @param {{ onSigned?: (hash: string) => Promise<void> }} [options] - onSigned
+ *   runs with the tx hash before it is broadcast; throwing from it cancels the
+ *   transfer. Use it to store the hash so a restart can look the transfer up
+ *   instead of sending it again.
  */
-export async function executeP2P(fromAddress, toAddress, amount, commandId, chainName = 'base') {
+export async function executeP2P(fromAddress, toAddress, amount, commandId, chainName = DEFAULT_CHAIN, { onSigned } = {}) {
+  const startedAt = Date.now();
+  try {
+    log.debug(`⛓️ executeP2P on ${chainName}`, { from: fromAddress, to: toAddress, amount, commandId });
+    const result = await sendP2PTransfer(fromAddress, toAddress, amount, commandId, chainName, onSigned);
+    executeP2PDuration.observe({ chain: chainName, outcome: 'success' }, (Date.now() - startedAt) / 1000);
+    log.info(`⛓️ executeP2P confirmed on ${chainName}`, { txHash: result.hash, amount, durationMs: Date.now() - startedAt });
+    return result;
+  } catch (error) {
+    executeP2PDuration.observe({ chain: chainName, outcome: 'failure' }, (Date.now() - startedAt) / 1000);
+    executeP2PFailures.inc({ chain: chainName, code: errorCode(error) });
+    log.warn(`⛓️ executeP2P failed on ${chainName}`, { code: errorCode(error), amount, durationMs: Date.now() - startedAt, error });
+    throw error;
+  }
+}
+
+async function sendP2PTransfer(fromAddress, toAddress, amount, commandId, chainName, onSigned) {
   const { publicClient, walletClient, config } = getClients(chainName);
   const amountInUnits = parseUnits(amount.toFixed(config.decimals), config.decimals);
 
   // Pre-flight checks
-  const [nonce, balance, allowance] = await Promise.all([
+  const [onchainNonce, balance, allowance] = await withRpcFailover(chainName, () => Promise.all([
     publicClient.readContract({ address: config.routerAddress, abi: moniBotRouterAbi, functionName: 'getNonce', args: [fromAddress] }),
     publicClient.readContract({ address: config.tokenAddress, abi: erc20Abi, functionName: 'balanceOf', args: [fromAddress] }),
     publicClient.readContract({ address: config.tokenAddress, abi: erc20Abi, functionName: 'allowance', args: [fromAddress, config.routerAddress] }),
-  ]);
+  ]));
 
-  if (balance < amountInUnits) {
-    throw new Error(`ERROR_BALANCE:Has ${formatUnits(balance, config.decimals)}, needs ${amount}`);
+  // Transfers from this sender that are still in flight have already spent part of the balance
+  const pendingUnits = getPendingUnits(chainName, fromAddress);
+  if (balance - pendingUnits < amountInUnits) {
+    throw new Error(`ERROR_BALANCE:Has ${formatUnits(balance - pendingUnits, config.decimals)}, needs ${amount}`);
   }
-  if (allowance < amountInUnits) {
-    throw new Error(`ERROR_ALLOWANCE:Approved ${formatUnits(allowance, config.decimals)}, needs ${amount}`);
+  if (allowance - pendingUnits < amountInUnits) {
+    throw new Error(`ERROR_ALLOWANCE:Approved ${formatUnits(allowance - pendingUnits, config.decimals)}, needs ${amount}`);
   }
 
-  // Calculate fee
-  const [fee] = await publicClient.readContract({ address: config.routerAddress, abi: moniBotRouterAbi, functionName: 'calculateFee', args: [amountInUnits] });
-  const feeAmount = parseFloat(formatUnits(fee, config.decimals));
-
-  // Encode and execute
-  let calldata = encodeFunctionData({
-    abi: moniBotRouterAbi,
-    functionName: 'executeP2P',
-    args: [fromAddress, toAddress, amountInUnits, nonce, `discord_${commandId}`],
-  });
-
-  if (config.useBuilderCode) {
-    calldata = appendBuilderCode(calldata);
+  // Reserve the router nonce right after the reads so concurrent transfers get consecutive ones
+  const reservation = reserveTransfer(chainName, fromAddress, onchainNonce, amountInUnits);
+  const { nonce } = reservation;
+  let sent = false;
+
+  try {
+    // Calculate fee
+    const [fee] = await publicClient.readContract({ address: config.routerAddress, abi: moniBotRouterAbi, functionName: 'calculateFee', args: [amountInUnits] });
+    const feeAmount = parseFloat(formatUnits(fee, config.decimals));
+
+    // Encode and execute
+    let calldata = encodeFunctionData({
+      abi: moniBotRouterAbi,
+      functionName: 'executeP2P',
+      args: [fromAddress, toAddress, amountInUnits, nonce, `discord_${commandId}`],
+    });
+
+    if (config.useBuilderCode) {
+      calldata = appendBuilderCode(calldata);
+    }
+
+    // Estimate against the on-chain nonce: a later nonce only becomes valid once earlier transfers are mined
+    const gas = await publicClient.estimateContractGas({
+      address: config.routerAddress,
+      abi: moniBotRouterAbi,
+      functionName: 'executeP2P',
+      args: [fromAddress, toAddress, amountInUnits, onchainNonce, `discord_${commandId}`],
+      account: walletClient.account?.address,
+    });
+
+    const hash = await submitTransaction(chainName, { publicClient, walletClient }, {
+      to: config.routerAddress,
+      data: calldata,
+      gas: gas + gas / 5n,
+    }, { beforeSend: reservation.beginBroadcast, onSigned });
+    sent = true;
+
+    const receipt = await publicClient.waitForTransactionReceipt({ hash });
+    if (receipt.status === 'reverted') {
+      throw new Error(`ERROR_REVERTED:Transaction reverted on-chain (${hash})`);
+    }
+    return { hash, fee: feeAmount };
+  } finally {
+    reservation.release(sent);
   }
-
-  const gas = await publicClient.estimateContractGas({
-    address: config.routerAddress,
-    abi: moniBotRouterAbi,
-    functionName: 'executeP2P',
-    args: [fromAddress, toAddress, amountInUnits, nonce, `discord_${commandId}`],
-    account: walletClient.account?.address,
-  });
-
-  const hash = await walletClient.sendTransaction({
-    to: config.routerAddress,
-    data: calldata,
-    gas: gas + gas / 5n,
-  });
-
-  const receipt = await publicClient.waitForTransactionReceipt({ hash });
-  if (receipt.status === 'reverted') {
-    throw new Error(`ERROR_REVERTED:Transaction reverted on-chain (${hash})`);
-  }
-  return { hash, fee: feeAmount };
 }
 
 /**
  * Execute a grant via MoniBotRouter
  */
-export async function executeGrant(toAddress, amount, campaignId, chainName = 'base') {
+export async function executeGrant(toAddress, amount, campaignId, chainName = DEFAULT_CHAIN) {
   const { publicClient, walletClient, config } = getClients(chainName);
   const amountInUnits = parseUnits(amount.toFixed(config.decimals), config.decimals);
 
@@ -199,7 +238,7 @@ export async function executeGrant(toAddress, amount, campaignId, chainName = 'b
     account: walletClient.account?.address,
   });
 
-  const hash = await walletClient.sendTransaction({
+  const hash = await submitTransaction(chainName, { publicClient, walletClient }, {
     to: config.routerAddress,
     data: calldata,
     gas: gas + gas / 5n,
@@ -215,21 +254,21 @@ export async function executeGrant(toAddress, amount, campaignId, chainName = 'b
 /**
  * Get token balance for an address
  */
-export async function getBalance(address, chainName = 'base') {
+export async function getBalance(address, chainName = DEFAULT_CHAIN) {
   const { publicClient, config } = getClients(chainName);
-  const balance = await publicClient.readContract({
+  const balance = await withRpcFailover(chainName, () => publicClient.readContract({
     address: config.tokenAddress,
     abi: erc20Abi,
     functionName: 'balanceOf',
     args: [address],
-  });
+  }));
   return { balance: parseFloat(formatUnits(balance, config.decimals)), symbol: config.symbol };
 }
 
 /**
  * Get the user's current approved spending amount for the Router
  */
-export async function getAllowance(address, chainName = 'base') {
+export async function getAllowance(address, chainName = DEFAULT_CHAIN) {
   const { publicClient, config } = getClients(chainName);
   const allowance = await publicClient.readContract({
     address: config.tokenAddress,
@@ -240,4 +279,135 @@ export async function getAllowance(address, chainName = 'base') {
   return parseFloat(formatUnits(allowance, config.decimals));
 }
 
-export { CHAIN_CONFIGS };
+/**
+ * Get token balance and Router allowance for an address in one round trip
+ */
+export async function getBalanceAndAllowance(address, chainName = DEFAULT_CHAIN) {
+  const { publicClient, config } = getClients(chainName);
+  const [balance, allowance] = await withRpcFailover(chainName, () => Promise.all([
+    publicClient.readContract({ address: config.tokenAddress, abi: erc20Abi, functionName: 'balanceOf', args: [address] }),
+    publicClient.readContract({ address: config.tokenAddress, abi: erc20Abi, functionName: 'allowance', args: [address, config.routerAddress] }),
+  ]));
+  return {
+    balance: parseFloat(formatUnits(balance, config.decimals)),
+    allowance: parseFloat(formatUnits(allowance, config.decimals)),
+    symbol: config.symbol,
+  };
+}
+
+/**
+ * Quote the router fee for a single transfer of `amount`
+ */
+export async function quoteFee(amount, chainName = DEFAULT_CHAIN) {
+  const { publicClient, config } = getClients(chainName);
+  const amountInUnits = parseUnits(amount.toFixed(config.decimals), config.decimals);
+  const [fee] = await publicClient.readContract({ address: config.routerAddress, abi: moniBotRouterAbi, functionName: 'calculateFee', args: [amountInUnits] });
+  return parseFloat(formatUnits(fee, config.decimals));
+}
+
+
+// ============ Deposits ============
+
+const transferEvent = parseAbiItem('event Transfer(address indexed from, address indexed to, uint256 value)');
+
+// Recipient addresses per eth_getLogs topic filter
+const TRANSFER_ADDRESS_CHUNK = 100;
+
+/**
+ * Latest block number on a chain
+ * @returns {Promise<bigint>}
+ */
+export async function getLatestBlockNumber(chainName) {
+  const { publicClient } = getPublicClient(chainName);
+  return withRpcFailover(chainName, () => publicClient.getBlockNumber());
+}
+
+/**
+ * Transfers of the chain's token into any of `addresses` in a block range
+ * (inclusive), oldest first.
+ * @param {string} chainName
+ * @param {string[]} addresses - Recipient wallets
+ * @param {bigint} fromBlock
+ * @param {bigint} toBlock
+ * @returns {Promise<Array<{ txHash: string, logIndex: number, blockNumber: bigint, from: string, to: string, amount: number }>>}
+ */
+export async function getTokenTransfersTo(chainName, addresses, fromBlock, toBlock) {
+  const { publicClient, config } = getPublicClient(chainName);
+  const transfers = [];
+
+  for (let i = 0; i < addresses.length; i += TRANSFER_ADDRESS_CHUNK) {
+    const logs = await withRpcFailover(chainName, () => publicClient.getLogs({
+      address: config.tokenAddress,
+      event: transferEvent,
+      args: { to: addresses.slice(i, i + TRANSFER_ADDRESS_CHUNK) },
+      fromBlock,
+      toBlock,
+    }));
+    for (const entry of logs) {
+      transfers.push({
+        txHash: entry.transactionHash,
+        logIndex: entry.logIndex,
+        blockNumber: entry.blockNumber,
+        from: entry.args.from.toLowerCase(),
+        to: entry.args.to.toLowerCase(),
+        amount: parseFloat(formatUnits(entry.args.value, config.decimals)),
+      });
+    }
+  }
+
+  return transfers.sort((a, b) => (a.blockNumber === b.blockNumber ? a.logIndex - b.logIndex : a.blockNumber < b.blockNumber ? -1 : 1));
+}
+
+/**
+ * The contract or account a transaction was sent to (lowercase), or null for
+ * contract creations
+ */
+export async function getTransactionTarget(chainName, txHash) {
+  const { publicClient } = getPublicClient(chainName);
+  const tx = await withRpcFailover(chainName, () => publicClient.getTransaction({ hash: txHash }));
+  return tx.to ? tx.to.toLowerCase() : null;
+}
+
+/**
+ * Outcome of a transaction sent earlier: 'success' or 'reverted' once mined,
+ * null while there is no receipt (still pending, dropped or never broadcast)
+ */
+export async function getTransactionStatus(chainName, txHash) {
+  const { publicClient } = getPublicClient(chainName);
+  try {
+    const receipt = await withRpcFailover(chainName, () => publicClient.getTransactionReceipt({ hash: txHash }));
+    return receipt.status;
+  } catch (err) {
+    if (err.name === 'TransactionReceiptNotFoundError') return null;
+    throw err;
+  }
+}
+
+// ============ RPC Health ============
+
+const RPC_HEALTH_TIMEOUT_MS = 5000;
+
+/**
+ * Probe every configured RPC with eth_blockNumber.
+ * @returns {Promise<Array<{ chain: string, activeRpc: string, rpcs: Array<{ url: string, ok: boolean, blockNumber?: string, latencyMs?: number, error?: string }> }>>}
+ */
+export async function checkRpcHealth() {
+  return Promise.all(getChainNames().map(async (chainName) => {
+    const config = getChain(chainName);
+    const rpcs = await Promise.all(config.rpcs.map(async (url) => {
+      const client = createPublicClient({
+        chain: config.chain,
+        transport: http(url, { retryCount: 0, timeout: RPC_HEALTH_TIMEOUT_MS }),
+      });
+      const startedAt = Date.now();
+      try {
+        const blockNumber = await client.getBlockNumber();
+        return { url, ok: true, blockNumber: blockNumber.toString(), latencyMs: Date.now() - startedAt };
+      } catch (err) {
+        return { url, ok: false, latencyMs: Date.now() - startedAt, error: err.shortMessage || err.message };
+      }
+    }));
+    const activeIdx = Math.min(rpcIndexes[chainName] || 0, config.rpcs.length - 1);
+    return { chain: chainName, activeRpc: config.rpcs[activeIdx], rpcs };
+  }));
+}
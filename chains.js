@@ -0,0 +1,216 @@
+/**
+ * MoniBot Discord - Chain Registry
+ *
+ * Single source of truth for every supported chain: RPCs, MoniBotRouter and
+ * token addresses, decimals, symbols, explorer links and the words users type
+ * to pick a chain. Every other module reads chain facts from here.
+ *
+ * Built-in chains are Base, BSC and Tempo. The registry can be changed
+ * without code changes:
+ * - CHAINS_CONFIG_FILE  path to a JSON file
+ * - CHAINS_CONFIG       inline JSON
+ *   Both map chain name → fields. Fields are merged over the built-in entry of
+ *   the same name, so `{ "bsc": { "rpcs": [...] } }` only swaps RPCs. A new
+ *   name adds a chain (it needs every field below); `null` removes one.
+ * - <NAME>_RPC_URL      preferred RPC for that chain, e.g. BASE_RPC_URL
+ * - DEFAULT_CHAIN       chain used when a command names none (first chain otherwise)
+ */
+
+import fs from 'fs';
+import { defineChain } from 'viem';
+import * as viemChains from 'viem/chains';
+
+// ============ Built-in Chains ============
+
+const BUILT_IN_CHAINS = {
+  base: {
+    displayName: 'Base',
+    viemChain: 'base',
+    rpcs: ['https://base-rpc.publicnode.com', 'https://base.drpc.org', 'https://mainnet.base.org'],
+    // Addresses lowercase to avoid checksum errors
+    routerAddress: '0xbee37c2f3ce9a48d498fc0d47629a1e10356a516',
+    tokenAddress: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913',
+    decimals: 6,
+    symbol: 'USDC',
+    useBuilderCode: true,
+    explorerTxUrl: 'https://basescan.org/tx/',
+    keywords: ['usdc', 'base'],
+  },
+  bsc: {
+    displayName: 'BSC',
+    viemChain: 'bsc',
+    rpcs: ['https://bsc-dataseed.binance.org', 'https://bsc-rpc.publicnode.com', 'https://bsc-dataseed1.defibit.io'],
+    routerAddress: '0x9eed16952d734dfc84b7c4e75e9a3228b42d832e',
+    tokenAddress: '0x55d398326f99059ff775485246999027b3197955',
+    decimals: 18,
+    symbol: 'USDT',
+    useBuilderCode: false,
+    explorerTxUrl: 'https://bscscan.com/tx/',
+    keywords: ['usdt', 'bsc', 'bnb'],
+  },
+  tempo: {
+    displayName: 'Tempo',
+    chainId: 42431,
+    networkName: 'Tempo Testnet',
+    nativeCurrency: { name: 'USD', symbol: 'USD', decimals: 18 },
+    rpcs: ['https://rpc.moderato.tempo.xyz'],
+    routerAddress: '0x78a824fde7ee3e69b2e2ee52d1136eecd76749fc',
+    tokenAddress: '0x20c0000000000000000000000000000000000001',
+    decimals: 6,
+    symbol: 'αUSD',
+    useBuilderCode: false,
+    explorerTxUrl: 'https://explore.tempo.xyz/tx/',
+    keywords: ['tempo', 'alphausd', 'αusd'],
+  },
+};
+
+const REQUIRED_FIELDS = ['displayName', 'rpcs', 'routerAddress', 'tokenAddress', 'decimals', 'symbol', 'explorerTxUrl'];
+
+// ============ Loading ============
+
+function readOverrides() {
+  const overrides = {};
+  const sources = [];
+
+  if (process.env.CHAINS_CONFIG_FILE) {
+    sources.push([process.env.CHAINS_CONFIG_FILE, fs.readFileSync(process.env.CHAINS_CONFIG_FILE, 'utf8')]);
+  }
+  if (process.env.CHAINS_CONFIG) {
+    sources.push(['CHAINS_CONFIG', process.env.CHAINS_CONFIG]);
+  }
+
+  for (const [source, json] of sources) {
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch (err) {
+      throw new Error(`Invalid chain registry JSON in ${source}: ${err.message}`);
+    }
+    Object.assign(overrides, parsed);
+  }
+  return overrides;
+}
+
+/**
+ * Build the viem chain definition for a registry entry.
+ * `viemChain` names an export of viem/chains; otherwise chainId is required.
+ */
+function toViemChain(name, entry) {
+  if (entry.viemChain) {
+    const chain = viemChains[entry.viemChain];
+    if (!chain) throw new Error(`Chain "${name}": unknown viemChain "${entry.viemChain}"`);
+    return chain;
+  }
+  if (!entry.chainId) throw new Error(`Chain "${name}": set either viemChain or chainId`);
+
+  return defineChain({
+    id: entry.chainId,
+    name: entry.networkName || entry.displayName,
+    nativeCurrency: entry.nativeCurrency || { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: { default: { http: entry.rpcs } },
+  });
+}
+
+function loadRegistry() {
+  const merged = { ...BUILT_IN_CHAINS };
+  for (const [name, entry] of Object.entries(readOverrides())) {
+    const key = name.toLowerCase();
+    if (entry === null) {
+      delete merged[key];
+    } else {
+      merged[key] = { ...merged[key], ...entry };
+    }
+  }
+
+  const registry = {};
+  for (const [name, entry] of Object.entries(merged)) {
+    const missing = REQUIRED_FIELDS.filter(field => entry[field] === undefined);
+    if (missing.length) throw new Error(`Chain "${name}" is missing: ${missing.join(', ')}`);
+
+    const envRpc = process.env[`${name.toUpperCase()}_RPC_URL`];
+    const rpcs = [...new Set([envRpc, ...entry.rpcs].filter(Boolean))];
+    if (!rpcs.length) throw new Error(`Chain "${name}" has no RPC URLs`);
+
+    registry[name] = {
+      ...entry,
+      name,
+      rpcs,
+      routerAddress: entry.routerAddress.toLowerCase(),
+      tokenAddress: entry.tokenAddress.toLowerCase(),
+      useBuilderCode: Boolean(entry.useBuilderCode),
+      keywords: (entry.keywords || [name]).map(kw => kw.toLowerCase()),
+      chain: toViemChain(name, { ...entry, rpcs }),
+    };
+  }
+
+  if (!Object.keys(registry).length) throw new Error('Chain registry is empty');
+  return registry;
+}
+
+export const CHAINS = loadRegistry();
+
+export const DEFAULT_CHAIN = CHAINS[process.env.DEFAULT_CHAIN?.toLowerCase()]
+  ? process.env.DEFAULT_CHAIN.toLowerCase()
+  : Object.keys(CHAINS)[0];
+
+// ============ Lookups ============
+
+/**
+ * Get a chain's registry entry, or null if unsupported
+ * @param {string} name
+ */
+export function getChain(name) {
+  return CHAINS[name?.toLowerCase()] || null;
+}
+
+/**
+ * Names of every supported chain, in registry order
+ */
+export function getChainNames() {
+  return Object.keys(CHAINS);
+}
+
+/**
+ * Explorer link for a transaction (falls back to the default chain's explorer)
+ */
+export function getExplorerUrl(chain, txHash) {
+  const config = getChain(chain) || CHAINS[DEFAULT_CHAIN];
+  return `${config.explorerTxUrl}${txHash}`;
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest first so "alphausd" wins over a shorter keyword inside it
+const KEYWORD_ENTRIES = Object.values(CHAINS)
+  .flatMap(config => config.keywords.map(keyword => ({ keyword, chain: config.name })))
+  .sort((a, b) => b.keyword.length - a.keyword.length);
+
+/**
+ * Regex source matching any chain keyword (token symbols and chain names),
+ * for use inside command patterns like "send $5 usdt to @alice".
+ */
+export const CHAIN_KEYWORD_PATTERN = KEYWORD_ENTRIES.map(e => escapeRegExp(e.keyword)).join('|');
+
+// Whole words only, and never part of a MoniTag like @base-fan
+const KEYWORD_REGEX = new RegExp(`(?<![\\p{L}\\p{N}_@-])(${CHAIN_KEYWORD_PATTERN})(?![\\p{L}\\p{N}_-])`, 'iu');
+
+/**
+ * Find the chain named in free text by its keywords.
+ * The first keyword in the text wins.
+ * @param {string} text
+ * @returns {string|null} Chain name, or null if no chain is named
+ */
+export function findChainInText(text) {
+  const match = text.match(KEYWORD_REGEX);
+  if (!match) return null;
+  return KEYWORD_ENTRIES.find(e => e.keyword === match[1].toLowerCase()).chain;
+}
+
+/**
+ * One-line summary of how to pick each chain, e.g. for help text
+ */
+export function describeChainKeywords() {
+  return Object.values(CHAINS)
+    .map(c => `\`${c.keywords[0]}\` for ${c.displayName} (${c.symbol})`)
+    .join(', ');
+}
@@ -3,27 +3,104 @@
  * 
  * Parses Discord messages into structured commands.
  * Supports:
- * - !monibot send $5 to @alice
- * - !monibot send $1 each to @alice, @bob, @charlie
+ * - !monibot send $5 to @alice (MoniTag) or to <@123> (Discord mention)
+ * - !monibot send $1 each to @alice, @bob, @charlie [all-or-nothing]
  * - !monibot giveaway $5 to the first 5 people who drop their monitag
- * - !monibot balance
+ * - !monibot balance [all|<chain>]
  * - !monibot help
  * - !monibot link (show linking instructions)
+ * - !monibot threshold $20 (confirm payments above $20)
+ * - !monibot request $5 from @bob for lunch
+ * - !monibot requests
+ * - !monibot split $30 between @alice @bob @me [for dinner] (custom shares: @alice:12)
+ * - !monibot tips ☕ $1 / tips remove ☕ / tips cap $20 / tips
+ * - !monibot config / config set <key> <value> / config reset <key> / config enable|disable <group>
+ * - !monibot history [sent|received] [chain] [export]
+ *
+ * Chain keywords (usdt, tempo, ...) come from the chain registry in chains.js.
  */
 
+import { DEFAULT_CHAIN, CHAIN_KEYWORD_PATTERN, getChain, findChainInText, describeChainKeywords } from './chains.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('commands');
+
 // ============ Command Patterns ============
 
+// A recipient is a typed MoniTag (@alice) or a Discord mention (<@123>, <@!123>)
+const RECIPIENT = String.raw`(@\w[\w-]*|<@!?\d+>)`;
+
+// Optional token or chain word after an amount: "send $5 usdt to @alice"
+const UNIT = `(?:${CHAIN_KEYWORD_PATTERN})?`;
+
 // P2P: "send $5 to @alice" or "pay $5 to @alice"
-const P2P_SINGLE = /(?:send|pay)\s+\$?([\d.]+)\s+(?:usdc|usdt|alphausd|αusd)?\s*(?:to\s+)?@(\w[\w-]*)/i;
+const P2P_SINGLE = new RegExp(String.raw`(?:send|pay)\s+\$?([\d.]+)\s+${UNIT}\s*(?:to\s+)?${RECIPIENT}`, 'i');
 
 // Multi-send: "send $1 each to @alice, @bob, @charlie" or "send $1 each to @alice and @bob"
-const P2P_MULTI = /(?:send|pay)\s+\$?([\d.]+)\s*(?:usdc|usdt|alphausd|αusd)?\s*each\s+to\s+(.*)/i;
+const P2P_MULTI = new RegExp(String.raw`(?:send|pay)\s+\$?([\d.]+)\s*${UNIT}\s*each\s+to\s+(.*)`, 'i');
+
+// Multi-send flag: send nothing unless every recipient resolves
+const ALL_OR_NOTHING = /\ball[\s-]or[\s-]nothing\b|\bstrict\b/i;
 
 // Giveaway: "giveaway $5 to the first 5 people who drop their monitag"
-const GIVEAWAY = /giveaway\s+\$?([\d.]+)\s*(?:usdc|usdt|alphausd|αusd)?\s*(?:to\s+)?(?:the\s+)?(?:first\s+)?(\d+)\s*(?:people|users|tags|monitags)?/i;
+const GIVEAWAY = new RegExp(String.raw`giveaway\s+\$?([\d.]+)\s*${UNIT}\s*(?:to\s+)?(?:the\s+)?(?:first\s+)?(\d+)\s*(?:people|users|tags|monitags)?`, 'i');
+
+// Raffle: "raffle $10 to 3 winners in 1h" ($10 each, drawn at random when it closes)
+const RAFFLE = new RegExp(String.raw`^raffle\s+\$?([\d.]+)\s*${UNIT}\s*(?:each\s+)?(?:to|for|between)?\s*(\d+)?\s*(?:winners?|people|users)?(?:\s+(?:in|for|ends?\s+in)\s+(\d+)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?))?\s*$`, 'i');
+const RAFFLE_DURATION_MS = { m: 60000, h: 3600000, d: 86400000 };
 
 // Drop: "send $1 to the first 5 people who drop their monitag" (giveaway via send command)
-const DROP = /(?:send|pay)\s+\$?([\d.]+)\s*(?:usdc|usdt|alphausd|αusd)?\s*(?:to\s+)?(?:the\s+)?first\s+(\d+)?\s*(?:person|people|users?|tags?|monitags?)?(?:\s+(?:who|to)\s+)?/i;
+const DROP = new RegExp(String.raw`(?:send|pay)\s+\$?([\d.]+)\s*${UNIT}\s*(?:to\s+)?(?:the\s+)?first\s+(\d+)?\s*(?:person|people|users?|tags?|monitags?)?(?:\s+(?:who|to)\s+)?`, 'i');
+
+// Confirmation threshold: "threshold $20" or "threshold server $100"
+const CONFIRM_THRESHOLD = /(?:confirm(?:ation)?\s+)?threshold\s+(server\s+)?\$?([\d.]+)/i;
+
+// Payment request: "request $5 from @bob for lunch"
+const REQUEST = new RegExp(String.raw`^request\s+\$?([\d.]+)\s*${UNIT}\s*from\s+${RECIPIENT}(?:\s+for\s+(.+))?`, 'i');
+
+// Payment request listing
+const REQUESTS = /^requests\b/i;
+
+// Split the bill: "split $30 between @alice @bob @me for dinner", custom shares "@alice:12"
+const SPLIT = new RegExp(String.raw`^split\s+\$?([\d.]+)\s*${UNIT}\s*(?:between|among|with)\s+(.+?)(?:\s+for\s+(.+))?$`, 'i');
+const SPLIT_PARTICIPANT = /(<@!?\d+>|@\w[\w-]*)(?::\$?([\d.]+))?/g;
+
+// Bounties: "bounty $50 for fixing the login bug expires in 7 days", "award <id> @alice:30 @bob",
+// "bounty cancel <id>", "bounties"
+const BOUNTY_POST = new RegExp(String.raw`^bounty\s+\$?([\d.]+)\s*${UNIT}\s+(?:for|to)\s+(.+?)(?:\s+(?:expires?|ends?)\s+(?:in\s+)?(\d+)\s*(h|hours?|d|days?|w|weeks?))?$`, 'i');
+const BOUNTY_CANCEL = /^bounty\s+cancel\s+([0-9a-f-]{6,36})\s*$/i;
+const BOUNTY_AWARD = /^award\s+([0-9a-f-]{6,36})\s+(?:to\s+)?(.+)$/i;
+const BOUNTY_LIST = /^(?:bounties|bounty\s+board)\s*$/i;
+const BOUNTY_DURATION_MS = { h: 3600000, d: 86400000, w: 7 * 86400000 };
+
+// Reaction tip config: "tips ☕ $1", "tips remove ☕", "tips cap $20", "tips"
+const TIPS_CAP = /^tips?\s+cap\s+\$?([\d.]+)\s*$/i;
+const TIPS_REMOVE = /^tips?\s+(?:remove|delete)\s+(\S+)\s*$/i;
+const TIPS_SET = /^tips?\s+(?:set\s+)?(\S+)\s+\$?([\d.]+)\s*$/i;
+const TIPS_LIST = /^tips?\s*$/i;
+
+// Guild config: "config", "config set chain bsc", "config reset max", "config disable giveaway"
+const CONFIG_SET = /^config\s+set\s+(\w+)\s+(.+)$/i;
+const CONFIG_RESET = /^config\s+reset\s+(\w+)\s*$/i;
+const CONFIG_TOGGLE = /^config\s+(enable|disable)\s+(\w+)\s*$/i;
+const CONFIG_VIEW = /^config\s*$/i;
+
+// Transaction history: "history", "history sent bsc", "history export"
+const HISTORY = /^history\b(.*)$/i;
+
+// Scheduled jobs: "scheduled", "cancel <jobId>", "reschedule <jobId> tomorrow at 3pm"
+const SCHEDULED_LIST = /^scheduled\s*$/i;
+const SCHEDULED_CANCEL = /^cancel\s+([0-9a-f-]{6,36})\s*$/i;
+const SCHEDULED_RESCHEDULE = /^reschedule\s+([0-9a-f-]{6,36})\s+(.+)$/i;
+
+// Spending limits: "limits", "limits daily $50 per-tx $20", "limits daily none", "limits off"
+const LIMITS = /^limits?\b(.*)$/i;
+const LIMITS_DAILY = /\bdaily\s+(\$?[\d.]+|none|off)/i;
+const LIMITS_PER_TX = /\bper[\s-]?(?:tx|transaction|payment)\s+(\$?[\d.]+|none|off)/i;
+const LIMITS_OFF = /^\s*(?:off|none|clear|reset)\s*$/i;
+
+// Payment receipt DMs: "receipts", "receipts off", "receipts on"
+const RECEIPTS = /^receipts?(?:\s+(on|off))?\s*$/i;
 
 // Balance check
 const BALANCE = /balance/i;
@@ -37,28 +114,40 @@ const SETUP = /setup/i;
 // Link
 const LINK = /link/i;
 
-// Network detection
-const BSC_KEYWORDS = ['usdt', 'bnb', 'bsc'];
-const TEMPO_KEYWORDS = ['on tempo', 'tempo', 'alphausd', 'αusd'];
-
 /**
  * Detect which chain the command targets
  */
-function detectChain(text) {
-  const lower = text.toLowerCase();
-  if (TEMPO_KEYWORDS.some(kw => lower.includes(kw))) return 'tempo';
-  if (BSC_KEYWORDS.some(kw => lower.includes(kw))) return 'bsc';
-  return 'base';
+function detectChain(text, defaultChain = DEFAULT_CHAIN) {
+  return findChainInText(text) || defaultChain;
+}
+
+const RESERVED_TAGS = ['monibot', 'monipay', 'everyone', 'here'];
+
+/**
+ * Normalize a recipient token: MoniTags become lowercase without the @,
+ * Discord mentions become <@id>.
+ */
+export function normalizeRecipient(token) {
+  const mention = token.match(/^<@!?(\d+)>$/);
+  if (mention) return `<@${mention[1]}>`;
+  return token.trim().replace(/^@/, '').toLowerCase();
 }
 
 /**
- * Extract @mentions from text
+ * Get the Discord user ID from a normalized mention token, or null for a MoniTag
  */
-function extractMoniTags(text) {
-  const matches = text.match(/@(\w[\w-]*)/g) || [];
+export function getMentionId(recipient) {
+  return recipient.match(/^<@(\d+)>$/)?.[1] || null;
+}
+
+/**
+ * Extract MoniTags and Discord mentions from text, in order
+ */
+export function extractRecipients(text) {
+  const matches = text.match(/<@!?\d+>|@\w[\w-]*/g) || [];
   return matches
-    .map(m => m.slice(1).toLowerCase())
-    .filter(m => m !== 'monibot' && m !== 'monipay' && m !== 'everyone' && m !== 'here');
+    .map(normalizeRecipient)
+    .filter(m => !RESERVED_TAGS.includes(m));
 }
 
 // ============ Schedule Detection via Edge Function ============
@@ -75,7 +164,7 @@ export async function parseScheduleViaEdge(text, supabase) {
     });
 
     if (error) {
-      console.error('[Schedule] Edge function error:', error.message);
+      log.error('[Schedule] Edge function error:', error.message);
       return parseSimpleScheduleFallback(text);
     }
 
@@ -91,7 +180,7 @@ export async function parseScheduleViaEdge(text, supabase) {
 
     return null;
   } catch (e) {
-    console.error('[Schedule] Edge function exception:', e.message);
+    log.error('[Schedule] Edge function exception:', e.message);
     return parseSimpleScheduleFallback(text);
   }
 }
@@ -130,14 +219,181 @@ export function parseSimpleSchedule(text) {
 /**
  * Parse a Discord message into a structured command
  * @param {string} text - Message content
+ * @param {{ defaultChain?: string }} [options] - Chain used when the text names none
  * @returns {object|null} Parsed command or null
  */
-export function parseCommand(text) {
-  // Remove the !monibot prefix (or @MoniBot mention)
-  const cleaned = text.replace(/^!monibot\s*/i, '').replace(/<@!\d+>\s*/g, '').trim();
+export function parseCommand(text, { defaultChain = DEFAULT_CHAIN } = {}) {
+  // Remove the !monibot prefix (or a leading @MoniBot mention); other mentions are recipients
+  const cleaned = text.replace(/^!monibot\s*/i, '').replace(/^<@!?\d+>\s*/, '').trim();
 
   if (!cleaned) return null;
 
+  // Payment requests (anchored, so they can't be confused with a send)
+  const requestMatch = cleaned.match(REQUEST);
+  if (requestMatch) {
+    const memo = requestMatch[3]?.trim() || null;
+    return {
+      type: 'request',
+      amount: parseFloat(requestMatch[1]),
+      recipients: [normalizeRecipient(requestMatch[2])],
+      memo,
+      // Ignore the memo so "for tempo tickets" doesn't switch chains
+      chain: detectChain(memo ? cleaned.slice(0, cleaned.length - memo.length) : cleaned, defaultChain),
+      raw: cleaned,
+    };
+  }
+
+  if (REQUESTS.test(cleaned)) {
+    return { type: 'requests', raw: cleaned };
+  }
+
+  // Split the bill; @me is the organizer, share is null unless given as @tag:amount
+  const splitMatch = cleaned.match(SPLIT);
+  if (splitMatch) {
+    const participants = [...splitMatch[2].matchAll(SPLIT_PARTICIPANT)]
+      .map(m => ({ recipient: normalizeRecipient(m[1]), share: m[2] ? parseFloat(m[2]) : null }))
+      .filter(p => !RESERVED_TAGS.includes(p.recipient));
+    if (participants.length > 0) {
+      const memo = splitMatch[3]?.trim() || null;
+      return {
+        type: 'split',
+        amount: parseFloat(splitMatch[1]),
+        participants,
+        memo,
+        chain: detectChain(memo ? cleaned.slice(0, cleaned.length - memo.length) : cleaned, defaultChain),
+        raw: cleaned,
+      };
+    }
+  }
+
+  // Bounties
+  if (BOUNTY_LIST.test(cleaned)) {
+    return { type: 'bounty', action: 'list', raw: cleaned };
+  }
+  const bountyCancelMatch = cleaned.match(BOUNTY_CANCEL);
+  if (bountyCancelMatch) {
+    return { type: 'bounty', action: 'cancel', bountyId: bountyCancelMatch[1].toLowerCase(), raw: cleaned };
+  }
+  const bountyMatch = cleaned.match(BOUNTY_POST);
+  if (bountyMatch) {
+    const description = bountyMatch[2].trim();
+    return {
+      type: 'bounty',
+      action: 'post',
+      amount: parseFloat(bountyMatch[1]),
+      description,
+      // null = default expiry
+      durationMs: bountyMatch[3] ? parseInt(bountyMatch[3]) * BOUNTY_DURATION_MS[bountyMatch[4][0].toLowerCase()] : null,
+      // Ignore the description so "for the tempo docs" doesn't switch chains
+      chain: detectChain(cleaned.slice(0, cleaned.indexOf(description)), defaultChain),
+      raw: cleaned,
+    };
+  }
+  const awardMatch = cleaned.match(BOUNTY_AWARD);
+  if (awardMatch) {
+    const winners = [...awardMatch[2].matchAll(SPLIT_PARTICIPANT)]
+      .map(m => ({ recipient: normalizeRecipient(m[1]), share: m[2] ? parseFloat(m[2]) : null }))
+      .filter(w => !RESERVED_TAGS.includes(w.recipient));
+    if (winners.length > 0) {
+      return { type: 'bounty', action: 'award', bountyId: awardMatch[1].toLowerCase(), winners, raw: cleaned };
+    }
+  }
+
+  // Transaction history (no chain keyword = all chains)
+  const historyMatch = cleaned.match(HISTORY);
+  if (historyMatch) {
+    const args = historyMatch[1];
+    const direction = /\bsent\b/i.test(args) ? 'sent' : /\breceived\b/i.test(args) ? 'received' : null;
+    return {
+      type: 'history',
+      direction,
+      chain: detectChain(args, null),
+      export: /\bexport\b/i.test(args),
+      raw: cleaned,
+    };
+  }
+
+  // Spending limits; undefined = leave unchanged, null = remove
+  const limitsMatch = cleaned.match(LIMITS);
+  if (limitsMatch) {
+    const args = limitsMatch[1];
+    if (LIMITS_OFF.test(args)) return { type: 'limits', action: 'set', daily: null, perTx: null, raw: cleaned };
+    const parseLimit = (m) => (m ? (/^(none|off)$/i.test(m[1]) ? null : parseFloat(m[1].replace('$', ''))) : undefined);
+    const daily = parseLimit(args.match(LIMITS_DAILY));
+    const perTx = parseLimit(args.match(LIMITS_PER_TX));
+    if (daily === undefined && perTx === undefined) return { type: 'limits', action: 'view', raw: cleaned };
+    return { type: 'limits', action: 'set', daily, perTx, raw: cleaned };
+  }
+
+  const receiptsMatch = cleaned.match(RECEIPTS);
+  if (receiptsMatch) {
+    const setting = receiptsMatch[1]?.toLowerCase();
+    return setting
+      ? { type: 'receipts', action: 'set', enabled: setting === 'on', raw: cleaned }
+      : { type: 'receipts', action: 'view', raw: cleaned };
+  }
+
+  // Managing scheduled jobs
+  if (SCHEDULED_LIST.test(cleaned)) {
+    return { type: 'scheduled', action: 'list', raw: cleaned };
+  }
+  const cancelMatch = cleaned.match(SCHEDULED_CANCEL);
+  if (cancelMatch) {
+    return { type: 'scheduled', action: 'cancel', jobId: cancelMatch[1].toLowerCase(), raw: cleaned };
+  }
+  const rescheduleMatch = cleaned.match(SCHEDULED_RESCHEDULE);
+  if (rescheduleMatch) {
+    return { type: 'scheduled', action: 'reschedule', jobId: rescheduleMatch[1].toLowerCase(), time: rescheduleMatch[2].trim(), raw: cleaned };
+  }
+
+  // Guild configuration
+  const configSetMatch = cleaned.match(CONFIG_SET);
+  if (configSetMatch) {
+    return { type: 'config', action: 'set', key: configSetMatch[1].toLowerCase(), value: configSetMatch[2].trim(), raw: cleaned };
+  }
+  const configResetMatch = cleaned.match(CONFIG_RESET);
+  if (configResetMatch) {
+    return { type: 'config', action: 'reset', key: configResetMatch[1].toLowerCase(), raw: cleaned };
+  }
+  const configToggleMatch = cleaned.match(CONFIG_TOGGLE);
+  if (configToggleMatch) {
+    return { type: 'config', action: configToggleMatch[1].toLowerCase(), key: configToggleMatch[2].toLowerCase(), raw: cleaned };
+  }
+  if (CONFIG_VIEW.test(cleaned)) {
+    return { type: 'config', action: 'view', raw: cleaned };
+  }
+
+  // Reaction tip configuration
+  const tipsCapMatch = cleaned.match(TIPS_CAP);
+  if (tipsCapMatch) {
+    return { type: 'tip_config', action: 'cap', amount: parseFloat(tipsCapMatch[1]), raw: cleaned };
+  }
+  const tipsRemoveMatch = cleaned.match(TIPS_REMOVE);
+  if (tipsRemoveMatch) {
+    return { type: 'tip_config', action: 'remove', emoji: tipsRemoveMatch[1], raw: cleaned };
+  }
+  const tipsSetMatch = cleaned.match(TIPS_SET);
+  if (tipsSetMatch) {
+    return { type: 'tip_config', action: 'set', emoji: tipsSetMatch[1], amount: parseFloat(tipsSetMatch[2]), raw: cleaned };
+  }
+  if (TIPS_LIST.test(cleaned)) {
+    return { type: 'tip_config', action: 'list', raw: cleaned };
+  }
+
+  // Raffle (random draw, not first come first served)
+  const raffleMatch = cleaned.match(RAFFLE);
+  if (raffleMatch) {
+    return {
+      type: 'raffle',
+      amount: parseFloat(raffleMatch[1]),
+      winners: raffleMatch[2] ? parseInt(raffleMatch[2]) : 1,
+      // null = default duration
+      durationMs: raffleMatch[3] ? parseInt(raffleMatch[3]) * RAFFLE_DURATION_MS[raffleMatch[4][0].toLowerCase()] : null,
+      chain: detectChain(cleaned, defaultChain),
+      raw: cleaned,
+    };
+  }
+
   // Check giveaway first (most specific)
   const giveawayMatch = cleaned.match(GIVEAWAY);
   if (giveawayMatch) {
@@ -145,7 +401,7 @@ export function parseCommand(text) {
       type: 'giveaway',
       amount: parseFloat(giveawayMatch[1]),
       maxParticipants: parseInt(giveawayMatch[2]),
-      chain: detectChain(cleaned),
+      chain: detectChain(cleaned, defaultChain),
       raw: cleaned,
     };
   }
@@ -157,7 +413,7 @@ export function parseCommand(text) {
       type: 'giveaway',
       amount: parseFloat(dropMatch[1]),
       maxParticipants: dropMatch[2] ? parseInt(dropMatch[2]) : 1, // default to 1 if "first person" (no number)
-      chain: detectChain(cleaned),
+      chain: detectChain(cleaned, defaultChain),
       raw: cleaned,
     };
   }
@@ -165,13 +421,14 @@ export function parseCommand(text) {
   // Multi-send
   const multiMatch = cleaned.match(P2P_MULTI);
   if (multiMatch) {
-    const recipients = extractMoniTags(multiMatch[2]);
+    const recipients = [...new Set(extractRecipients(multiMatch[2]))];
     if (recipients.length > 0) {
       return {
         type: 'p2p_multi',
         amount: parseFloat(multiMatch[1]),
         recipients,
-        chain: detectChain(cleaned),
+        chain: detectChain(cleaned, defaultChain),
+        allOrNothing: ALL_OR_NOTHING.test(cleaned),
         raw: cleaned,
       };
     }
@@ -183,15 +440,27 @@ export function parseCommand(text) {
     return {
       type: 'p2p',
       amount: parseFloat(singleMatch[1]),
-      recipients: [singleMatch[2].toLowerCase()],
-      chain: detectChain(cleaned),
+      recipients: [normalizeRecipient(singleMatch[2])],
+      chain: detectChain(cleaned, defaultChain),
+      raw: cleaned,
+    };
+  }
+
+  // Confirmation threshold
+  const thresholdMatch = cleaned.match(CONFIRM_THRESHOLD);
+  if (thresholdMatch) {
+    return {
+      type: 'confirm_threshold',
+      scope: thresholdMatch[1] ? 'guild' : 'user',
+      amount: parseFloat(thresholdMatch[2]),
       raw: cleaned,
     };
   }
 
-  // Balance
+  // Balance: all chains unless one is named
   if (BALANCE.test(cleaned)) {
-    return { type: 'balance', chain: detectChain(cleaned), raw: cleaned };
+    const chain = detectChain(cleaned, 'all');
+    return { type: 'balance', chain, raw: cleaned };
   }
 
   // Help
@@ -233,19 +502,67 @@ export function getHelpContent() {
     fields: [
       {
         name: '💸 Send Payment',
-        value: '`!monibot send $5 to @alice`\n`!monibot pay $10 to @bob`',
+        value: '`!monibot send $5 to @alice`\n`!monibot pay $10 to @bob`\nClick-mentions of Discord users work too.',
       },
       {
         name: '📤 Multi-Send',
-        value: '`!monibot send $1 each to @alice, @bob, @charlie`',
+        value: '`!monibot send $1 each to @alice, @bob, @charlie`\nAdd `all-or-nothing` to send nothing unless every recipient is found.',
       },
       {
         name: '🎁 Giveaway',
         value: '`!monibot giveaway $5 to the first 10 people who drop their monitag`',
       },
+      {
+        name: '🧾 Payment Requests',
+        value: '`!monibot request $5 from @bob for lunch`\n`!monibot requests` — your open and recent requests',
+      },
+      {
+        name: '🍕 Split the Bill',
+        value: '`!monibot split $30 between @alice @bob @me for dinner`\nCustom shares: `@alice:12 @bob:18`',
+      },
+      {
+        name: '🎟️ Raffle',
+        value: '`!monibot raffle $10 to 3 winners in 1h`\nEnter with the button; winners are drawn at random with a verifiable seed',
+      },
+      {
+        name: '🎯 Bounties',
+        value: '`!monibot bounty $50 for fixing the login bug` (optional `expires in 7 days`)\n`!monibot award <id> @alice` · split: `@alice:30 @bob:20`\n`!monibot bounties` — bounty board · `!monibot bounty cancel <id>`',
+      },
+      {
+        name: '🔁 Recurring Payments',
+        value: '`!monibot send $20 to @alice every friday at 9am`\n`every other monday` · `monthly on the 1st` · `daily` — add `until 2026-12-31` or `for 10 weeks`',
+      },
+      {
+        name: '⏰ Scheduled Payments',
+        value: '`!monibot send $5 to @alice tomorrow at 3pm`\n`!monibot scheduled` — your queued payments\n`!monibot cancel <id>` · `!monibot reschedule <id> in 2 hours`',
+      },
+      {
+        name: '☕ Reaction Tips',
+        value: 'React to a message with a tip emoji to tip its author.\n`!monibot tips` — list tip emoji\n`!monibot tips ☕ $1` · `!monibot tips remove ☕` · `!monibot tips cap $20` (Manage Server)',
+      },
+      {
+        name: '📜 History',
+        value: '`!monibot history` · `!monibot history sent bsc`\n`!monibot history export` — CSV in your DMs',
+      },
       {
         name: '💰 Check Balance',
-        value: '`!monibot balance`',
+        value: '`!monibot balance` — all chains\n`!monibot balance usdt` — one chain',
+      },
+      {
+        name: '🚦 Spending Limits',
+        value: '`!monibot limits` — your limits and what\'s left today\n`!monibot limits daily $50 per-tx $20` · `!monibot limits off`',
+      },
+      {
+        name: '📨 Payment Receipts',
+        value: '`!monibot receipts off` — stop DMs when you get paid\n`!monibot receipts on` — turn them back on',
+      },
+      {
+        name: '🛡️ Confirmations',
+        value: '`!monibot threshold $20` — confirm payments above $20\n`!monibot threshold server $100` — server-wide (Manage Server)',
+      },
+      {
+        name: '⚙️ Server Config',
+        value: '`!monibot config` — view settings (Manage Server)\n`!monibot config set chain bsc` · `config reset max` · `config disable giveaway`',
       },
       {
         name: '🔗 Link Account',
@@ -257,7 +574,11 @@ export function getHelpContent() {
       },
       {
         name: '🌐 Networks',
-        value: 'Add `usdt` for BSC, `on tempo` for Tempo.\nDefault: USDC on Base.',
+        value: `Add ${describeChainKeywords()}.\nDefault: ${getChain(DEFAULT_CHAIN).symbol} on ${getChain(DEFAULT_CHAIN).displayName}.`,
+      },
+      {
+        name: '⚡ Slash Commands',
+        value: '`/send` `/multisend` `/giveaway` `/balance` `/link` `/setup` `/help`',
       },
     ],
     footer: 'monipay.xyz',
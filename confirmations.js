@@ -0,0 +1,133 @@
+/**
+ * MoniBot Discord - Payment Confirmations
+ *
+ * Asks the command author to confirm a payment with buttons before any
+ * transfer goes out. Required when:
+ * - The total is above the user's or guild's confirmation threshold
+ * - The command was parsed by AI from free text
+ */
+
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder, MessageFlags } from 'discord.js';
+import { getUserSettings } from './database.js';
+import { getGuildConfig } from './guildConfig.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('confirmations');
+
+const DEFAULT_CONFIRM_THRESHOLD = parseFloat(process.env.CONFIRM_THRESHOLD_USD || '25');
+const CONFIRM_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Resolve the effective confirmation threshold in USD.
+ * The user's own setting replaces the default; a guild setting is a ceiling
+ * that members cannot raise.
+ * @param {string} discordId
+ * @param {string} guildId
+ * @returns {Promise<number>}
+ */
+export async function getConfirmThreshold(discordId, guildId) {
+  const [userSettings, guildConfig] = await Promise.all([
+    getUserSettings(discordId),
+    guildId ? getGuildConfig(guildId) : null,
+  ]);
+
+  const userThreshold = userSettings?.confirm_threshold ?? DEFAULT_CONFIRM_THRESHOLD;
+  const guildThreshold = guildConfig?.confirmThreshold ?? Infinity;
+  return Math.min(userThreshold, guildThreshold);
+}
+
+/**
+ * Whether a command needs an explicit confirmation before executing.
+ * @param {object} message - Discord message or slash command context
+ * @param {object} command - Parsed command (source === 'ai' when from aiParseCommand)
+ * @param {number} total - Total USD the command can spend
+ */
+export async function needsConfirmation(message, command, total) {
+  if (command.source === 'ai') return true;
+  const threshold = await getConfirmThreshold(message.author.id, message.guild?.id);
+  return total > threshold;
+}
+
+/**
+ * Post a confirm/cancel prompt and wait for the command author to answer.
+ * Other users pressing the buttons get a private notice and are ignored.
+ *
+ * @param {object} message - Discord message or slash command context
+ * @param {object} details
+ * @param {string} details.title
+ * @param {number} details.total - Total USD to be spent
+ * @param {string} details.recipients - Human-readable recipient list
+ * @param {string} details.chain
+ * @param {string} [details.symbol]
+ * @param {number|null} [details.fee] - Total router fee, null if it could not be quoted
+ * @param {boolean} [details.fromAi] - Show the "interpreted by AI" notice
+ * @returns {Promise<boolean>} true if the author confirmed
+ */
+export async function requestConfirmation(message, { title, total, recipients, chain, symbol = '', fee = null, fromAi = false }) {
+  const embed = new EmbedBuilder()
+    .setTitle(`🛡️ Confirm: ${title}`)
+    .setDescription(
+      fromAi
+        ? `I interpreted your message as the payment below. Please check it before anything is sent.`
+        : `This payment is above your confirmation threshold. Please check it before anything is sent.`
+    )
+    .addFields(
+      { name: '💸 Total', value: `$${total.toFixed(2)} ${symbol}`.trim(), inline: true },
+      { name: '⛓️ Chain', value: chain.toUpperCase(), inline: true },
+      { name: '🧾 Fee', value: fee !== null ? `$${fee.toFixed(4)}` : 'Unavailable', inline: true },
+      { name: '👤 To', value: recipients.substring(0, 1024) || 'N/A', inline: false },
+    )
+    .setColor(0xFFA500)
+    .setFooter({ text: `Only ${message.author.username} can confirm • Expires in ${CONFIRM_TIMEOUT_MS / 1000}s` });
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('confirm_payment').setLabel('Confirm').setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId('cancel_payment').setLabel('Cancel').setStyle(ButtonStyle.Danger),
+  );
+
+  const prompt = await message.reply({ embeds: [embed], components: [row] });
+
+  return new Promise((resolve) => {
+    const collector = prompt.createMessageComponentCollector({ time: CONFIRM_TIMEOUT_MS });
+
+    collector.on('collect', async (i) => {
+      if (i.user.id !== message.author.id) {
+        try {
+          await i.reply({ content: '❌ Only the person who started this payment can confirm it.', flags: MessageFlags.Ephemeral });
+        } catch (err) {
+          log.warn(`⚠️ [Confirm] Could not answer a non-author click: ${err.message}`);
+        }
+        return;
+      }
+
+      const confirmed = i.customId === 'confirm_payment';
+      const resultEmbed = EmbedBuilder.from(embed)
+        .setTitle(confirmed ? `✅ Confirmed: ${title}` : `🚫 Cancelled: ${title}`)
+        .setColor(confirmed ? 0x00FF00 : 0x808080)
+        .setFooter({ text: confirmed ? 'Processing…' : 'No payment was sent.' });
+
+      // The author's answer stands even if the prompt can't be updated
+      try {
+        await i.update({ embeds: [resultEmbed], components: [] });
+      } catch (err) {
+        log.warn(`⚠️ [Confirm] Could not update prompt: ${err.message}`);
+      }
+      collector.stop(confirmed ? 'confirmed' : 'cancelled');
+    });
+
+    collector.on('end', async (collected, reason) => {
+      if (reason === 'time') {
+        const expiredEmbed = EmbedBuilder.from(embed)
+          .setTitle(`⌛ Expired: ${title}`)
+          .setColor(0x808080)
+          .setFooter({ text: 'No payment was sent. Run the command again to retry.' });
+        try {
+          await prompt.edit({ embeds: [expiredEmbed], components: [] });
+        } catch (err) {
+          log.warn(`⚠️ [Confirm] Could not mark prompt expired: ${err.message}`);
+        }
+      }
+      resolve(reason === 'confirmed');
+    });
+  });
+}
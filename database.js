@@ -4,6 +4,10 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { DEFAULT_CHAIN } from './chains.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('database');
 
 let supabase;
 
@@ -12,7 +16,7 @@ export function initSupabase() {
     process.env.SUPABASE_URL,
     process.env.SUPABASE_SERVICE_KEY
   );
-  console.log('✅ Supabase initialized [Discord Bot]');
+  log.info('✅ Supabase initialized [Discord Bot]');
 }
 
 export function getSupabase() {
@@ -32,7 +36,7 @@ export async function getProfileByDiscordId(discordId) {
     .maybeSingle();
 
   if (error) {
-    console.error(`❌ Error fetching profile by Discord ID ${discordId}:`, error.message);
+    log.error(`❌ Error fetching profile by Discord ID ${discordId}:`, error.message);
     return null;
   }
   return data;
@@ -50,7 +54,7 @@ export async function getProfileByMonitag(payTag) {
     .maybeSingle();
 
   if (error) {
-    console.error(`❌ Error fetching profile by PayTag ${payTag}:`, error.message);
+    log.error(`❌ Error fetching profile by PayTag ${payTag}:`, error.message);
     return null;
   }
   return data;
@@ -86,7 +90,7 @@ export async function logCommand({
   commandText,
   parsedAmount,
   parsedRecipients,
-  chain = 'base',
+  chain = DEFAULT_CHAIN,
   status = 'pending',
   resultTxHash = null,
   errorReason = null,
@@ -115,12 +119,64 @@ export async function logCommand({
     .maybeSingle();
 
   if (error) {
-    console.error('❌ Failed to log command:', error.message);
+    log.error('❌ Failed to log command:', error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Get a platform command by ID
+ */
+export async function getCommand(commandId) {
+  const { data, error } = await supabase
+    .from('platform_commands')
+    .select('*')
+    .eq('id', commandId)
+    .maybeSingle();
+
+  if (error) {
+    log.error(`❌ Failed to fetch command ${commandId}:`, error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Get a platform command by the message (or reference) it was logged under
+ */
+export async function getCommandByMessageId(platform, messageId) {
+  const { data, error } = await supabase
+    .from('platform_commands')
+    .select('*')
+    .eq('platform', platform)
+    .eq('platform_message_id', messageId)
+    .maybeSingle();
+
+  if (error) {
+    log.error(`❌ Failed to fetch command for message ${messageId}:`, error.message);
     return null;
   }
   return data;
 }
 
+/**
+ * Store a command's tx hash and chain before the transaction is broadcast.
+ * Returns false if it could not be stored, in which case nothing should be sent.
+ */
+export async function recordCommandBroadcast(commandId, txHash, chain) {
+  const { error } = await supabase
+    .from('platform_commands')
+    .update({ result_tx_hash: txHash, chain })
+    .eq('id', commandId);
+
+  if (error) {
+    log.error(`❌ Failed to record tx ${txHash} for command ${commandId}:`, error.message);
+    return false;
+  }
+  return true;
+}
+
 /**
  * Update command status
  */
@@ -135,7 +191,7 @@ export async function updateCommandStatus(commandId, status, txHash = null, erro
     .eq('id', commandId);
 
   if (error) {
-    console.error(`❌ Failed to update command ${commandId}:`, error.message);
+    log.error(`❌ Failed to update command ${commandId}:`, error.message);
   }
 }
 
@@ -149,7 +205,7 @@ export async function markCommandReplied(commandId) {
     .eq('id', commandId);
 
   if (error) {
-    console.error(`❌ Failed to mark command replied:`, error.message);
+    log.error(`❌ Failed to mark command replied:`, error.message);
   }
 }
 
@@ -169,7 +225,8 @@ export async function logMonibotTransaction({
   tweetId = null,
   payerPayTag = null,
   recipientPayTag = null,
-  chain = 'base',
+  // The ledger stores chain names upper-case
+  chain = DEFAULT_CHAIN.toUpperCase(),
 }) {
   const isError = txHash.startsWith('ERROR_');
   const status = isError ? 'failed' : 'completed';
@@ -194,8 +251,53 @@ export async function logMonibotTransaction({
     });
 
   if (error) {
-    console.error('❌ Failed to log monibot transaction:', error.message);
+    log.error('❌ Failed to log monibot transaction:', error.message);
+  }
+}
+
+/**
+ * Get ledger rows for a transaction hash
+ */
+export async function getTransactionsByHash(txHash) {
+  const { data, error } = await supabase
+    .from('monibot_transactions')
+    .select('*')
+    .eq('tx_hash', txHash);
+
+  if (error) {
+    log.error(`❌ Failed to fetch transactions for ${txHash}:`, error.message);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Page through a profile's completed transactions, newest first.
+ * @param {string} profileId
+ * @param {{ direction?: 'sent'|'received'|null, chain?: string|null, offset?: number, limit?: number }} [options]
+ * @returns {Promise<{ rows: object[], total: number }>}
+ */
+export async function getTransactionHistory(profileId, { direction = null, chain = null, offset = 0, limit = 10 } = {}) {
+  let query = supabase
+    .from('monibot_transactions')
+    .select('*', { count: 'exact' })
+    .eq('status', 'completed');
+
+  if (direction === 'sent') query = query.eq('sender_id', profileId);
+  else if (direction === 'received') query = query.eq('receiver_id', profileId);
+  else query = query.or(`sender_id.eq.${profileId},receiver_id.eq.${profileId}`);
+
+  if (chain) query = query.eq('chain', chain.toUpperCase());
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    log.error(`❌ Failed to fetch transaction history for ${profileId}:`, error.message);
+    return { rows: [], total: 0 };
   }
+  return { rows: data || [], total: count || 0 };
 }
 
 // ============ Discord Server Tracking ============
@@ -215,8 +317,41 @@ export async function upsertDiscordServer(guildId, guildName, ownerId, memberCou
     }, { onConflict: 'guild_id' });
 
   if (error) {
-    console.error('❌ Failed to upsert Discord server:', error.message);
+    log.error('❌ Failed to upsert Discord server:', error.message);
+  }
+}
+
+/**
+ * Get a tracked Discord server row
+ */
+export async function getDiscordServer(guildId) {
+  const { data, error } = await supabase
+    .from('discord_servers')
+    .select('*')
+    .eq('guild_id', guildId)
+    .maybeSingle();
+
+  if (error) {
+    log.error(`❌ Error fetching Discord server ${guildId}:`, error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Update settings columns on a tracked Discord server
+ */
+export async function updateDiscordServer(guildId, updates) {
+  const { error } = await supabase
+    .from('discord_servers')
+    .update(updates)
+    .eq('guild_id', guildId);
+
+  if (error) {
+    log.error(`❌ Failed to update Discord server ${guildId}:`, error.message);
+    return false;
   }
+  return true;
 }
 
 /**
@@ -229,101 +364,1232 @@ export async function markServerInactive(guildId) {
     .eq('guild_id', guildId);
 
   if (error) {
-    console.error('❌ Failed to mark server inactive:', error.message);
+    log.error('❌ Failed to mark server inactive:', error.message);
   }
 }
 
-// ============ Campaign Helpers ============
+// ============ Bot Settings ============
 
 /**
- * Get active campaigns for a specific network
+ * Read a bot-wide setting (discord_bot_settings, one JSON value per key).
+ * Returns { value } with value null when unset, or null if the read failed.
  */
-export async function getActiveCampaigns(network = 'base') {
+export async function getBotSetting(key) {
   const { data, error } = await supabase
-    .from('campaigns')
+    .from('discord_bot_settings')
+    .select('value')
+    .eq('key', key)
+    .maybeSingle();
+
+  if (error) {
+    log.error(`❌ Error fetching bot setting ${key}:`, error.message);
+    return null;
+  }
+  return { value: data?.value ?? null };
+}
+
+/**
+ * Store a bot-wide setting
+ */
+export async function saveBotSetting(key, value) {
+  const { error } = await supabase
+    .from('discord_bot_settings')
+    .upsert({ key, value, updated_at: new Date().toISOString() }, { onConflict: 'key' });
+
+  if (error) {
+    log.error(`❌ Failed to save bot setting ${key}:`, error.message);
+    return false;
+  }
+  return true;
+}
+
+// ============ Discord User Settings ============
+
+/**
+ * Get per-user bot settings (confirmation threshold, etc.) keyed by Discord ID
+ */
+export async function getUserSettings(discordId) {
+  const { data, error } = await supabase
+    .from('discord_user_settings')
     .select('*')
-    .eq('status', 'active')
-    .eq('network', network)
-    .order('created_at', { ascending: false })
-    .limit(10);
+    .eq('discord_id', discordId)
+    .maybeSingle();
+
+  if (error) {
+    log.error(`❌ Error fetching user settings for ${discordId}:`, error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Create or update per-user bot settings
+ */
+export async function upsertUserSettings(discordId, updates) {
+  const { error } = await supabase
+    .from('discord_user_settings')
+    .upsert({
+      discord_id: discordId,
+      ...updates,
+      updated_at: new Date().toISOString(),
+    }, { onConflict: 'discord_id' });
+
+  if (error) {
+    log.error(`❌ Failed to upsert user settings for ${discordId}:`, error.message);
+    return false;
+  }
+  return true;
+}
+
+// ============ Giveaways ============
+
+/**
+ * Persist a new giveaway so it can be resumed after a restart
+ */
+export async function createGiveaway({
+  messageId,
+  guildId,
+  channelId,
+  senderProfileId,
+  senderDiscordId,
+  amount,
+  maxParticipants,
+  chain,
+  expiresAt,
+  commandId = null,
+}) {
+  const { data, error } = await supabase
+    .from('discord_giveaways')
+    .insert({
+      message_id: messageId,
+      guild_id: guildId,
+      channel_id: channelId,
+      sender_profile_id: senderProfileId,
+      sender_discord_id: senderDiscordId,
+      amount,
+      max_participants: maxParticipants,
+      budget: amount * maxParticipants,
+      chain,
+      claimed_count: 0,
+      claims: [],
+      status: 'open',
+      expires_at: expiresAt,
+      command_id: commandId,
+    })
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    log.error('❌ Failed to create giveaway:', error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Update a giveaway (claims, status, announcement message)
+ */
+export async function updateGiveaway(giveawayId, updates) {
+  const { error } = await supabase
+    .from('discord_giveaways')
+    .update(updates)
+    .eq('id', giveawayId);
+
+  if (error) {
+    log.error(`❌ Failed to update giveaway ${giveawayId}:`, error.message);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Get all giveaways that have not ended yet
+ */
+export async function getOpenGiveaways() {
+  const { data, error } = await supabase
+    .from('discord_giveaways')
+    .select('*')
+    .eq('status', 'open');
 
   if (error) {
-    console.error('❌ Error fetching campaigns:', error.message);
+    log.error('❌ Failed to fetch open giveaways:', error.message);
     return [];
   }
   return data || [];
 }
 
-// ============ Scheduled Jobs ============
+// ============ Raffles ============
 
 /**
- * Create a scheduled job for deferred command execution
+ * Persist a new raffle. The seed stays server-side until the draw; only
+ * seed_hash is shown to users.
  */
-export async function createScheduledJob({
-  type,
-  scheduledAt,
-  payload,
-  sourceAuthorId = null,
-  sourceAuthorUsername = null,
-  sourceTweetId = null,
+export async function createRaffle({
+  guildId,
+  channelId,
+  posterDiscordId,
+  posterProfileId,
+  posterPayTag,
+  amount,
+  winnerCount,
+  chain,
+  seed,
+  seedHash,
+  endsAt,
+  commandId = null,
 }) {
   const { data, error } = await supabase
-    .from('scheduled_jobs')
+    .from('discord_raffles')
     .insert({
-      type,
-      scheduled_at: scheduledAt,
-      payload,
-      status: 'pending',
-      source_author_id: sourceAuthorId,
-      source_author_username: sourceAuthorUsername,
-      source_tweet_id: sourceTweetId,
+      guild_id: guildId,
+      channel_id: channelId,
+      poster_discord_id: posterDiscordId,
+      poster_profile_id: posterProfileId,
+      poster_pay_tag: posterPayTag,
+      amount,
+      winner_count: winnerCount,
+      chain,
+      seed,
+      seed_hash: seedHash,
+      status: 'open',
+      ends_at: endsAt,
+      command_id: commandId,
     })
     .select()
     .maybeSingle();
 
   if (error) {
-    console.error('❌ Failed to create scheduled job:', error.message);
+    log.error('❌ Failed to create raffle:', error.message);
     return null;
   }
-  console.log(`✅ Scheduled job created: ${data.id} for ${scheduledAt}`);
   return data;
 }
 
 /**
- * Get pending scheduled jobs ready for execution
+ * Get a raffle by ID
  */
-export async function getPendingScheduledJobs() {
-  const now = new Date().toISOString();
+export async function getRaffle(raffleId) {
   const { data, error } = await supabase
-    .from('scheduled_jobs')
+    .from('discord_raffles')
     .select('*')
-    .eq('status', 'pending')
-    .lte('scheduled_at', now);
+    .eq('id', raffleId)
+    .maybeSingle();
+
+  if (error) {
+    log.error(`❌ Error fetching raffle ${raffleId}:`, error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Update a raffle record
+ */
+export async function updateRaffle(raffleId, updates) {
+  const { error } = await supabase
+    .from('discord_raffles')
+    .update(updates)
+    .eq('id', raffleId);
+
+  if (error) {
+    log.error(`❌ Failed to update raffle ${raffleId}:`, error.message);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Atomically move an open raffle to drawing so it is only drawn once.
+ * Returns the raffle, or null if it was not open.
+ */
+export async function claimRaffleDraw(raffleId) {
+  const { data, error } = await supabase
+    .from('discord_raffles')
+    .update({ status: 'drawing' })
+    .eq('id', raffleId)
+    .eq('status', 'open')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    log.error(`❌ Failed to claim raffle draw ${raffleId}:`, error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Raffles not drawn yet: still taking entries, or interrupted mid-draw
+ * (for restart recovery)
+ */
+export async function getUnfinishedRaffles() {
+  const { data, error } = await supabase
+    .from('discord_raffles')
+    .select('*')
+    .in('status', ['open', 'drawing']);
 
   if (error) {
-    console.error('❌ Failed to fetch pending scheduled jobs:', error.message);
+    log.error('❌ Failed to fetch unfinished raffles:', error.message);
     return [];
   }
   return data || [];
 }
 
 /**
- * Fetch recently completed or failed scheduled jobs for Discord notification.
+ * Record a raffle entry. Returns the entry, or null if this user already
+ * entered (unique raffle_id + discord_id) or the insert failed.
  */
-export async function getCompletedScheduledJobs() {
-  const twoMinAgo = new Date(Date.now() - 2 * 60 * 1000).toISOString();
+export async function addRaffleEntry({ raffleId, discordId, profileId, payTag }) {
+  const { data, error } = await supabase
+    .from('discord_raffle_entries')
+    .insert({
+      raffle_id: raffleId,
+      discord_id: discordId,
+      profile_id: profileId,
+      pay_tag: payTag,
+    })
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    // 23505 = unique violation: already entered
+    if (error.code !== '23505') {
+      log.error(`❌ Failed to add entry to raffle ${raffleId}:`, error.message);
+    }
+    return null;
+  }
+  return data;
+}
 
+/**
+ * Every entry in a raffle, oldest first
+ */
+export async function getRaffleEntries(raffleId) {
   const { data, error } = await supabase
-    .from('scheduled_jobs')
+    .from('discord_raffle_entries')
     .select('*')
-    .in('status', ['completed', 'failed'])
-    .gte('started_at', twoMinAgo)
-    .order('completed_at', { ascending: false })
-    .limit(20);
+    .eq('raffle_id', raffleId)
+    .order('created_at', { ascending: true });
 
   if (error) {
-    console.error('❌ Failed to fetch completed jobs:', error.message);
+    log.error(`❌ Failed to fetch entries for raffle ${raffleId}:`, error.message);
     return [];
   }
-  return (data || []).filter(j => j.payload?.platform === 'discord');
+  return data || [];
+}
+
+/**
+ * Number of entries in a raffle
+ */
+export async function countRaffleEntries(raffleId) {
+  const { count, error } = await supabase
+    .from('discord_raffle_entries')
+    .select('id', { count: 'exact', head: true })
+    .eq('raffle_id', raffleId);
+
+  if (error) {
+    log.error(`❌ Failed to count entries for raffle ${raffleId}:`, error.message);
+    return 0;
+  }
+  return count || 0;
+}
+
+// ============ Payment Requests ============
+
+/**
+ * Create a payment request (invoice) from one user to another
+ */
+export async function createPaymentRequest({
+  guildId,
+  channelId,
+  requesterDiscordId,
+  requesterProfileId,
+  requesterPayTag,
+  payerDiscordId,
+  payerProfileId,
+  payerPayTag,
+  amount,
+  chain,
+  memo = null,
+  expiresAt,
+  splitId = null,
+}) {
+  const { data, error } = await supabase
+    .from('discord_payment_requests')
+    .insert({
+      guild_id: guildId,
+      channel_id: channelId,
+      requester_discord_id: requesterDiscordId,
+      requester_profile_id: requesterProfileId,
+      requester_pay_tag: requesterPayTag,
+      payer_discord_id: payerDiscordId,
+      payer_profile_id: payerProfileId,
+      payer_pay_tag: payerPayTag,
+      amount,
+      chain,
+      memo,
+      status: 'open',
+      expires_at: expiresAt,
+      split_id: splitId,
+    })
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    log.error('❌ Failed to create payment request:', error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Get a payment request by ID
+ */
+export async function getPaymentRequest(requestId) {
+  const { data, error } = await supabase
+    .from('discord_payment_requests')
+    .select('*')
+    .eq('id', requestId)
+    .maybeSingle();
+
+  if (error) {
+    log.error(`❌ Error fetching payment request ${requestId}:`, error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Update a payment request
+ */
+export async function updatePaymentRequest(requestId, updates) {
+  const { error } = await supabase
+    .from('discord_payment_requests')
+    .update(updates)
+    .eq('id', requestId);
+
+  if (error) {
+    log.error(`❌ Failed to update payment request ${requestId}:`, error.message);
+  }
+}
+
+/**
+ * Atomically move an open request to 'processing' so it can only be paid once.
+ * Returns the request, or null if it was not open.
+ */
+export async function claimPaymentRequest(requestId) {
+  const { data, error } = await supabase
+    .from('discord_payment_requests')
+    .update({ status: 'processing' })
+    .eq('id', requestId)
+    .eq('status', 'open')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    log.error(`❌ Failed to claim payment request ${requestId}:`, error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Mark open requests past their expiry as expired
+ */
+export async function expireStalePaymentRequests() {
+  const { error } = await supabase
+    .from('discord_payment_requests')
+    .update({ status: 'expired', resolved_at: new Date().toISOString() })
+    .eq('status', 'open')
+    .lt('expires_at', new Date().toISOString());
+
+  if (error) {
+    log.error('❌ Failed to expire payment requests:', error.message);
+  }
+}
+
+/**
+ * Recent payment requests a user sent or received
+ */
+export async function getPaymentRequestsForUser(discordId, limit = 20) {
+  const { data, error } = await supabase
+    .from('discord_payment_requests')
+    .select('*')
+    .or(`requester_discord_id.eq.${discordId},payer_discord_id.eq.${discordId}`)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    log.error(`❌ Failed to fetch payment requests for ${discordId}:`, error.message);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * All payment requests that belong to a bill split
+ */
+export async function getPaymentRequestsForSplit(splitId) {
+  const { data, error } = await supabase
+    .from('discord_payment_requests')
+    .select('*')
+    .eq('split_id', splitId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    log.error(`❌ Failed to fetch requests for split ${splitId}:`, error.message);
+    return [];
+  }
+  return data || [];
+}
+
+// ============ Bill Splits ============
+
+/**
+ * Create a bill split. Each debtor's share is a discord_payment_requests row
+ * pointing back at it through split_id.
+ */
+export async function createSplit({
+  guildId,
+  channelId,
+  organizerDiscordId,
+  organizerProfileId,
+  organizerPayTag,
+  total,
+  organizerShare,
+  chain,
+  memo = null,
+}) {
+  const { data, error } = await supabase
+    .from('discord_splits')
+    .insert({
+      guild_id: guildId,
+      channel_id: channelId,
+      organizer_discord_id: organizerDiscordId,
+      organizer_profile_id: organizerProfileId,
+      organizer_pay_tag: organizerPayTag,
+      total,
+      organizer_share: organizerShare,
+      chain,
+      memo,
+      status: 'open',
+    })
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    log.error('❌ Failed to create split:', error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Get a bill split by ID
+ */
+export async function getSplit(splitId) {
+  const { data, error } = await supabase
+    .from('discord_splits')
+    .select('*')
+    .eq('id', splitId)
+    .maybeSingle();
+
+  if (error) {
+    log.error(`❌ Error fetching split ${splitId}:`, error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Update a bill split
+ */
+export async function updateSplit(splitId, updates) {
+  const { error } = await supabase
+    .from('discord_splits')
+    .update(updates)
+    .eq('id', splitId);
+
+  if (error) {
+    log.error(`❌ Failed to update split ${splitId}:`, error.message);
+  }
+}
+
+/**
+ * Open splits last reminded (or created, if never reminded) before `before`
+ * @param {string} before - ISO timestamp
+ */
+export async function getSplitsDueForReminder(before) {
+  const { data, error } = await supabase
+    .from('discord_splits')
+    .select('*')
+    .eq('status', 'open')
+    .or(`last_reminded_at.lt.${before},and(last_reminded_at.is.null,created_at.lt.${before})`);
+
+  if (error) {
+    log.error('❌ Failed to fetch splits due for reminder:', error.message);
+    return [];
+  }
+  return data || [];
+}
+
+// ============ Reaction Tips ============
+
+/**
+ * Record a reaction tip before paying it. The table is unique on
+ * (message_id, reactor_discord_id, emoji), so a duplicate returns null.
+ */
+export async function recordTip({
+  guildId,
+  channelId,
+  messageId,
+  reactorDiscordId,
+  authorDiscordId,
+  emoji,
+  amount,
+  chain,
+}) {
+  const { data, error } = await supabase
+    .from('discord_tips')
+    .insert({
+      guild_id: guildId,
+      channel_id: channelId,
+      message_id: messageId,
+      reactor_discord_id: reactorDiscordId,
+      author_discord_id: authorDiscordId,
+      emoji,
+      amount,
+      chain,
+      status: 'pending',
+    })
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    // 23505 = unique violation: this reactor already tipped this message with this emoji
+    if (error.code !== '23505') {
+      log.error('❌ Failed to record tip:', error.message);
+    }
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Update a tip's status and tx hash
+ */
+export async function updateTip(tipId, updates) {
+  const { error } = await supabase
+    .from('discord_tips')
+    .update(updates)
+    .eq('id', tipId);
+
+  if (error) {
+    log.error(`❌ Failed to update tip ${tipId}:`, error.message);
+  }
+}
+
+/**
+ * Total USD a user has tipped in a guild since a timestamp (pending + completed)
+ */
+export async function getTipTotalSince(reactorDiscordId, guildId, sinceIso) {
+  const { data, error } = await supabase
+    .from('discord_tips')
+    .select('amount')
+    .eq('reactor_discord_id', reactorDiscordId)
+    .eq('guild_id', guildId)
+    .in('status', ['pending', 'completed'])
+    .gte('created_at', sinceIso);
+
+  if (error) {
+    log.error(`❌ Failed to sum tips for ${reactorDiscordId}:`, error.message);
+    return null;
+  }
+  return (data || []).reduce((sum, t) => sum + Number(t.amount), 0);
+}
+
+// ============ Spending Log ============
+
+/**
+ * Record spending against a user's limits. Transfers insert 'pending' and
+ * settle later; spending seen after the fact can be inserted as 'completed'.
+ */
+export async function insertSpend({
+  discordId,
+  guildId = null,
+  amount,
+  source,
+  reference = null,
+  status = 'pending',
+}) {
+  const { data, error } = await supabase
+    .from('discord_spend_log')
+    .insert({
+      discord_id: discordId,
+      guild_id: guildId,
+      amount,
+      source,
+      reference,
+      status,
+    })
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    log.error('❌ Failed to record spend:', error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Whether spending from a source has already been recorded for a reference
+ * (e.g. a scheduled job ID). Null on error.
+ */
+export async function hasSpendForReference(source, reference) {
+  const { count, error } = await supabase
+    .from('discord_spend_log')
+    .select('id', { count: 'exact', head: true })
+    .eq('source', source)
+    .eq('reference', reference);
+
+  if (error) {
+    log.error(`❌ Failed to look up spend for ${source} ${reference}:`, error.message);
+    return null;
+  }
+  return count > 0;
+}
+
+/**
+ * Update a spending log row (settle or void it)
+ */
+export async function updateSpend(spendId, updates) {
+  const { error } = await supabase
+    .from('discord_spend_log')
+    .update(updates)
+    .eq('id', spendId);
+
+  if (error) {
+    log.error(`❌ Failed to update spend ${spendId}:`, error.message);
+  }
+}
+
+/**
+ * Total a user has spent (pending + completed) since a timestamp,
+ * optionally only in one guild. Null on error.
+ */
+export async function getSpendTotalSince(discordId, sinceIso, guildId = null) {
+  let query = supabase
+    .from('discord_spend_log')
+    .select('amount')
+    .eq('discord_id', discordId)
+    .in('status', ['pending', 'completed'])
+    .gte('created_at', sinceIso);
+  if (guildId) query = query.eq('guild_id', guildId);
+
+  const { data, error } = await query;
+  if (error) {
+    log.error(`❌ Failed to sum spending for ${discordId}:`, error.message);
+    return null;
+  }
+  return (data || []).reduce((sum, s) => sum + Number(s.amount), 0);
+}
+
+// ============ Campaign Helpers ============
+
+/**
+ * Get active campaigns for a specific network
+ */
+export async function getActiveCampaigns(network = DEFAULT_CHAIN) {
+  const { data, error } = await supabase
+    .from('campaigns')
+    .select('*')
+    .eq('status', 'active')
+    .eq('network', network)
+    .order('created_at', { ascending: false })
+    .limit(10);
+
+  if (error) {
+    log.error('❌ Error fetching campaigns:', error.message);
+    return [];
+  }
+  return data || [];
+}
+
+// ============ Bounties ============
+
+/**
+ * Create an open bounty. awards holds each payout as
+ * { payTag, discordId, amount, chain, txHash }.
+ */
+export async function createBounty({
+  guildId,
+  channelId,
+  posterDiscordId,
+  posterProfileId,
+  posterPayTag,
+  amount,
+  chain,
+  description,
+  expiresAt,
+}) {
+  const { data, error } = await supabase
+    .from('discord_bounties')
+    .insert({
+      guild_id: guildId,
+      channel_id: channelId,
+      poster_discord_id: posterDiscordId,
+      poster_profile_id: posterProfileId,
+      poster_pay_tag: posterPayTag,
+      amount,
+      awarded_amount: 0,
+      awards: [],
+      chain,
+      description,
+      status: 'open',
+      expires_at: expiresAt,
+    })
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    log.error('❌ Failed to create bounty:', error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Get a bounty by ID
+ */
+export async function getBounty(bountyId) {
+  const { data, error } = await supabase
+    .from('discord_bounties')
+    .select('*')
+    .eq('id', bountyId)
+    .maybeSingle();
+
+  if (error) {
+    log.error(`❌ Error fetching bounty ${bountyId}:`, error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Update a bounty
+ */
+export async function updateBounty(bountyId, updates) {
+  const { error } = await supabase
+    .from('discord_bounties')
+    .update(updates)
+    .eq('id', bountyId);
+
+  if (error) {
+    log.error(`❌ Failed to update bounty ${bountyId}:`, error.message);
+  }
+}
+
+/**
+ * Atomically move an open bounty to processing while it is being awarded.
+ * Returns the bounty, or null if it was not open.
+ */
+export async function claimBounty(bountyId) {
+  const { data, error } = await supabase
+    .from('discord_bounties')
+    .update({ status: 'processing' })
+    .eq('id', bountyId)
+    .eq('status', 'open')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    log.error(`❌ Failed to claim bounty ${bountyId}:`, error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * A guild's open bounties, soonest to expire first
+ */
+export async function getOpenBountiesForGuild(guildId) {
+  const { data, error } = await supabase
+    .from('discord_bounties')
+    .select('*')
+    .eq('guild_id', guildId)
+    .eq('status', 'open')
+    .gt('expires_at', new Date().toISOString())
+    .order('expires_at', { ascending: true })
+    .limit(25);
+
+  if (error) {
+    log.error(`❌ Failed to fetch bounties for guild ${guildId}:`, error.message);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Open bounties past their expiry
+ */
+export async function getExpiredBounties() {
+  const { data, error } = await supabase
+    .from('discord_bounties')
+    .select('*')
+    .eq('status', 'open')
+    .lt('expires_at', new Date().toISOString())
+    .limit(50);
+
+  if (error) {
+    log.error('❌ Failed to fetch expired bounties:', error.message);
+    return [];
+  }
+  return data || [];
+}
+
+// ============ Scheduled Jobs ============
+
+/**
+ * Create a scheduled job for deferred command execution
+ */
+export async function createScheduledJob({
+  type,
+  scheduledAt,
+  payload,
+  sourceAuthorId = null,
+  sourceAuthorUsername = null,
+  sourceTweetId = null,
+}) {
+  const { data, error } = await supabase
+    .from('scheduled_jobs')
+    .insert({
+      type,
+      scheduled_at: scheduledAt,
+      payload,
+      status: 'pending',
+      source_author_id: sourceAuthorId,
+      source_author_username: sourceAuthorUsername,
+      source_tweet_id: sourceTweetId,
+    })
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    log.error('❌ Failed to create scheduled job:', error.message);
+    return null;
+  }
+  log.info(`✅ Scheduled job created: ${data.id} for ${scheduledAt}`);
+  return data;
+}
+
+/**
+ * Get pending scheduled jobs ready for execution
+ */
+export async function getPendingScheduledJobs() {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('scheduled_jobs')
+    .select('*')
+    .eq('status', 'pending')
+    .lte('scheduled_at', now);
+
+  if (error) {
+    log.error('❌ Failed to fetch pending scheduled jobs:', error.message);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * All pending Discord scheduled jobs, due soonest first
+ * @param {number} [limit]
+ */
+export async function getUpcomingScheduledJobs(limit = 100) {
+  const { data, error } = await supabase
+    .from('scheduled_jobs')
+    .select('*')
+    .eq('status', 'pending')
+    .eq('payload->>platform', 'discord')
+    .order('scheduled_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    log.error('❌ Failed to fetch upcoming scheduled jobs:', error.message);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Fetch recently completed, failed or cancelled scheduled jobs for Discord notification.
+ */
+export async function getCompletedScheduledJobs() {
+  const twoMinAgo = new Date(Date.now() - 2 * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from('scheduled_jobs')
+    .select('*')
+    .in('status', ['completed', 'failed', 'cancelled'])
+    // Cancelled jobs never start, so they are matched on completed_at
+    .or(`started_at.gte.${twoMinAgo},completed_at.gte.${twoMinAgo}`)
+    .order('completed_at', { ascending: false })
+    .limit(20);
+
+  if (error) {
+    log.error('❌ Failed to fetch completed jobs:', error.message);
+    return [];
+  }
+  return (data || []).filter(j => j.payload?.platform === 'discord');
+}
+
+/**
+ * Update a scheduled job
+ */
+export async function updateScheduledJob(jobId, updates) {
+  const { error } = await supabase
+    .from('scheduled_jobs')
+    .update(updates)
+    .eq('id', jobId);
+
+  if (error) {
+    log.error(`❌ Failed to update scheduled job ${jobId}:`, error.message);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Finished runs of recurring Discord jobs that have not had their next run
+ * scheduled yet (payload.recurrence without nextJobId or ended).
+ */
+export async function getRecurringJobsAwaitingNext() {
+  const { data, error } = await supabase
+    .from('scheduled_jobs')
+    .select('*')
+    .in('status', ['completed', 'failed'])
+    .eq('payload->>platform', 'discord')
+    .not('payload->recurrence', 'is', null)
+    .is('payload->recurrence->>nextJobId', null)
+    .is('payload->recurrence->>ended', null)
+    .limit(50);
+
+  if (error) {
+    log.error('❌ Failed to fetch recurring jobs:', error.message);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Pending Discord jobs due by a time that have not had their spending
+ * reserved yet (payload.spendReservationId unset)
+ */
+export async function getScheduledJobsDueBefore(beforeIso) {
+  const { data, error } = await supabase
+    .from('scheduled_jobs')
+    .select('*')
+    .eq('status', 'pending')
+    .eq('payload->>platform', 'discord')
+    .lte('scheduled_at', beforeIso)
+    .is('payload->>spendReservationId', null)
+    .limit(50);
+
+  if (error) {
+    log.error('❌ Failed to fetch due scheduled jobs:', error.message);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Fail a job that has not started yet, e.g. when it would break a spending
+ * limit. Returns true if the job was still pending.
+ */
+export async function failScheduledJob(jobId, errorMessage) {
+  const { data, error } = await supabase
+    .from('scheduled_jobs')
+    .update({ status: 'failed', error_message: errorMessage, completed_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .eq('status', 'pending')
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    log.error(`❌ Failed to fail scheduled job ${jobId}:`, error.message);
+    return false;
+  }
+  return Boolean(data);
+}
+
+/**
+ * Get a scheduled job by ID
+ */
+export async function getScheduledJob(jobId) {
+  const { data, error } = await supabase
+    .from('scheduled_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .maybeSingle();
+
+  if (error) {
+    log.error('❌ Failed to fetch scheduled job:', error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * A Discord user's pending scheduled jobs, soonest first
+ */
+export async function getPendingScheduledJobsForUser(discordId) {
+  const { data, error } = await supabase
+    .from('scheduled_jobs')
+    .select('*')
+    .eq('status', 'pending')
+    .eq('source_author_id', discordId)
+    .eq('payload->>platform', 'discord')
+    .order('scheduled_at', { ascending: true })
+    .limit(25);
+
+  if (error) {
+    log.error('❌ Failed to fetch user scheduled jobs:', error.message);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Cancel a job that has not started yet.
+ * Returns the cancelled job, or null if it was no longer pending.
+ */
+export async function cancelScheduledJob(jobId) {
+  const { data, error } = await supabase
+    .from('scheduled_jobs')
+    .update({ status: 'cancelled', completed_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    log.error(`❌ Failed to cancel scheduled job ${jobId}:`, error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Move a job that has not started yet to a new time.
+ * Returns the updated job, or null if it was no longer pending.
+ */
+export async function rescheduleScheduledJob(jobId, scheduledAt) {
+  const { data, error } = await supabase
+    .from('scheduled_jobs')
+    .update({ scheduled_at: scheduledAt })
+    .eq('id', jobId)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    log.error(`❌ Failed to reschedule job ${jobId}:`, error.message);
+    return null;
+  }
+  return data;
+}
+
+// ============ Deposit Watcher ============
+
+/**
+ * Every profile linked to a Discord account, with its wallet
+ * @returns {Promise<Array<{ id: string, discord_id: string, pay_tag: string, wallet_address: string }>>}
+ */
+export async function getLinkedWallets() {
+  const pageSize = 1000;
+  const rows = [];
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('id, discord_id, pay_tag, wallet_address')
+      .not('discord_id', 'is', null)
+      .not('wallet_address', 'is', null)
+      .order('id', { ascending: true })
+      .range(from, from + pageSize - 1);
+
+    if (error) {
+      log.error('❌ Failed to fetch linked wallets:', error.message);
+      return null;
+    }
+    rows.push(...data);
+    if (data.length < pageSize) return rows;
+  }
+}
+
+/**
+ * Last block the deposit watcher fully processed on a chain, or null if it
+ * has never run there. Throws when the read fails, so an outage is never
+ * mistaken for a first run (which would skip ahead to the chain head).
+ */
+export async function getDepositCursor(chain) {
+  const { data, error } = await supabase
+    .from('discord_deposit_cursors')
+    .select('last_block')
+    .eq('chain', chain)
+    .maybeSingle();
+
+  if (error) {
+    log.error(`❌ Failed to fetch deposit cursor for ${chain}:`, error.message);
+    throw new Error(`Deposit cursor unavailable for ${chain}`);
+  }
+  return data ? BigInt(data.last_block) : null;
+}
+
+/**
+ * Save the last fully processed block for a chain
+ * @param {string} chain
+ * @param {bigint} block
+ * @returns {Promise<boolean>}
+ */
+export async function saveDepositCursor(chain, block) {
+  const { error } = await supabase
+    .from('discord_deposit_cursors')
+    .upsert({ chain, last_block: block.toString(), updated_at: new Date().toISOString() }, { onConflict: 'chain' });
+
+  if (error) {
+    log.error(`❌ Failed to save deposit cursor for ${chain}:`, error.message);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Record a detected deposit. Returns the row, false if this transfer was
+ * already recorded (unique chain + tx_hash + log_index), or null if the
+ * insert failed.
+ */
+export async function recordDeposit({ chain, txHash, logIndex, blockNumber, fromAddress, toAddress, amount, profileId, discordId }) {
+  const { data, error } = await supabase
+    .from('discord_deposits')
+    .insert({
+      chain,
+      tx_hash: txHash,
+      log_index: logIndex,
+      block_number: blockNumber.toString(),
+      from_address: fromAddress,
+      to_address: toAddress,
+      amount,
+      profile_id: profileId,
+      discord_id: discordId,
+    })
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    // 23505 = unique violation: already notified
+    if (error.code === '23505') return false;
+    log.error(`❌ Failed to record deposit ${txHash}:${logIndex}:`, error.message);
+    return null;
+  }
+  return data;
 }
@@ -0,0 +1,205 @@
+/**
+ * MoniBot Discord - Deposit Watcher
+ *
+ * Follows the chain token's ERC-20 Transfer events into every wallet linked to
+ * a Discord account and DMs the owner when a deposit lands, so people who fund
+ * their wallet from an exchange or another app don't have to ask the bot.
+ *
+ * - Each chain has a cursor (discord_deposit_cursors.last_block). Blocks up to
+ *   the cursor are done; a restart resumes right after it, so nothing is missed.
+ * - Every deposit is recorded in discord_deposits (unique per chain, tx hash
+ *   and log index) before it is DM'd, so a re-scanned range never DMs twice.
+ *   The cursor only moves past a range once all its deposits are recorded.
+ * - Linked wallets are re-read every poll, so a newly linked wallet is
+ *   watched from the first block the cursor hasn't passed yet.
+ * - A first run starts at the chain head rather than replaying history.
+ * - Transfers sent through the MoniBot router are skipped: payment receipts
+ *   already cover those.
+ * - DMs honour the `receipts off` opt-out (user_settings.payment_dms).
+ *
+ * DEPOSIT_WATCHER=false               Turn the watcher off
+ * DEPOSIT_MIN_AMOUNT=1                Smallest deposit (in tokens) worth a DM
+ * DEPOSIT_CONFIRMATIONS=2             Blocks to wait before a deposit counts
+ * DEPOSIT_POLL_INTERVAL_MS=30000      How often to poll every chain
+ * DEPOSIT_MAX_BLOCK_RANGE=2000        Most blocks per eth_getLogs call
+ */
+
+import { EmbedBuilder } from 'discord.js';
+import { getLinkedWallets, getDepositCursor, saveDepositCursor, recordDeposit, getUserSettings } from './database.js';
+import { getLatestBlockNumber, getTokenTransfersTo, getTransactionTarget } from './blockchain.js';
+import { getChain, getChainNames, getExplorerUrl } from './chains.js';
+import { createLogger, withCorrelation, newCorrelationId } from './logger.js';
+
+const log = createLogger('depositWatcher');
+
+const DEPOSIT_MIN_AMOUNT = parseFloat(process.env.DEPOSIT_MIN_AMOUNT || '1');
+const DEPOSIT_CONFIRMATIONS = BigInt(parseInt(process.env.DEPOSIT_CONFIRMATIONS || '2', 10));
+const DEPOSIT_POLL_INTERVAL_MS = parseInt(process.env.DEPOSIT_POLL_INTERVAL_MS || '30000', 10);
+const DEPOSIT_MAX_BLOCK_RANGE = BigInt(parseInt(process.env.DEPOSIT_MAX_BLOCK_RANGE || '2000', 10));
+
+let discordClient = null;
+let polling = false;
+
+// ============ Scanning ============
+
+/**
+ * Linked wallets keyed by lowercase address, or null if they could not be read
+ * @returns {Promise<Map<string, object>|null>}
+ */
+async function getWatchedWallets() {
+  const rows = await getLinkedWallets();
+  if (!rows) return null;
+  return new Map(rows.map(row => [row.wallet_address.toLowerCase(), row]));
+}
+
+/**
+ * Deposits into `wallets` between two blocks (inclusive) that are worth a DM:
+ * at least DEPOSIT_MIN_AMOUNT and not sent through the MoniBot router. Only
+ * reads the chain, so it can be pointed at a local node on its own.
+ * @param {string} chainName
+ * @param {bigint} fromBlock
+ * @param {bigint} toBlock
+ * @param {Map<string, object>} wallets - Lowercase address → profiles row
+ * @returns {Promise<Array<object>>} Transfers with the owning `profile` attached
+ */
+export async function scanDeposits(chainName, fromBlock, toBlock, wallets) {
+  const config = getChain(chainName);
+  const transfers = await getTokenTransfersTo(chainName, [...wallets.keys()], fromBlock, toBlock);
+
+  const deposits = [];
+  for (const transfer of transfers) {
+    if (transfer.amount < DEPOSIT_MIN_AMOUNT) continue;
+    // A wallet sending to itself isn't a deposit
+    if (transfer.from === transfer.to) continue;
+
+    const target = await getTransactionTarget(chainName, transfer.txHash);
+    if (target === config.routerAddress) continue;
+
+    deposits.push({ ...transfer, profile: wallets.get(transfer.to) });
+  }
+  return deposits;
+}
+
+/**
+ * Scan one chain from its cursor up to the confirmed head, DMing new deposits
+ * and saving the cursor after each block range.
+ * @param {string} chainName
+ * @param {Map<string, object>} [wallets] - From getWatchedWallets(); read if omitted
+ */
+export async function pollChainDeposits(chainName, wallets = null) {
+  wallets = wallets || await getWatchedWallets();
+  // Without the wallet list the cursor must not move, or new wallets' deposits are skipped
+  if (!wallets) return;
+
+  const head = await getLatestBlockNumber(chainName);
+  const safeHead = head - DEPOSIT_CONFIRMATIONS;
+  if (safeHead < 0n) return;
+
+  const cursor = await getDepositCursor(chainName);
+  if (cursor === null) {
+    await saveDepositCursor(chainName, safeHead);
+    log.info(`📍 [Deposits] Watching ${chainName} from block ${safeHead}`, { chain: chainName });
+    return;
+  }
+
+  for (let from = cursor + 1n; from <= safeHead; from += DEPOSIT_MAX_BLOCK_RANGE) {
+    const to = from + DEPOSIT_MAX_BLOCK_RANGE - 1n < safeHead ? from + DEPOSIT_MAX_BLOCK_RANGE - 1n : safeHead;
+    const deposits = await scanDeposits(chainName, from, to, wallets);
+
+    let unrecorded = 0;
+    for (const deposit of deposits) {
+      const recorded = await recordDeposit({
+        chain: chainName,
+        txHash: deposit.txHash,
+        logIndex: deposit.logIndex,
+        blockNumber: deposit.blockNumber,
+        fromAddress: deposit.from,
+        toAddress: deposit.to,
+        amount: deposit.amount,
+        profileId: deposit.profile.id,
+        discordId: deposit.profile.discord_id,
+      });
+      if (recorded === null) unrecorded++;
+      else if (recorded) await notifyDeposit(chainName, deposit);
+    }
+
+    // Stop here on a failed record or save; the next poll re-scans this range and recordDeposit dedupes
+    if (unrecorded) {
+      log.warn(`⚠️ [Deposits] ${unrecorded} deposit(s) on ${chainName} not recorded; retrying blocks ${from}-${to} next poll`, { chain: chainName });
+      return;
+    }
+    if (!(await saveDepositCursor(chainName, to))) return;
+    if (deposits.length) {
+      log.info(`💰 [Deposits] ${deposits.length} deposit(s) on ${chainName} in blocks ${from}-${to}`, { chain: chainName });
+    }
+  }
+}
+
+// ============ Notifications ============
+
+async function notifyDeposit(chainName, deposit) {
+  const discordId = deposit.profile.discord_id;
+  try {
+    const settings = await getUserSettings(discordId);
+    if (settings?.payment_dms === false) return;
+
+    const config = getChain(chainName);
+    const amount = `$${deposit.amount.toFixed(2)} ${config.symbol}`;
+    const embed = new EmbedBuilder()
+      .setTitle('💰 Deposit received')
+      .setDescription(`**${amount}** just landed in your MoniPay wallet.`)
+      .addFields(
+        { name: 'Amount', value: amount, inline: true },
+        { name: 'Chain', value: chainName.toUpperCase(), inline: true },
+        { name: 'From', value: `\`${deposit.from.slice(0, 6)}…${deposit.from.slice(-4)}\``, inline: true },
+        { name: 'TX', value: `[View on Explorer](${getExplorerUrl(chainName, deposit.txHash)})`, inline: false },
+      )
+      .setColor(0x00FF00)
+      .setFooter({ text: 'Turn these off with !monibot receipts off' });
+
+    const user = await discordClient.users.fetch(discordId);
+    await user.send({ embeds: [embed] });
+    log.info(`📨 [Deposits] DM'd deposit on ${chainName}`, { recipientId: discordId, txHash: deposit.txHash });
+  } catch (err) {
+    // DMs closed or user gone; the deposit is still recorded
+    log.warn(`⚠️ [Deposits] Could not DM ${discordId}: ${err.message}`);
+  }
+}
+
+// ============ Poller ============
+
+async function pollAllChains() {
+  if (polling) return;
+  polling = true;
+  try {
+    const wallets = await getWatchedWallets();
+    if (!wallets) return;
+
+    for (const chainName of getChainNames()) {
+      await withCorrelation({ correlationId: newCorrelationId(), chain: chainName }, async () => {
+        try {
+          await pollChainDeposits(chainName, wallets);
+        } catch (err) {
+          log.error(`❌ [Deposits] Poll failed on ${chainName}: ${err.message}`);
+        }
+      });
+    }
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start polling every chain for deposits, unless DEPOSIT_WATCHER=false
+ * @param {import('discord.js').Client} client
+ */
+export function startDepositWatcher(client) {
+  if (process.env.DEPOSIT_WATCHER === 'false') {
+    log.info('💤 Deposit watcher disabled (DEPOSIT_WATCHER=false)');
+    return;
+  }
+  discordClient = client;
+  pollAllChains();
+  setInterval(pollAllChains, DEPOSIT_POLL_INTERVAL_MS);
+  log.info(`📡 Deposit watcher started (${DEPOSIT_POLL_INTERVAL_MS / 1000}s interval, min $${DEPOSIT_MIN_AMOUNT})`);
+}
@@ -0,0 +1,241 @@
+/**
+ * MoniBot Discord - Per-Guild Configuration
+ *
+ * Settings are stored as columns on discord_servers and cached in memory.
+ * Unset values fall back to the global defaults:
+ * - prefix            command_prefix         (alias for !monibot)
+ * - chain             default_chain          (DEFAULT_CHAIN)
+ * - channels          allowed_channel_ids    (all channels)
+ * - max               max_payment            (no limit)
+ * - commands          disabled_commands      (all enabled)
+ * - adminroles        admin_role_ids         (Manage Server only)
+ * - ratelimit         rate_limit_per_minute  (5)
+ * - threshold         confirm_threshold      (user/global default)
+ * - tipcap            tip_daily_cap          (TIP_DAILY_CAP_USD)
+ * - auditchannel      audit_channel_id       (off)
+ */
+
+import { PermissionsBitField } from 'discord.js';
+import { getDiscordServer, updateDiscordServer } from './database.js';
+import { DEFAULT_CHAIN, getChain, getChainNames } from './chains.js';
+
+export const DEFAULT_PREFIX = '!monibot';
+
+const CONFIG_CACHE_TTL_MS = 60 * 1000;
+const configCache = new Map();
+
+// User-facing command group → command types it covers
+export const COMMAND_GROUPS = {
+  send: ['p2p'],
+  multisend: ['p2p_multi'],
+  giveaway: ['giveaway', 'raffle'],
+  balance: ['balance'],
+  request: ['request', 'requests'],
+  split: ['split'],
+  bounty: ['bounty'],
+  tips: ['tip_config', 'reaction_tip'],
+  schedule: ['schedule'],
+};
+
+function fromRow(row) {
+  return {
+    prefix: row?.command_prefix || DEFAULT_PREFIX,
+    // A chain removed from the registry falls back to the default
+    defaultChain: getChain(row?.default_chain) ? row.default_chain : DEFAULT_CHAIN,
+    allowedChannels: row?.allowed_channel_ids || [],
+    maxPayment: row?.max_payment ?? null,
+    disabledCommands: row?.disabled_commands || [],
+    adminRoles: row?.admin_role_ids || [],
+    rateLimit: row?.rate_limit_per_minute ?? null,
+    confirmThreshold: row?.confirm_threshold ?? null,
+    tipEmojis: row?.tip_emojis || {},
+    tipDailyCap: row?.tip_daily_cap ?? null,
+    memberDailyLimit: row?.member_daily_limit ?? null,
+    auditChannelId: row?.audit_channel_id || null,
+    paymentsPaused: row?.payments_paused ?? false,
+    claimMinAccountAgeDays: row?.claim_min_account_age_days ?? null,
+    claimMinJoinAgeDays: row?.claim_min_join_age_days ?? null,
+  };
+}
+
+/**
+ * Get the effective configuration for a guild (cached for 60s).
+ * @param {string} guildId
+ */
+export async function getGuildConfig(guildId) {
+  const cached = configCache.get(guildId);
+  if (cached && Date.now() - cached.fetchedAt < CONFIG_CACHE_TTL_MS) return cached.config;
+
+  const row = guildId ? await getDiscordServer(guildId) : null;
+  const config = fromRow(row);
+  configCache.set(guildId, { config, fetchedAt: Date.now() });
+  return config;
+}
+
+/**
+ * Write discord_servers columns and drop the cached config.
+ * @param {string} guildId
+ * @param {object} updates - Column → value
+ * @returns {Promise<boolean>}
+ */
+export async function saveGuildSettings(guildId, updates) {
+  const saved = await updateDiscordServer(guildId, updates);
+  configCache.delete(guildId);
+  return saved;
+}
+
+/**
+ * Whether a command type is enabled in a guild
+ */
+export function isCommandEnabled(config, type) {
+  return !config.disabledCommands.some(group => COMMAND_GROUPS[group]?.includes(type));
+}
+
+/**
+ * Whether a member can run MoniBot admin commands: Manage Server or one of
+ * the guild's configured admin roles.
+ * @param {import('discord.js').GuildMember} member
+ * @param {object} config
+ */
+export function isGuildAdmin(member, config) {
+  if (!member) return false;
+  if (member.permissions?.has(PermissionsBitField.Flags.ManageGuild)) return true;
+  return config.adminRoles.some(roleId => member.roles?.cache?.has(roleId));
+}
+
+/**
+ * Why a member can't claim giveaway spots or enter raffles here, or null if
+ * they can. Checks the guild's minimum Discord account age and server-join age.
+ * @param {import('discord.js').GuildMember} member
+ * @param {object} config
+ * @returns {string|null}
+ */
+export function getClaimIneligibility(member, config) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const now = Date.now();
+
+  if (config.claimMinAccountAgeDays && now - member.user.createdTimestamp < config.claimMinAccountAgeDays * dayMs) {
+    return `Your Discord account must be at least ${formatDays(config.claimMinAccountAgeDays)} old to claim here.`;
+  }
+  if (config.claimMinJoinAgeDays && (!member.joinedTimestamp || now - member.joinedTimestamp < config.claimMinJoinAgeDays * dayMs)) {
+    return `You must have been in this server for at least ${formatDays(config.claimMinJoinAgeDays)} to claim here.`;
+  }
+  return null;
+}
+
+// ============ Config Keys ============
+
+const parseDollars = (raw) => {
+  const amount = parseFloat(raw.replace('$', ''));
+  return Number.isFinite(amount) && amount >= 0 ? { value: amount } : { error: 'Give an amount in dollars, e.g. `$50`.' };
+};
+
+const formatDollars = (value) => (value === null ? 'Not set' : `$${Number(value).toFixed(2)}`);
+
+const parseDays = (raw) => {
+  if (/^(none|0)$/i.test(raw)) return { value: null };
+  const match = raw.match(/^(\d+)\s*(?:d|days?)?$/i);
+  const days = match ? parseInt(match[1], 10) : NaN;
+  return days >= 1 && days <= 3650 ? { value: days } : { error: 'Give a number of days, e.g. `7d` (`none` to remove).' };
+};
+
+function formatDays(days) {
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * Settable keys for `!monibot config set <key> <value>`.
+ * parse() returns { value } or { error }; `none` resets list/limit keys.
+ */
+export const CONFIG_KEYS = {
+  prefix: {
+    column: 'command_prefix',
+    description: 'Extra command prefix (`!monibot` and @MoniBot always work)',
+    parse: (raw) => (/^\S{1,16}$/.test(raw) ? { value: raw.toLowerCase() } : { error: 'Prefix must be 1-16 characters with no spaces.' }),
+    format: (config) => `\`${config.prefix}\``,
+  },
+  chain: {
+    column: 'default_chain',
+    description: 'Chain used when a command does not name one',
+    parse: (raw) => {
+      const chain = raw.toLowerCase();
+      return getChain(chain) ? { value: chain } : { error: `Chain must be one of: ${getChainNames().join(', ')}.` };
+    },
+    format: (config) => config.defaultChain.toUpperCase(),
+  },
+  channels: {
+    column: 'allowed_channel_ids',
+    description: 'Channels where commands are accepted (`none` = all)',
+    parse: (raw) => {
+      if (/^(none|all)$/i.test(raw)) return { value: [] };
+      const ids = [...raw.matchAll(/<#(\d+)>/g)].map(m => m[1]);
+      return ids.length ? { value: ids } : { error: 'Mention one or more channels, e.g. `#payments`.' };
+    },
+    format: (config) => (config.allowedChannels.length ? config.allowedChannels.map(id => `<#${id}>`).join(' ') : 'All channels'),
+  },
+  auditchannel: {
+    column: 'audit_channel_id',
+    description: 'Channel that gets a line for every payment MoniBot handles (`none` = off)',
+    parse: (raw) => {
+      if (/^(none|off)$/i.test(raw)) return { value: null };
+      const match = raw.match(/^<#(\d+)>$/);
+      return match ? { value: match[1] } : { error: 'Mention one channel, e.g. `#mod-log`.' };
+    },
+    format: (config) => (config.auditChannelId ? `<#${config.auditChannelId}>` : 'Off'),
+  },
+  max: {
+    column: 'max_payment',
+    description: 'Largest single payment allowed (`none` = no limit)',
+    parse: (raw) => (/^none$/i.test(raw) ? { value: null } : parseDollars(raw)),
+    format: (config) => (config.maxPayment === null ? 'No limit' : formatDollars(config.maxPayment)),
+  },
+  dailylimit: {
+    column: 'member_daily_limit',
+    description: 'Most a member can spend here in 24 hours (`none` = no limit)',
+    parse: (raw) => (/^none$/i.test(raw) ? { value: null } : parseDollars(raw)),
+    format: (config) => (config.memberDailyLimit === null ? 'No limit' : formatDollars(config.memberDailyLimit)),
+  },
+  adminroles: {
+    column: 'admin_role_ids',
+    description: 'Roles that can run MoniBot admin commands besides Manage Server',
+    parse: (raw) => {
+      if (/^none$/i.test(raw)) return { value: [] };
+      const ids = [...raw.matchAll(/<@&(\d+)>/g)].map(m => m[1]);
+      return ids.length ? { value: ids } : { error: 'Mention one or more roles, e.g. `@Treasurer`.' };
+    },
+    format: (config) => (config.adminRoles.length ? config.adminRoles.map(id => `<@&${id}>`).join(' ') : 'Manage Server only'),
+  },
+  ratelimit: {
+    column: 'rate_limit_per_minute',
+    description: 'Commands per member per minute',
+    parse: (raw) => {
+      const n = parseInt(raw, 10);
+      return n >= 1 && n <= 60 ? { value: n } : { error: 'Rate limit must be between 1 and 60.' };
+    },
+    format: (config, defaults) => `${config.rateLimit ?? defaults.rateLimit}/min`,
+  },
+  threshold: {
+    column: 'confirm_threshold',
+    description: 'Payments above this always need a button confirmation',
+    parse: (raw) => (/^none$/i.test(raw) ? { value: null } : parseDollars(raw)),
+    format: (config) => formatDollars(config.confirmThreshold),
+  },
+  tipcap: {
+    column: 'tip_daily_cap',
+    description: 'Daily reaction-tip cap per member',
+    parse: (raw) => (/^none$/i.test(raw) ? { value: null } : parseDollars(raw)),
+    format: (config, defaults) => formatDollars(config.tipDailyCap ?? defaults.tipDailyCap),
+  },
+  accountage: {
+    column: 'claim_min_account_age_days',
+    description: 'Minimum Discord account age to claim giveaways or enter raffles',
+    parse: parseDays,
+    format: (config) => (config.claimMinAccountAgeDays ? formatDays(config.claimMinAccountAgeDays) : 'No minimum'),
+  },
+  joinage: {
+    column: 'claim_min_join_age_days',
+    description: 'Minimum time in this server to claim giveaways or enter raffles',
+    parse: parseDays,
+    format: (config) => (config.claimMinJoinAgeDays ? formatDays(config.claimMinJoinAgeDays) : 'No minimum'),
+  },
+};
@@ -2,29 +2,66 @@
  * MoniBot Discord Bot v2.0
  *
  * Features:
- * - P2P payments via !monibot send $X to @tag
+ * - P2P payments via !monibot send $X to @tag (or a Discord @mention)
  * - Multi-send via !monibot send $X each to @a, @b, @c
  * - Giveaways via !monibot giveaway $X to the first N people
- * - Balance check via !monibot balance
+ * - Balance check via !monibot balance (all-chains portfolio by default)
  * - Time-aware greetings
- * - Multi-chain support (Base, BSC, Tempo)
+ * - Multi-chain support from the chain registry (Base, BSC, Tempo built in)
+ * - Per-chain executor transaction queue with local nonce management
  * - Guild tracking for analytics
  * - Automatic welcome message on server join/restart
  * - Scheduled job recovery notifications on restart
  * - Allowance sanity check before every payment
  * - Per-user rate limiting (max 5 commands/minute)
+ * - Native slash commands (/send, /multisend, /giveaway, /balance, /link, /setup, /help)
+ * - Button confirmation for large or AI-interpreted payments
+ * - Giveaways persisted and resumed across restarts
+ * - Payment requests (invoices) with a Pay button
+ * - Split-the-bill with a shared Pay button and reminders for unpaid shares
+ * - Reaction tipping with per-guild emoji amounts
+ * - Per-guild configuration (prefix, default chain, channels, limits, admin roles)
+ * - Transaction history with pagination and CSV export
+ * - Recurring payments (every friday, monthly on the 1st) on top of scheduled_jobs
+ * - List, cancel and reschedule your scheduled payments
+ * - Bounties with a per-guild board, split awards and expiry
+ * - Raffles with button entry and a commit-reveal random draw
+ * - Per-user and per-server daily / per-transaction spending limits
+ * - Per-guild audit channel for payment activity
+ * - Prometheus metrics at /metrics
+ * - JSON logs with a correlation ID per command (logger.js)
+ * - Token-authenticated admin API (/admin) with maintenance mode and payment pauses
+ * - DM receipts to recipients when they get paid (opt out with `receipts off`)
+ * - Deposit watcher that DMs linked users when tokens land in their wallet
  */
 
 import 'dotenv/config';
-import { Client, GatewayIntentBits, EmbedBuilder, Events, AttachmentBuilder, PermissionsBitField } from 'discord.js';
+import { Client, GatewayIntentBits, EmbedBuilder, Events, AttachmentBuilder, PermissionsBitField, MessageFlags, ActionRowBuilder, ButtonBuilder, ButtonStyle, Partials } from 'discord.js';
 import { aiParseCommand, aiChat, aiTransactionReply } from './ai.js';
 import express from 'express';
-import { initSupabase, getSupabase, getProfileByDiscordId, getProfileByMonitag, isCommandProcessed, logCommand, updateCommandStatus, logMonibotTransaction, upsertDiscordServer, markServerInactive, createScheduledJob, getCompletedScheduledJobs, getPendingScheduledJobs } from './database.js';
-import { parseCommand, parseScheduleViaEdge, getTimeGreeting, getHelpContent, getSetupContent, getWelcomeContent } from './commands.js';
-import { executeP2P, executeGrant, getBalance, getAllowance, CHAIN_CONFIGS } from './blockchain.js';
+import { initSupabase, getSupabase, getProfileByDiscordId, getProfileByMonitag, isCommandProcessed, logCommand, getCommandByMessageId, recordCommandBroadcast, updateCommandStatus, logMonibotTransaction, upsertDiscordServer, markServerInactive, getUserSettings, upsertUserSettings, createGiveaway, updateGiveaway, getOpenGiveaways, createRaffle, getRaffle, updateRaffle, claimRaffleDraw, getUnfinishedRaffles, addRaffleEntry, getRaffleEntries, countRaffleEntries, createPaymentRequest, getPaymentRequest, updatePaymentRequest, claimPaymentRequest, expireStalePaymentRequests, getPaymentRequestsForUser, getPaymentRequestsForSplit, createSplit, getSplit, updateSplit, getSplitsDueForReminder, createBounty, getBounty, updateBounty, claimBounty, getOpenBountiesForGuild, getExpiredBounties, getTransactionHistory, recordTip, updateTip, getTipTotalSince, createScheduledJob, getCompletedScheduledJobs, getPendingScheduledJobs, updateScheduledJob, getRecurringJobsAwaitingNext, getScheduledJob, getPendingScheduledJobsForUser, cancelScheduledJob, rescheduleScheduledJob, getScheduledJobsDueBefore, failScheduledJob, insertSpend, hasSpendForReference } from './database.js';
+import { parseCommand, extractRecipients, getMentionId, parseScheduleViaEdge, getTimeGreeting, getHelpContent, getSetupContent, getWelcomeContent } from './commands.js';
+import { executeP2P, executeGrant, getBalance, getAllowance, getBalanceAndAllowance, quoteFee, getTransactionStatus } from './blockchain.js';
+import { DEFAULT_CHAIN, getChain, getChainNames, getExplorerUrl } from './chains.js';
+import { getQueueStats } from './txQueue.js';
+import { createSeed, commitSeed, hashEntries, drawWinners } from './raffle.js';
+import { getSpendingLimits, getSpentToday, checkSpending, reserveSpending, settleSpending, withSpendingLock } from './spendingLimits.js';
+import { logAudit } from './auditLog.js';
+import { createAdminRouter, requireToken } from './adminApi.js';
+import { getMaintenanceNotice, getPaymentPause, loadPaymentPause } from './maintenance.js';
+import { initReceipts, queueReceipt } from './receipts.js';
+import { startDepositWatcher } from './depositWatcher.js';
+import { renderMetrics, commandsTotal, commandParseTotal, crossChainReroutes, rateLimitRejections, scheduledJobNotifications } from './metrics.js';
+import { parseRecurrence, computeNextRun, describeRecurrence, describeRecurrenceEnd } from './recurrence.js';
 import { findAlternateChain } from './crossChainCheck.js';
+import { needsConfirmation, requestConfirmation } from './confirmations.js';
+import { getGuildConfig, saveGuildSettings, isCommandEnabled, isGuildAdmin, getClaimIneligibility, DEFAULT_PREFIX, COMMAND_GROUPS, CONFIG_KEYS } from './guildConfig.js';
+import { registerSlashCommands, parseSlashCommand, isEphemeralCommand, createInteractionContext } from './slashCommands.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createLogger, withCorrelation, newCorrelationId } from './logger.js';
+
+const log = createLogger('index');
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -32,19 +69,6 @@ const __dirname = path.dirname(__filename);
 const PORT = process.env.PORT || 3000;
 const MONIBOT_PROFILE_ID = process.env.MONIBOT_PROFILE_ID || '0cb9ca32-7ef2-4ced-8389-9dbca5156c94';
 
-// ============ Explorer URLs ============
-
-const EXPLORER_URLS = {
-  base: 'https://basescan.org/tx/',
-  bsc: 'https://bscscan.com/tx/',
-  tempo: 'https://explore.tempo.xyz/tx/',
-};
-
-function getExplorerUrl(chain, txHash) {
-  const base = EXPLORER_URLS[chain] || EXPLORER_URLS.base;
-  return `${base}${txHash}`;
-}
-
 // ============ Express Health Check ============
 
 const app = express();
@@ -54,9 +78,19 @@ app.get('/health', (req, res) => {
     platform: 'discord',
     guilds: client?.guilds?.cache?.size || 0,
     uptime: process.uptime(),
+    maintenance: getMaintenanceNotice() !== null,
+    txQueues: getQueueStats(),
   });
 });
-app.listen(PORT, () => console.log(`🚀 Health server on port ${PORT}`));
+// Opt-in and token-protected: command volumes and failure codes aren't for the public port
+if (process.env.METRICS_TOKEN) {
+  app.get('/metrics', requireToken(process.env.METRICS_TOKEN), (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+  });
+} else {
+  log.info('🔒 METRICS_TOKEN not set, /metrics disabled');
+}
+app.listen(PORT, () => log.info(`🚀 Health server on port ${PORT}`));
 
 // ============ Discord Client ============
 
@@ -66,20 +100,28 @@ const client = new Client({
     GatewayIntentBits.GuildMessages,
     GatewayIntentBits.MessageContent,
     GatewayIntentBits.GuildMembers,
+    GatewayIntentBits.GuildMessageReactions,
   ],
+  // Reactions on messages sent before the bot started arrive as partials
+  partials: [Partials.Message, Partials.Channel, Partials.Reaction],
 });
 
+// ============ Admin API ============
+
+const adminRouter = createAdminRouter(client);
+if (adminRouter) app.use('/admin', adminRouter);
+
 // ============ Initialization ============
 
-console.log('┌─────────────────────────────────────────────────┐');
-console.log('│       MoniBot Discord Bot v2.0 (AI-Powered)     │');
-console.log('│    NLP Commands + Conversational AI              │');
-console.log('└─────────────────────────────────────────────────┘\n');
+log.info('┌─────────────────────────────────────────────────┐');
+log.info('│       MoniBot Discord Bot v2.0 (AI-Powered)     │');
+log.info('│    NLP Commands + Conversational AI              │');
+log.info('└─────────────────────────────────────────────────┘\n');
 
 initSupabase();
 
 // ============ Rate Limiter ============
-// Tracks command timestamps per user. Max 5 commands per 60 seconds.
+// Tracks command timestamps per user. Max 5 commands per 60 seconds unless the guild overrides it.
 
 const userCommandTimestamps = new Map();
 const RATE_LIMIT_MAX = 5;
@@ -89,13 +131,14 @@ const RATE_LIMIT_WINDOW_MS = 60 * 1000; // 1 minute
  * Returns { allowed: true } if the user is within the rate limit.
  * Returns { allowed: false, retryAfter } (seconds) if they are over it.
  * @param {string} userId
+ * @param {number} [max] - Commands allowed per window
  * @returns {{ allowed: boolean, retryAfter?: number }}
  */
-function checkRateLimit(userId) {
+function checkRateLimit(userId, max = RATE_LIMIT_MAX) {
   const now = Date.now();
   const timestamps = (userCommandTimestamps.get(userId) || []).filter(t => now - t < RATE_LIMIT_WINDOW_MS);
 
-  if (timestamps.length >= RATE_LIMIT_MAX) {
+  if (timestamps.length >= max) {
     const oldest = timestamps[0];
     const retryAfter = Math.ceil((RATE_LIMIT_WINDOW_MS - (now - oldest)) / 1000);
     return { allowed: false, retryAfter };
@@ -150,11 +193,92 @@ async function checkAllowance(walletAddress, amount, chain) {
   } catch (err) {
     // If the allowance check itself fails (e.g. RPC error), log and allow through —
     // the blockchain execution will catch the real on-chain error.
-    console.warn(`⚠️ [Allowance] Could not check allowance for ${walletAddress} on ${chain}: ${err.message}`);
+    log.warn(`⚠️ [Allowance] Could not check allowance for ${walletAddress} on ${chain}: ${err.message}`);
     return { ok: true };
   }
 }
 
+// ============ Payment Confirmation ============
+
+/**
+ * Ask the author to confirm a payment when it is above their threshold or
+ * was interpreted by AI. Returns true if the payment should go ahead.
+ *
+ * @param {object} message - Discord message or slash command context
+ * @param {object} command - Parsed command
+ * @param {{ title: string, perTransfer: number, transfers: number, recipients: string }} details
+ * @returns {Promise<boolean>}
+ */
+async function confirmPayment(message, command, { title, perTransfer, transfers, recipients }) {
+  const total = perTransfer * transfers;
+  if (!(await needsConfirmation(message, command, total))) return true;
+
+  let fee = null;
+  try {
+    fee = (await quoteFee(perTransfer, command.chain)) * transfers;
+  } catch (err) {
+    log.warn(`⚠️ [Confirm] Could not quote fee on ${command.chain}: ${err.message}`);
+  }
+
+  return requestConfirmation(message, {
+    title,
+    total,
+    recipients,
+    chain: command.chain,
+    symbol: getChain(command.chain)?.symbol,
+    fee,
+    fromAi: command.source === 'ai',
+  });
+}
+
+// ============ Recipient Resolution ============
+
+/**
+ * Best display name for a Discord user in a guild
+ * @param {import('discord.js').Guild} guild
+ * @param {string} userId
+ */
+async function getMemberName(guild, userId) {
+  try {
+    const member = await guild.members.fetch(userId);
+    return member.displayName;
+  } catch {
+    try {
+      const user = await client.users.fetch(userId);
+      return user.username;
+    } catch {
+      return 'That user';
+    }
+  }
+}
+
+/**
+ * Resolve a recipient token from parseCommand (a MoniTag or a <@id> mention)
+ * to a MoniPay profile.
+ * @param {import('discord.js').Guild} guild
+ * @param {string} recipient - Normalized token
+ * @returns {Promise<{ profile: object|null, label: string, isMention: boolean }>}
+ */
+async function resolveRecipient(guild, recipient) {
+  const mentionId = getMentionId(recipient);
+  if (!mentionId) {
+    return { profile: await getProfileByMonitag(recipient), label: `@${recipient}`, isMention: false };
+  }
+
+  const profile = await getProfileByDiscordId(mentionId);
+  const label = profile ? `@${profile.pay_tag}` : await getMemberName(guild, mentionId);
+  return { profile, label, isMention: true };
+}
+
+/**
+ * User-facing error for a recipient that did not resolve
+ */
+function recipientNotFoundMessage({ label, isMention }) {
+  return isMention
+    ? `❌ **${label}** hasn't linked their Discord to MoniPay yet. They can run \`!monibot link\` to get started.`
+    : `❌ MoniTag **${label}** not found. They need to sign up at monipay.xyz`;
+}
+
 // ============ Welcome Message Helper ============
 
 /**
@@ -171,7 +295,7 @@ async function sendWelcomeMessage(guild) {
   try {
     attachment = new AttachmentBuilder(bannerPath, { name: 'monibot_discord.png' });
   } catch (err) {
-    console.warn(`⚠️ [Welcome] Could not load banner image: ${err.message}`);
+    log.warn(`⚠️ [Welcome] Could not load banner image: ${err.message}`);
   }
 
   // ── Build the embed ──────────────────────────────────────────────────────
@@ -241,7 +365,7 @@ async function sendWelcomeMessage(guild) {
   let targetChannel = null;
   if (guild.systemChannel && botCanPost(guild.systemChannel)) {
     targetChannel = guild.systemChannel;
-    console.log(`[Welcome] Using system channel: #${guild.systemChannel.name}`);
+    log.info(`[Welcome] Using system channel: #${guild.systemChannel.name}`);
   }
 
   // 2. Named fallback channels
@@ -253,7 +377,7 @@ async function sendWelcomeMessage(guild) {
       );
       if (found) {
         targetChannel = found;
-        console.log(`[Welcome] Using named fallback channel: #${found.name}`);
+        log.info(`[Welcome] Using named fallback channel: #${found.name}`);
         break;
       }
     }
@@ -267,7 +391,7 @@ async function sendWelcomeMessage(guild) {
       .first();
     if (firstAvailable) {
       targetChannel = firstAvailable;
-      console.log(`[Welcome] Using first available text channel: #${firstAvailable.name}`);
+      log.info(`[Welcome] Using first available text channel: #${firstAvailable.name}`);
     }
   }
 
@@ -275,16 +399,16 @@ async function sendWelcomeMessage(guild) {
   if (targetChannel) {
     try {
       await targetChannel.send(messagePayload);
-      console.log(`✅ [Welcome] Message sent to #${targetChannel.name} in "${guild.name}" (${guild.id})`);
+      log.info(`✅ [Welcome] Message sent to #${targetChannel.name} in "${guild.name}" (${guild.id})`);
       return;
     } catch (err) {
-      console.error(`❌ [Welcome] Failed to send to #${targetChannel.name}: ${err.message}`);
+      log.error(`❌ [Welcome] Failed to send to #${targetChannel.name}: ${err.message}`);
       // Fall through to DM the owner
     }
   }
 
   // 5. Last resort — DM the server owner
-  console.warn(`⚠️ [Welcome] No accessible channel found in "${guild.name}". DMing owner...`);
+  log.warn(`⚠️ [Welcome] No accessible channel found in "${guild.name}". DMing owner...`);
   try {
     const owner = await guild.fetchOwner();
     const ownerEmbed = new EmbedBuilder()
@@ -301,9 +425,9 @@ async function sendWelcomeMessage(guild) {
       : { embeds: [ownerEmbed] };
 
     await owner.send(ownerPayload);
-    console.log(`✅ [Welcome] DM sent to server owner: ${owner.user.tag}`);
+    log.info(`✅ [Welcome] DM sent to server owner: ${owner.user.tag}`);
   } catch (dmErr) {
-    console.error(`❌ [Welcome] Could not DM server owner either: ${dmErr.message}`);
+    log.error(`❌ [Welcome] Could not DM server owner either: ${dmErr.message}`);
   }
 }
 
@@ -320,11 +444,11 @@ async function notifyScheduledJobRecovery() {
   try {
     const pendingJobs = await getPendingScheduledJobs();
     if (!pendingJobs || pendingJobs.length === 0) {
-      console.log('📋 [Recovery] No pending scheduled jobs to notify.');
+      log.info('📋 [Recovery] No pending scheduled jobs to notify.');
       return;
     }
 
-    console.log(`📋 [Recovery] Found ${pendingJobs.length} pending scheduled job(s). Sending recovery notices...`);
+    log.info(`📋 [Recovery] Found ${pendingJobs.length} pending scheduled job(s). Sending recovery notices...`);
 
     for (const job of pendingJobs) {
       const channelId = job.payload?.channelId;
@@ -332,7 +456,7 @@ async function notifyScheduledJobRecovery() {
 
       const channel = client.channels.cache.get(channelId);
       if (!channel) {
-        console.warn(`⚠️ [Recovery] Could not find channel ${channelId} for job ${job.id}`);
+        log.warn(`⚠️ [Recovery] Could not find channel ${channelId} for job ${job.id}`);
         continue;
       }
 
@@ -362,21 +486,28 @@ async function notifyScheduledJobRecovery() {
 
       try {
         await channel.send({ embeds: [embed] });
-        console.log(`📬 [Recovery] Notified channel ${channelId} for job ${job.id}`);
+        log.info(`📬 [Recovery] Notified channel ${channelId} for job ${job.id}`);
       } catch (sendErr) {
-        console.error(`❌ [Recovery] Could not notify channel ${channelId} for job ${job.id}: ${sendErr.message}`);
+        log.error(`❌ [Recovery] Could not notify channel ${channelId} for job ${job.id}: ${sendErr.message}`);
       }
     }
   } catch (err) {
-    console.error('❌ [Recovery] Failed to fetch pending scheduled jobs:', err.message);
+    log.error('❌ [Recovery] Failed to fetch pending scheduled jobs:', err.message);
   }
 }
 
 // ============ Event: Ready ============
 
 client.once(Events.ClientReady, async (c) => {
-  console.log(`✅ Logged in as ${c.user.tag}`);
-  console.log(`📡 Connected to ${c.guilds.cache.size} server(s)`);
+  log.info(`✅ Logged in as ${c.user.tag}`);
+  log.info(`📡 Connected to ${c.guilds.cache.size} server(s)`);
+
+  initReceipts(client);
+
+  // Before anything below can pay (giveaway and raffle recovery)
+  await loadPaymentPause();
+
+  await registerSlashCommands();
 
   // Track all guilds and send welcome on every restart (per spec)
   for (const guild of c.guilds.cache.values()) {
@@ -387,25 +518,38 @@ client.once(Events.ClientReady, async (c) => {
       const fullGuild = await guild.fetch();
       await sendWelcomeMessage(fullGuild);
     } catch (err) {
-      console.error(`❌ [Welcome/Restart] Error for guild "${guild.name}": ${err.message}`);
+      log.error(`❌ [Welcome/Restart] Error for guild "${guild.name}": ${err.message}`);
     }
   }
 
   // Notify users with pending scheduled jobs that bot is back online
   await notifyScheduledJobRecovery();
 
+  // Pick up giveaways that were running when the bot went down
+  await resumeOpenGiveaways();
+  await resumeOpenRaffles();
+
   // Start scheduled job notification poller only after client is ready
   setInterval(pollScheduledJobResults, 30000);
-  console.log('📡 Scheduled job notification poller started (30s interval)');
+  log.info('📡 Scheduled job notification poller started (30s interval)');
 
   // Clean up notified set every 10 min
   setInterval(() => { notifiedJobIds.clear(); }, 10 * 60 * 1000);
+
+  // Remind people who still owe on bill splits
+  setInterval(remindOpenSplits, 60 * 60 * 1000);
+
+  // Close bounties nobody was awarded in time
+  setInterval(expireOpenBounties, 60 * 60 * 1000);
+
+  // DM linked users when tokens arrive in their wallets
+  startDepositWatcher(client);
 });
 
 // ============ Event: Guild Join/Leave ============
 
 client.on(Events.GuildCreate, async (guild) => {
-  console.log(`📥 Joined server: ${guild.name} (${guild.id})`);
+  log.info(`📥 Joined server: ${guild.name} (${guild.id})`);
   upsertDiscordServer(guild.id, guild.name, guild.ownerId, guild.memberCount);
 
   // Send welcome message (covers both first-join and rejoin)
@@ -413,76 +557,129 @@ client.on(Events.GuildCreate, async (guild) => {
     const fullGuild = await guild.fetch();
     await sendWelcomeMessage(fullGuild);
   } catch (err) {
-    console.error(`❌ [Welcome/GuildCreate] Error for guild "${guild.name}": ${err.message}`);
+    log.error(`❌ [Welcome/GuildCreate] Error for guild "${guild.name}": ${err.message}`);
   }
 });
 
 client.on(Events.GuildDelete, (guild) => {
-  console.log(`📤 Left server: ${guild.name} (${guild.id})`);
+  log.info(`📤 Left server: ${guild.name} (${guild.id})`);
   markServerInactive(guild.id);
 });
 
+// ============ Correlation ============
+
+/**
+ * Wrap an event handler so each event runs under a fresh correlation ID,
+ * tying together every log line its command produces across modules.
+ * @param {(...args: any[]) => object} describe - Context fields for the event
+ * @param {Function} handler
+ */
+function correlated(describe, handler) {
+  return (...args) => withCorrelation({ correlationId: newCorrelationId(), ...describe(...args) }, () => handler(...args));
+}
+
 // ============ Event: Message ============
 
-client.on(Events.MessageCreate, async (message) => {
+client.on(Events.MessageCreate, correlated((message) => ({ messageId: message.id, guildId: message.guildId, userId: message.author.id }), async (message) => {
   // Ignore bots and DMs
   if (message.author.bot) return;
   if (!message.guild) return;
 
-  // Check for !monibot prefix or @mention
-  const content = message.content.trim();
-  const botMention = `<@${client.user.id}>`;
+  const guildConfig = await getGuildConfig(message.guild.id);
+
+  // Check for !monibot prefix, the guild's custom prefix, or @mention
+  let content = message.content.trim();
+  const botMention = new RegExp(`<@!?${client.user.id}>\\s*`, 'g');
+
+  // Rewrite a custom prefix to !monibot so every parser below sees one form
+  const customPrefix = guildConfig.prefix;
+  if (customPrefix !== DEFAULT_PREFIX && content.toLowerCase().startsWith(customPrefix)) {
+    const rest = content.slice(customPrefix.length);
+    if (!rest || /^\s/.test(rest)) content = `${DEFAULT_PREFIX} ${rest.trim()}`;
+  }
 
-  if (!content.toLowerCase().startsWith('!monibot') && !content.startsWith(botMention)) return;
+  if (!content.toLowerCase().startsWith(DEFAULT_PREFIX) && !new RegExp(`^<@!?${client.user.id}>`).test(content)) return;
 
-  // Remove prefix to get the actual message
-  const cleaned = content.replace(/^!monibot\s*/i, '').replace(/<@!\d+>\s*/g, '').replace(/<@\d+>\s*/g, '').trim();
+  // Remove prefix and bot mentions to get the actual message; other mentions are recipients
+  const cleaned = content.replace(/^!monibot\s*/i, '').replace(botMention, '').trim();
   if (!cleaned) return;
 
+  const maintenanceNotice = getMaintenanceNotice();
+  if (maintenanceNotice) {
+    await message.reply(maintenanceNotice);
+    return;
+  }
+
+  // ── Allowed channels (admins can still run config anywhere) ─────────────
+  if (!isChannelAllowed(guildConfig, message.channel) && !(/^config\b/i.test(cleaned) && isGuildAdmin(message.member, guildConfig))) {
+    await message.reply(`💬 MoniBot commands are only enabled in ${guildConfig.allowedChannels.map(id => `<#${id}>`).join(', ')}.`);
+    return;
+  }
+
   // ── Rate limit check ────────────────────────────────────────────────────
-  const rateCheck = checkRateLimit(message.author.id);
+  const rateLimit = guildConfig.rateLimit ?? RATE_LIMIT_MAX;
+  const rateCheck = checkRateLimit(message.author.id, rateLimit);
   if (!rateCheck.allowed) {
+    rateLimitRejections.inc({ source: 'message' });
     await message.reply(
       `⏱️ **Slow down!** You're sending commands too fast. Please wait **${rateCheck.retryAfter}s** before trying again.\n` +
-      `_(Limit: ${RATE_LIMIT_MAX} commands per minute)_`
+      `_(Limit: ${rateLimit} commands per minute)_`
     );
     return;
   }
 
-  // Check for time-aware scheduling via edge function (supports complex expressions)
-  const scheduleResult = await parseScheduleViaEdge(content, getSupabase());
-  if (scheduleResult?.hasSchedule && scheduleResult.scheduledAt && scheduleResult.command) {
-    await handleScheduledCommand(message, scheduleResult, cleaned);
-    return;
+  // Try regex parsing first (fast path)
+  let command = parseCommand(content, { defaultChain: guildConfig.defaultChain });
+
+  // "reschedule <id> in 2 hours" or "bounty ... expires in 7 days" aren't scheduled commands
+  if (!TIMED_ARGUMENT_TYPES.has(command?.type)) {
+    // Recurring payments ("... every friday at 9am") become a chain of scheduled jobs
+    const recurrence = parseRecurrence(cleaned);
+    if (recurrence && SCHEDULABLE_TYPES.has(parseCommand(recurrence.commandText, { defaultChain: guildConfig.defaultChain })?.type)) {
+      commandParseTotal.inc({ path: 'schedule' });
+      await handleRecurringCommand(message, recurrence, cleaned);
+      return;
+    }
+
+    // Check for time-aware scheduling via edge function (supports complex expressions)
+    const scheduleResult = await parseScheduleViaEdge(content, getSupabase());
+    if (scheduleResult?.hasSchedule && scheduleResult.scheduledAt && scheduleResult.command) {
+      commandParseTotal.inc({ path: 'schedule' });
+      await handleScheduledCommand(message, scheduleResult, cleaned);
+      return;
+    }
   }
 
-  // Try regex parsing first (fast path)
-  let command = parseCommand(content);
+  if (command) commandParseTotal.inc({ path: 'regex' });
 
   // If regex fails, try AI parsing (smart path)
   if (!command) {
-    console.log(`[AI] Regex miss, trying NLP for: "${cleaned.substring(0, 80)}"`);
+    log.info(`[AI] Regex miss, trying NLP for: "${cleaned.substring(0, 80)}"`);
     const aiResult = await aiParseCommand(cleaned, 'discord');
 
     if (aiResult) {
       if (aiResult.type === 'chat' || aiResult.type === null) {
+        commandParseTotal.inc({ path: 'chat' });
         await handleChat(message, cleaned);
         return;
       }
+      commandParseTotal.inc({ path: 'ai' });
       command = {
         type: aiResult.type,
         amount: aiResult.amount,
         recipients: aiResult.recipients || [],
-        chain: aiResult.chain || 'base',
+        chain: getChain(aiResult.chain)?.name || (aiResult.type === 'balance' ? 'all' : guildConfig.defaultChain),
         maxParticipants: aiResult.maxParticipants,
         raw: cleaned,
+        source: 'ai',
       };
-      console.log(`[AI] Resolved to: ${command.type} | $${command.amount} | ${command.recipients?.join(', ') || 'n/a'}`);
+      log.info(`[AI] Resolved to: ${command.type} | $${command.amount} | ${command.recipients?.join(', ') || 'n/a'}`);
     }
   }
 
   // Still nothing? Try conversational AI
   if (!command) {
+    commandParseTotal.inc({ path: 'chat' });
     await handleChat(message, cleaned);
     return;
   }
@@ -491,7 +688,139 @@ client.on(Events.MessageCreate, async (message) => {
   const alreadyProcessed = await isCommandProcessed('discord', message.id);
   if (alreadyProcessed) return;
 
-  console.log(`\n📨 [Discord] Command from ${message.author.tag}: ${command.type} | ${content.substring(0, 80)}`);
+  log.info(`📨 [Discord] Command from ${message.author.tag}: ${command.type} | ${content.substring(0, 80)}`, {
+    type: command.type,
+    parsePath: command.source === 'ai' ? 'ai' : 'regex',
+  });
+
+  await dispatchCommand(message, command, cleaned);
+}));
+
+// ============ Event: Slash Command ============
+
+client.on(Events.InteractionCreate, correlated((interaction) => ({ interactionId: interaction.id, guildId: interaction.guildId, userId: interaction.user.id }), async (interaction) => {
+  if (interaction.isButton()) {
+    await handleButton(interaction);
+    return;
+  }
+  if (!interaction.isChatInputCommand()) return;
+
+  if (!interaction.guild) {
+    await interaction.reply({ content: '❌ MoniBot commands only work inside a server.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const guildConfig = await getGuildConfig(interaction.guild.id);
+  const command = parseSlashCommand(interaction, { defaultChain: guildConfig.defaultChain });
+  if (!command) return;
+  commandParseTotal.inc({ path: 'slash' });
+
+  const maintenanceNotice = getMaintenanceNotice();
+  if (maintenanceNotice) {
+    await interaction.reply({ content: maintenanceNotice, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  if (!isChannelAllowed(guildConfig, interaction.channel)) {
+    await interaction.reply({
+      content: `💬 MoniBot commands are only enabled in ${guildConfig.allowedChannels.map(id => `<#${id}>`).join(', ')}.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const rateLimit = guildConfig.rateLimit ?? RATE_LIMIT_MAX;
+  const rateCheck = checkRateLimit(interaction.user.id, rateLimit);
+  if (!rateCheck.allowed) {
+    rateLimitRejections.inc({ source: 'slash' });
+    await interaction.reply({
+      content: `⏱️ **Slow down!** You're sending commands too fast. Please wait **${rateCheck.retryAfter}s** before trying again.\n` +
+        `_(Limit: ${rateLimit} commands per minute)_`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  // Defer right away: profile lookups and transfers outlast the 3s response window
+  const ephemeral = isEphemeralCommand(command.type);
+  await interaction.deferReply(ephemeral ? { flags: MessageFlags.Ephemeral } : {});
+  const ctx = createInteractionContext(interaction, { ephemeral });
+
+  log.info(`📨 [Discord] Slash command from ${interaction.user.tag}: ${command.type} | ${ctx.content.substring(0, 80)}`, {
+    type: command.type,
+    parsePath: 'slash',
+  });
+
+  await dispatchCommand(ctx, command, command.raw);
+}));
+
+// ============ Event: Reaction Tip ============
+
+client.on(Events.MessageReactionAdd, correlated((reaction, user) => ({ messageId: reaction.message.id, userId: user.id }), async (reaction, user) => {
+  if (user.bot) return;
+
+  try {
+    if (reaction.partial) await reaction.fetch();
+    if (reaction.message.partial) await reaction.message.fetch();
+    await handleReactionTip(reaction, user);
+  } catch (error) {
+    log.error('❌ Reaction tip error:', error.message);
+  }
+}));
+
+// ============ Guild Policy ============
+
+// Command types whose amount is a single outgoing payment
+const PAYMENT_TYPES = new Set(['p2p', 'p2p_multi', 'giveaway', 'raffle', 'request', 'bounty']);
+
+// Command types that start sending funds right away; refused while payments are paused
+const FUND_MOVING_TYPES = new Set(['p2p', 'p2p_multi', 'giveaway', 'raffle']);
+
+/**
+ * Whether commands are accepted in a channel (threads follow their parent).
+ * @param {object} config - Guild config
+ * @param {import('discord.js').Channel} channel
+ */
+function isChannelAllowed(config, channel) {
+  if (config.allowedChannels.length === 0) return true;
+  return config.allowedChannels.includes(channel?.id) || config.allowedChannels.includes(channel?.parentId);
+}
+
+/**
+ * Check a parsed command against the guild's enabled commands and payment cap.
+ * Returns a user-facing refusal, or null if the command may run.
+ * @param {object} config - Guild config
+ * @param {object} command - Parsed command
+ * @returns {string|null}
+ */
+function checkGuildPolicy(config, command) {
+  if (!isCommandEnabled(config, command.type)) {
+    return '🚫 This command is disabled in this server.';
+  }
+  if (FUND_MOVING_TYPES.has(command.type) && getPaymentPause(config)) {
+    return getPaymentPause(config);
+  }
+  if (config.maxPayment !== null && PAYMENT_TYPES.has(command.type) && command.amount > config.maxPayment) {
+    return `🚫 This server limits single payments to **$${Number(config.maxPayment).toFixed(2)}**.`;
+  }
+  return null;
+}
+
+// ============ Command Dispatch ============
+
+/**
+ * Route a parsed command to its handler.
+ * `message` is either a Discord message or a slash command context from
+ * createInteractionContext(); handlers only rely on the shared surface.
+ */
+async function dispatchCommand(message, command, cleaned) {
+  const guildConfig = await getGuildConfig(message.guild.id);
+  const denial = checkGuildPolicy(guildConfig, command);
+  if (denial) {
+    commandsTotal.inc({ type: command.type, outcome: 'denied' });
+    await message.reply(denial);
+    return;
+  }
 
   try {
     switch (command.type) {
@@ -516,14 +845,52 @@ client.on(Events.MessageCreate, async (message) => {
       case 'giveaway':
         await handleGiveaway(message, command);
         break;
+      case 'raffle':
+        await handleRaffle(message, command);
+        break;
+      case 'confirm_threshold':
+        await handleConfirmThreshold(message, command);
+        break;
+      case 'limits':
+        await handleLimits(message, command);
+        break;
+      case 'receipts':
+        await handleReceiptSettings(message, command);
+        break;
+      case 'request':
+        await handleRequest(message, command);
+        break;
+      case 'requests':
+        await handleRequestList(message);
+        break;
+      case 'split':
+        await handleSplit(message, command);
+        break;
+      case 'bounty':
+        await handleBounty(message, command);
+        break;
+      case 'tip_config':
+        await handleTipConfig(message, command);
+        break;
+      case 'config':
+        await handleConfig(message, command);
+        break;
+      case 'history':
+        await handleHistory(message, command);
+        break;
+      case 'scheduled':
+        await handleScheduledManagement(message, command);
+        break;
       default:
         await handleChat(message, cleaned);
     }
+    commandsTotal.inc({ type: command.type, outcome: 'handled' });
   } catch (error) {
-    console.error('❌ Command handler error:', error.message);
+    commandsTotal.inc({ type: command.type, outcome: 'error' });
+    log.error('❌ Command handler error:', error.message);
     await message.reply('❌ Something went wrong processing your command. Please try again.');
   }
-});
+}
 
 // ============ Command Handlers ============
 
@@ -584,7 +951,12 @@ async function handleBalance(message, command) {
     return;
   }
 
-  const chain = command.chain || senderProfile.preferred_network || 'base';
+  if (!command.chain || command.chain === 'all') {
+    await handlePortfolio(message, senderProfile);
+    return;
+  }
+
+  const chain = command.chain;
   const { balance, symbol } = await getBalance(senderProfile.wallet_address, chain);
 
   const embed = new EmbedBuilder()
@@ -596,19 +968,129 @@ async function handleBalance(message, command) {
   await message.reply({ embeds: [embed] });
 }
 
+/**
+ * Show balance and allowance on every chain in one embed.
+ * Chains are queried in parallel; a chain whose RPC fails is shown as unavailable.
+ */
+async function handlePortfolio(message, senderProfile) {
+  const chains = getChainNames();
+  const results = await Promise.allSettled(
+    chains.map(chain => getBalanceAndAllowance(senderProfile.wallet_address, chain))
+  );
+
+  let totalUsd = 0;
+  const warnings = [];
+  const embed = new EmbedBuilder()
+    .setTitle('💰 Your Portfolio')
+    .setColor(0x0052FF)
+    .setFooter({ text: `@${senderProfile.pay_tag} • Stablecoins counted at $1` });
+
+  results.forEach((result, i) => {
+    const chain = chains[i];
+    const label = getChain(chain).displayName;
+
+    if (result.status === 'rejected') {
+      log.warn(`⚠️ [Portfolio] ${chain} lookup failed: ${result.reason?.message}`);
+      embed.addFields({ name: label, value: '⚠️ Unavailable right now', inline: true });
+      return;
+    }
+
+    const { balance, allowance, symbol } = result.value;
+    totalUsd += balance;
+    const lowAllowance = allowance < balance;
+    if (lowAllowance) warnings.push(`${label}: allowance $${allowance.toFixed(2)} is below your balance`);
+
+    embed.addFields({
+      name: `${lowAllowance ? '⚠️ ' : ''}${label}`,
+      value: `**${balance.toFixed(2)} ${symbol}**\nAllowance: $${allowance.toFixed(2)}`,
+      inline: true,
+    });
+  });
+
+  embed.setDescription(`**Total: $${totalUsd.toFixed(2)}**`);
+
+  if (warnings.length) {
+    embed.addFields({
+      name: '⚠️ Allowance below balance',
+      value: `${warnings.join('\n')}\nRaise it at [monipay.xyz](https://monipay.xyz) → **Settings → MoniBot AI** to spend your full balance.`,
+      inline: false,
+    });
+  }
+
+  await message.reply({ embeds: [embed] });
+}
+
+/**
+ * Send a single payment from the author to one MoniTag, within their
+ * spending limits. Every single-payment flow (send, requests, splits,
+ * bounties) goes through here.
+ * `command.reference` stands in for the message ID when one message pays
+ * several people: it keys the command log, spend record and router
+ * idempotency, so each payment needs its own.
+ * Resolves to { hash, chain } when the transfer went through, undefined otherwise.
+ */
 async function handleP2P(message, command) {
+  const pause = getPaymentPause(await getGuildConfig(message.guild.id));
+  if (pause) {
+    await message.reply(pause);
+    return;
+  }
+
+  const spend = await reserveSpending({
+    discordId: message.author.id,
+    guildId: message.guild.id,
+    perTransfer: command.amount,
+    source: 'p2p',
+    reference: command.reference || message.id,
+  });
+  if (spend.error) {
+    await message.reply(spend.error);
+    return;
+  }
+
+  let result;
+  try {
+    result = await sendP2P(message, command);
+  } finally {
+    // Whatever went wrong around it, a transfer that may have landed counts toward the limits
+    const transfer = result ? { status: 'success' } : await checkUnfinishedTransfer(command.reference || message.id);
+    const spent = transfer.status === 'success' || transfer.status === 'unconfirmed';
+    await settleSpending(spend.reservation, spent ? command.amount : 0);
+  }
+  return result;
+}
+
+/**
+ * What became of a payment whose send flow returned nothing. sendP2P stores
+ * the tx hash on the command row before broadcasting, so a transfer that went
+ * out is found there and checked on-chain.
+ * @param {string} reference - command.reference or the message ID
+ * @returns {Promise<{ status: 'unsent'|'success'|'reverted'|'unconfirmed', hash?: string, chain?: string }>}
+ */
+async function checkUnfinishedTransfer(reference) {
+  const cmd = await getCommandByMessageId('discord', reference);
+  if (!cmd?.result_tx_hash) return { status: 'unsent' };
+
+  const transfer = { hash: cmd.result_tx_hash, chain: cmd.chain };
+  const status = await getTransactionStatus(transfer.chain, transfer.hash).catch(() => null);
+  return { ...transfer, status: status || 'unconfirmed' };
+}
+
+async function sendP2P(message, command) {
   const senderProfile = await getProfileByDiscordId(message.author.id);
   if (!senderProfile) {
     await message.reply('❌ Your Discord is not linked to MoniPay. Use `!monibot link` to connect.');
     return;
   }
 
-  const recipientTag = command.recipients[0];
-  const recipientProfile = await getProfileByMonitag(recipientTag);
+  const recipient = await resolveRecipient(message.guild, command.recipients[0]);
+  const recipientProfile = recipient.profile;
   if (!recipientProfile) {
-    await message.reply(`❌ MoniTag **@${recipientTag}** not found. They need to sign up at monipay.xyz`);
+    await message.reply(recipientNotFoundMessage(recipient));
     return;
   }
+  const recipientTag = recipientProfile.pay_tag;
+  log.debug('👤 [P2P] Profiles resolved', { sender: senderProfile.pay_tag, recipient: recipientTag });
 
   if (senderProfile.id === recipientProfile.id) {
     await message.reply('❌ You can\'t send to yourself.');
@@ -618,14 +1100,23 @@ async function handleP2P(message, command) {
   // ── Allowance sanity check ───────────────────────────────────────────────
   const allowanceCheck = await checkAllowance(senderProfile.wallet_address, command.amount, command.chain);
   if (!allowanceCheck.ok) {
+    log.info('⚠️ [P2P] Allowance check failed', { chain: command.chain, amount: command.amount });
     await message.reply(allowanceCheck.message);
     return;
   }
 
+  const confirmed = await confirmPayment(message, command, {
+    title: 'Send Payment',
+    perTransfer: command.amount,
+    transfers: 1,
+    recipients: `@${recipientProfile.pay_tag}`,
+  });
+  if (!confirmed) return;
+
   // Log command
   const cmd = await logCommand({
     platform: 'discord',
-    platformMessageId: message.id,
+    platformMessageId: command.reference || message.id,
     platformUserId: message.author.id,
     platformChannelId: message.channel.id,
     platformServerId: message.guild.id,
@@ -641,62 +1132,38 @@ async function handleP2P(message, command) {
   const processingMsg = await message.reply(`⏳ Sending **$${command.amount}** to **@${recipientTag}** on ${command.chain}...`);
 
   let activeChain = command.chain;
+  const audit = (event, extra = {}) => logAudit(message.guild, {
+    event,
+    type: 'p2p',
+    actorId: message.author.id,
+    amount: command.amount,
+    chain: activeChain,
+    recipients: [recipientTag],
+    commandId: cmd?.id,
+    ...extra,
+  });
+  audit('created');
+  log.info(`💸 [P2P] Sending $${command.amount} to @${recipientTag}`, { commandId: cmd?.id, chain: activeChain, amount: command.amount });
 
+  // Stored on the command row before broadcast, so a sent transfer can always be found again
+  const onSigned = async (hash) => {
+    if (cmd && !(await recordCommandBroadcast(cmd.id, hash, activeChain))) {
+      throw new Error('ERROR_RECORD:Could not store the transaction before sending');
+    }
+  };
+
+  let sent = null;
   try {
-    const { hash, fee } = await executeP2P(
+    sent = await executeP2P(
       senderProfile.wallet_address,
       recipientProfile.wallet_address,
       command.amount,
-      cmd?.id || message.id,
-      activeChain
+      cmd?.id || command.reference || message.id,
+      activeChain,
+      { onSigned }
     );
-
-    const chainConfig = CHAIN_CONFIGS[activeChain];
-    const explorerUrl = getExplorerUrl(activeChain, hash);
-
-    // Log to unified ledger
-    await logMonibotTransaction({
-      senderId: senderProfile.id,
-      receiverId: recipientProfile.id,
-      amount: command.amount,
-      fee,
-      txHash: hash,
-      type: 'p2p_command',
-      payerPayTag: senderProfile.pay_tag,
-      recipientPayTag: recipientProfile.pay_tag,
-      chain: activeChain.toUpperCase(),
-    });
-
-    await updateCommandStatus(cmd?.id, 'completed', hash);
-
-    // Generate AI natural language reply
-    const aiReply = await aiTransactionReply({
-      type: 'p2p_success',
-      amount: command.amount,
-      fee,
-      symbol: chainConfig.symbol,
-      recipient: recipientProfile.pay_tag,
-      sender: senderProfile.pay_tag,
-      chain: activeChain,
-      txHash: hash,
-    });
-
-    const description = aiReply || `Payment of $${command.amount.toFixed(2)} ${chainConfig.symbol} sent to @${recipientProfile.pay_tag}.`;
-
-    const embed = new EmbedBuilder()
-      .setTitle('✅ Payment Sent!')
-      .setDescription(description)
-      .addFields(
-        { name: 'Amount', value: `$${command.amount.toFixed(2)} ${chainConfig.symbol}`, inline: true },
-        { name: 'Fee', value: `$${fee.toFixed(4)}`, inline: true },
-        { name: 'To', value: `@${recipientProfile.pay_tag}`, inline: true },
-        { name: 'TX', value: `[View on Explorer](${explorerUrl})\n\`${hash}\``, inline: false },
-      )
-      .setColor(0x00FF00);
-
-    await processingMsg.edit({ content: null, embeds: [embed] });
   } catch (error) {
-    console.error('❌ P2P execution error:', error.message);
+    log.error('❌ P2P execution error:', error.message);
 
     // Cross-chain fallback: if balance or allowance error, check other chains
     if (error.message.includes('ERROR_BALANCE') || error.message.includes('ERROR_ALLOWANCE')) {
@@ -710,347 +1177,2814 @@ async function handleP2P(message, command) {
             `🔄 Tried to reroute to **${alt.chain.toUpperCase()}** but your allowance is too low there too.\n\n${altAllowanceCheck.message}`
           );
           await updateCommandStatus(cmd?.id, 'failed', null, 'Allowance too low on all chains');
+          audit('failed', { detail: 'Allowance too low on all chains' });
           return;
         }
 
         // Auto-reroute to alternate chain
         await processingMsg.edit(`🔄 Insufficient funds on ${activeChain}. Rerouting to **${alt.chain.toUpperCase()}** (${alt.balance.toFixed(2)} ${alt.symbol})...`);
+        audit('rerouted', { detail: `${activeChain} → ${alt.chain}` });
+        log.info(`🔄 [P2P] Rerouting ${activeChain} → ${alt.chain}`, { commandId: cmd?.id, from: activeChain, to: alt.chain });
+        crossChainReroutes.inc({ from: activeChain, to: alt.chain });
         activeChain = alt.chain;
 
         try {
-          const { hash, fee } = await executeP2P(
+          sent = await executeP2P(
             senderProfile.wallet_address,
             recipientProfile.wallet_address,
             command.amount,
-            cmd?.id || message.id,
-            activeChain
+            cmd?.id || command.reference || message.id,
+            activeChain,
+            { onSigned }
           );
-
-          const chainConfig = CHAIN_CONFIGS[activeChain];
-          const explorerUrl = getExplorerUrl(activeChain, hash);
-
-          await logMonibotTransaction({
-            senderId: senderProfile.id,
-            receiverId: recipientProfile.id,
-            amount: command.amount,
-            fee,
-            txHash: hash,
-            type: 'p2p_command',
-            payerPayTag: senderProfile.pay_tag,
-            recipientPayTag: recipientProfile.pay_tag,
-            chain: activeChain.toUpperCase(),
-          });
-
-          await updateCommandStatus(cmd?.id, 'completed', hash);
-
-          const aiReply = await aiTransactionReply({
-            type: 'p2p_rerouted',
-            amount: command.amount,
-            fee,
-            symbol: chainConfig.symbol,
-            recipient: recipientProfile.pay_tag,
-            sender: senderProfile.pay_tag,
-            chain: activeChain,
-            originalChain: command.chain,
-            txHash: hash,
-          });
-
-          const description = aiReply || `Smart-routed from ${command.chain} to ${activeChain.toUpperCase()}. $${command.amount.toFixed(2)} ${chainConfig.symbol} delivered to @${recipientProfile.pay_tag}.`;
-
-          const embed = new EmbedBuilder()
-            .setTitle('✅ Payment Sent! (Smart Routed)')
-            .setDescription(description)
-            .addFields(
-              { name: 'Amount', value: `$${command.amount.toFixed(2)} ${chainConfig.symbol}`, inline: true },
-              { name: 'Fee', value: `$${fee.toFixed(4)}`, inline: true },
-              { name: 'To', value: `@${recipientProfile.pay_tag}`, inline: true },
-              { name: 'Route', value: `${command.chain} → ${activeChain.toUpperCase()}`, inline: true },
-              { name: 'TX', value: `[View on Explorer](${explorerUrl})\n\`${hash}\``, inline: false },
-            )
-            .setColor(0x00FF00);
-
-          await processingMsg.edit({ content: null, embeds: [embed] });
-          return;
         } catch (retryError) {
-          console.error('❌ Cross-chain retry also failed:', retryError.message);
+          log.error('❌ Cross-chain retry also failed:', retryError.message);
         }
       } else if (alt && alt.needsAllowance) {
         await updateCommandStatus(cmd?.id, 'failed', null, `Funds on ${alt.chain} but no allowance`);
+        audit('failed', { detail: `Funds on ${alt.chain} but no allowance` });
         await processingMsg.edit(`❌ Insufficient funds on ${command.chain}. You have **${alt.balance.toFixed(2)} ${alt.symbol}** on ${alt.chain.toUpperCase()} but need to set your allowance first at monipay.xyz → Settings → MoniBot AI.`);
         return;
       }
     }
 
-    await updateCommandStatus(cmd?.id, 'failed', null, error.message.substring(0, 200));
-
-    let errorMsg = '❌ Something went wrong processing your payment. Please try again.';
-    if (error.message.includes('ERROR_BALANCE')) {
-      const aiErr = await aiTransactionReply({ type: 'error_balance', sender: senderProfile.pay_tag, amount: command.amount });
-      errorMsg = aiErr || 'Your balance is too low on all available chains to complete this payment. Please fund your wallet at monipay.xyz.';
-    }
-    if (error.message.includes('ERROR_ALLOWANCE')) {
-      const aiErr = await aiTransactionReply({ type: 'error_allowance', sender: senderProfile.pay_tag, chain: command.chain });
-      errorMsg = aiErr || 'You haven\'t approved MoniBot to spend your tokens yet. Head to monipay.xyz → Settings → MoniBot AI to set your allowance.';
-    }
-    if (error.message.includes('ERROR_REVERTED')) {
-      const aiErr = await aiTransactionReply({ type: 'error_reverted', sender: senderProfile.pay_tag, txHash: error.message });
-      errorMsg = aiErr || 'Your transaction was submitted but reverted on-chain. This could be a nonce mismatch, duplicate transaction, or contract issue. Please try again.';
-    }
-
-    await processingMsg.edit(errorMsg);
-  }
-}
+    if (!sent) {
+      await updateCommandStatus(cmd?.id, 'failed', null, error.message.substring(0, 200));
+      audit('failed', { detail: error.message.substring(0, 200) });
 
-async function handleP2PMulti(message, command) {
-  const senderProfile = await getProfileByDiscordId(message.author.id);
-  if (!senderProfile) {
-    await message.reply('❌ Your Discord is not linked to MoniPay. Use `!monibot link` to connect.');
-    return;
-  }
+      let errorMsg = '❌ Something went wrong processing your payment. Please try again.';
+      if (error.message.includes('ERROR_BALANCE')) {
+        const aiErr = await aiTransactionReply({ type: 'error_balance', sender: senderProfile.pay_tag, amount: command.amount });
+        errorMsg = aiErr || 'Your balance is too low on all available chains to complete this payment. Please fund your wallet at monipay.xyz.';
+      }
+      if (error.message.includes('ERROR_ALLOWANCE')) {
+        const aiErr = await aiTransactionReply({ type: 'error_allowance', sender: senderProfile.pay_tag, chain: command.chain });
+        errorMsg = aiErr || 'You haven\'t approved MoniBot to spend your tokens yet. Head to monipay.xyz → Settings → MoniBot AI to set your allowance.';
+      }
+      if (error.message.includes('ERROR_REVERTED')) {
+        const aiErr = await aiTransactionReply({ type: 'error_reverted', sender: senderProfile.pay_tag, txHash: error.message });
+        errorMsg = aiErr || 'Your transaction was submitted but reverted on-chain. This could be a nonce mismatch, duplicate transaction, or contract issue. Please try again.';
+      }
 
-  // ── Allowance sanity check (total = per-person × recipient count) ─────────
-  const totalAmount = command.amount * command.recipients.length;
-  const allowanceCheck = await checkAllowance(senderProfile.wallet_address, totalAmount, command.chain);
-  if (!allowanceCheck.ok) {
-    await message.reply(allowanceCheck.message);
-    return;
+      await processingMsg.edit(errorMsg);
+      return;
+    }
   }
 
-  const processingMsg = await message.reply(`⏳ Sending **$${command.amount}** each to **${command.recipients.length}** recipients...`);
-
-  const results = [];
-  for (const tag of command.recipients) {
-    const recipientProfile = await getProfileByMonitag(tag);
-    if (!recipientProfile) {
-      results.push({ tag, status: 'failed', reason: 'Not found' });
-      continue;
+  // The money has moved: a failure from here on must not report the payment as unpaid
+  const { hash, fee } = sent;
+  const rerouted = activeChain !== command.chain;
+  const afterSend = async (step, fn) => {
+    try {
+      await fn();
+    } catch (err) {
+      log.error(`❌ [P2P] Payment sent but ${step} failed: ${err.message}`, { commandId: cmd?.id, chain: activeChain, txHash: hash });
     }
+  };
+
+  await afterSend('status update', () => updateCommandStatus(cmd?.id, 'completed', hash));
+  await afterSend('ledger write', () => logMonibotTransaction({
+    senderId: senderProfile.id,
+    receiverId: recipientProfile.id,
+    amount: command.amount,
+    fee,
+    txHash: hash,
+    type: 'p2p_command',
+    payerPayTag: senderProfile.pay_tag,
+    recipientPayTag: recipientProfile.pay_tag,
+    chain: activeChain.toUpperCase(),
+  }));
+  audit('executed', { txHash: hash });
+  queueReceipt(recipientProfile, {
+    senderTag: senderProfile.pay_tag,
+    amount: command.amount,
+    chain: activeChain,
+    txHash: hash,
+    memo: command.memo,
+    guildName: message.guild.name,
+  });
 
-    let activeChain = command.chain;
-    try {
-      const { hash, fee } = await executeP2P(
+  await afterSend('reply', async () => {
+    const chainConfig = getChain(activeChain);
+    const explorerUrl = getExplorerUrl(activeChain, hash);
+
+    // Generate AI natural language reply
+    const aiReply = await aiTransactionReply({
+      type: rerouted ? 'p2p_rerouted' : 'p2p_success',
+      amount: command.amount,
+      fee,
+      symbol: chainConfig.symbol,
+      recipient: recipientProfile.pay_tag,
+      sender: senderProfile.pay_tag,
+      chain: activeChain,
+      ...(rerouted && { originalChain: command.chain }),
+      txHash: hash,
+    });
+
+    const description = aiReply || (rerouted
+      ? `Smart-routed from ${command.chain} to ${activeChain.toUpperCase()}. $${command.amount.toFixed(2)} ${chainConfig.symbol} delivered to @${recipientProfile.pay_tag}.`
+      : `Payment of $${command.amount.toFixed(2)} ${chainConfig.symbol} sent to @${recipientProfile.pay_tag}.`);
+
+    const embed = new EmbedBuilder()
+      .setTitle(rerouted ? '✅ Payment Sent! (Smart Routed)' : '✅ Payment Sent!')
+      .setDescription(description)
+      .addFields(
+        { name: 'Amount', value: `$${command.amount.toFixed(2)} ${chainConfig.symbol}`, inline: true },
+        { name: 'Fee', value: `$${fee.toFixed(4)}`, inline: true },
+        { name: 'To', value: `@${recipientProfile.pay_tag}`, inline: true },
+        ...(rerouted ? [{ name: 'Route', value: `${command.chain} → ${activeChain.toUpperCase()}`, inline: true }] : []),
+        { name: 'TX', value: `[View on Explorer](${explorerUrl})\n\`${hash}\``, inline: false },
+      )
+      .setColor(0x00FF00);
+
+    await processingMsg.edit({ content: null, embeds: [embed] });
+  });
+  log.info(`✅ [P2P] ${rerouted ? 'Rerouted payment' : 'Payment'} sent`, { commandId: cmd?.id, chain: activeChain, txHash: hash });
+  return { hash, chain: activeChain };
+}
+
+// ============ Batched Multi-Send ============
+
+const MULTI_SEND_CONCURRENCY = 5;
+const MULTI_SEND_PROGRESS_INTERVAL_MS = 1500;
+
+/**
+ * Check balance and allowance for a whole batch once, before anything is sent.
+ * If the requested chain can't cover the total, the batch moves to another
+ * chain that can.
+ * @returns {Promise<{ ok: true, chain: string, rerouted?: string } | { ok: false, message: string }>}
+ */
+async function preflightBatch(walletAddress, total, chain) {
+  let funds;
+  try {
+    funds = await getBalanceAndAllowance(walletAddress, chain);
+  } catch (err) {
+    // Same policy as checkAllowance: an RPC failure here is caught on-chain later
+    log.warn(`⚠️ [Multi-Send] Preflight failed on ${chain}: ${err.message}`);
+    return { ok: true, chain };
+  }
+
+  if (funds.balance >= total && funds.allowance >= total) return { ok: true, chain };
+
+  const alt = await findAlternateChain(walletAddress, total, chain);
+  if (alt && !alt.needsAllowance) {
+    return { ok: true, chain: alt.chain, rerouted: `${chain}→${alt.chain}` };
+  }
+
+  const chainLabel = chain.toUpperCase();
+  if (funds.balance < total) {
+    return {
+      ok: false,
+      message: `❌ **Not enough balance on ${chainLabel}.** You have **${funds.balance.toFixed(2)} ${funds.symbol}** but this multi-send needs **$${total.toFixed(2)}**. Nothing was sent.`,
+    };
+  }
+  return {
+    ok: false,
+    message:
+      `⚠️ **Allowance too low on ${chainLabel}.**\n` +
+      `Your current approved spending limit is **$${funds.allowance.toFixed(2)}** but this multi-send needs **$${total.toFixed(2)}**. Nothing was sent.\n\n` +
+      `Please increase your allowance at [monipay.xyz](https://monipay.xyz) → **Settings → MoniBot AI & Automation** before sending.`,
+  };
+}
+
+/**
+ * Progress/result embed for a multi-send. Uses the description so large
+ * batches aren't cut off by the 25-field limit.
+ */
+function buildMultiSendEmbed(results, { amount, chain, rerouted, done }) {
+  const successCount = results.filter(r => r.status === 'success').length;
+  const finished = results.filter(r => r.status !== 'pending').length;
+
+  const lines = results.map(r => {
+    if (r.status === 'pending') return `⏳ ${r.label}`;
+    if (r.status === 'success') return `✅ ${r.label} — [View TX](${getExplorerUrl(r.chain, r.hash)})`;
+    return `❌ ${r.label}: ${r.reason}`;
+  });
+
+  let list = lines.join('\n');
+  if (list.length > 3800) list = `${list.substring(0, 3800)}\n…`;
+
+  const allOk = successCount === results.length;
+  return new EmbedBuilder()
+    .setTitle(done ? `${allOk ? '✅' : '⚠️'} Multi-Send Results` : `⏳ Multi-Send in progress (${finished}/${results.length})`)
+    .setDescription(
+      `**$${amount}** each on **${chain.toUpperCase()}**${rerouted ? ` _(rerouted ${rerouted})_` : ''}\n` +
+      `${successCount}/${results.length} transfers completed\n\n${list}`
+    )
+    .setColor(done ? (allOk ? 0x00FF00 : 0xFFA500) : 0x0052FF);
+}
+
+async function handleP2PMulti(message, command) {
+  const senderProfile = await getProfileByDiscordId(message.author.id);
+  if (!senderProfile) {
+    await message.reply('❌ Your Discord is not linked to MoniPay. Use `!monibot link` to connect.');
+    return;
+  }
+
+  // Resolve everyone up front; a MoniTag and a mention of the same person count once
+  const unresolved = [];
+  const recipientProfiles = [];
+  const seenProfiles = new Set();
+  for (const token of command.recipients) {
+    const recipient = await resolveRecipient(message.guild, token);
+    if (!recipient.profile) {
+      unresolved.push({ label: recipient.label, status: 'failed', reason: recipient.isMention ? 'Not linked to MoniPay' : 'Not found' });
+      continue;
+    }
+    if (seenProfiles.has(recipient.profile.id)) continue;
+    seenProfiles.add(recipient.profile.id);
+    recipientProfiles.push(recipient.profile);
+  }
+
+  if (recipientProfiles.length === 0 || (command.allOrNothing && unresolved.length > 0)) {
+    const header = recipientProfiles.length === 0
+      ? '❌ None of the recipients could be found.'
+      : '❌ **All-or-nothing:** some recipients could not be resolved, so nothing was sent.';
+    await message.reply(`${header}\n${unresolved.map(r => `• ${r.label}: ${r.reason}`).join('\n')}`);
+    return;
+  }
+
+  // ── Preflight: balance and allowance for the whole batch, checked once ────
+  const totalAmount = command.amount * recipientProfiles.length;
+  const preflight = await preflightBatch(senderProfile.wallet_address, totalAmount, command.chain);
+  if (!preflight.ok) {
+    await message.reply(preflight.message);
+    return;
+  }
+  const batchChain = preflight.chain;
+
+  const spend = await reserveSpending({
+    discordId: message.author.id,
+    guildId: message.guild.id,
+    perTransfer: command.amount,
+    transfers: recipientProfiles.length,
+    source: 'p2p_multi',
+    reference: message.id,
+  });
+  if (spend.error) {
+    await message.reply(spend.error);
+    return;
+  }
+
+  // Settle with what actually went out, whatever fails below
+  let results = [];
+  try {
+    const confirmed = await confirmPayment(message, { ...command, chain: batchChain }, {
+      title: 'Multi-Send',
+      perTransfer: command.amount,
+      transfers: recipientProfiles.length,
+      recipients: recipientProfiles.map(p => `@${p.pay_tag}`).join(', '),
+    });
+    if (!confirmed) return;
+
+    const cmd = await logCommand({
+      platform: 'discord',
+      platformMessageId: message.id,
+      platformUserId: message.author.id,
+      platformChannelId: message.channel.id,
+      platformServerId: message.guild.id,
+      commandType: 'p2p_multi',
+      commandText: message.content,
+      parsedAmount: command.amount,
+      parsedRecipients: recipientProfiles.map(p => p.pay_tag),
+      chain: batchChain,
+      status: 'processing',
+      profileId: senderProfile.id,
+    });
+    const audit = (event, extra = {}) => logAudit(message.guild, {
+      event,
+      type: 'p2p_multi',
+      actorId: message.author.id,
+      amount: totalAmount,
+      chain: batchChain,
+      recipients: recipientProfiles.map(p => p.pay_tag),
+      commandId: cmd?.id,
+      ...extra,
+    });
+    audit('created');
+    if (preflight.rerouted) {
+      audit('rerouted', { detail: preflight.rerouted });
+      crossChainReroutes.inc({ from: command.chain, to: batchChain });
+    }
+
+    results = [
+      ...unresolved,
+      ...recipientProfiles.map(profile => ({ label: `@${profile.pay_tag}`, profile, status: 'pending' })),
+    ];
+    const embedOptions = { amount: command.amount, chain: batchChain, rerouted: preflight.rerouted, done: false };
+    const progressMsg = await message.reply({ embeds: [buildMultiSendEmbed(results, embedOptions)] });
+
+    // Edits are chained so they land in order, and throttled to respect rate limits
+    let lastEditAt = Date.now();
+    let editChain = Promise.resolve();
+    const refreshProgress = (force = false) => {
+      if (!force && Date.now() - lastEditAt < MULTI_SEND_PROGRESS_INTERVAL_MS) return editChain;
+      lastEditAt = Date.now();
+      const embed = buildMultiSendEmbed(results, embedOptions);
+      editChain = editChain
+        .then(() => progressMsg.edit({ content: null, embeds: [embed] }))
+        .catch(err => log.warn(`⚠️ [Multi-Send] Progress update failed: ${err.message}`));
+      return editChain;
+    };
+
+    const sendOne = async (entry) => {
+      const recipientProfile = entry.profile;
+      try {
+        const { hash, fee } = await executeP2P(
+          senderProfile.wallet_address,
+          recipientProfile.wallet_address,
+          command.amount,
+          `${message.id}_${recipientProfile.pay_tag.toLowerCase()}`,
+          batchChain
+        );
+
+        await logMonibotTransaction({
+          senderId: senderProfile.id,
+          receiverId: recipientProfile.id,
+          amount: command.amount,
+          fee,
+          txHash: hash,
+          type: 'p2p_command',
+          payerPayTag: senderProfile.pay_tag,
+          recipientPayTag: recipientProfile.pay_tag,
+          chain: batchChain.toUpperCase(),
+        });
+
+        Object.assign(entry, { status: 'success', hash, chain: batchChain });
+        queueReceipt(recipientProfile, {
+          senderTag: senderProfile.pay_tag,
+          amount: command.amount,
+          chain: batchChain,
+          txHash: hash,
+          memo: 'Multi-send',
+          guildName: message.guild.name,
+        });
+      } catch (error) {
+        log.error(`❌ [Multi-Send] Transfer to @${recipientProfile.pay_tag} failed:`, error.message);
+        Object.assign(entry, { status: 'failed', reason: error.message.split(':')[0] });
+      }
+      refreshProgress();
+    };
+
+    // Pipeline transfers: the executor queue orders nonces, so several can be in flight at once
+    const queue = results.filter(r => r.status === 'pending');
+    const workers = Array.from({ length: Math.min(MULTI_SEND_CONCURRENCY, queue.length) }, async () => {
+      while (queue.length) await sendOne(queue.shift());
+    });
+    await Promise.all(workers);
+
+    const sentCount = results.filter(r => r.status === 'success').length;
+    const sentSummary = `${sentCount}/${results.length} sent`;
+    await updateCommandStatus(cmd?.id, sentCount > 0 ? 'completed' : 'failed', null, sentCount > 0 ? null : sentSummary);
+    audit(sentCount > 0 ? 'executed' : 'failed', { amount: sentCount * command.amount, detail: sentSummary });
+
+    embedOptions.done = true;
+    await refreshProgress(true);
+  } finally {
+    await settleSpending(spend.reservation, results.filter(r => r.status === 'success').length * command.amount);
+  }
+}
+
+// ============ Giveaways ============
+
+async function handleGiveaway(message, command) {
+  const senderProfile = await getProfileByDiscordId(message.author.id);
+  if (!senderProfile) {
+    await message.reply('❌ Your Discord is not linked to MoniPay. Use `!monibot link` to connect.');
+    return;
+  }
+
+  const totalBudget = command.amount * command.maxParticipants;
+
+  // ── Allowance sanity check (total giveaway budget) ───────────────────────
+  const allowanceCheck = await checkAllowance(senderProfile.wallet_address, totalBudget, command.chain);
+  if (!allowanceCheck.ok) {
+    await message.reply(allowanceCheck.message);
+    return;
+  }
+
+  // Each claim reserves its own amount when paid; this only checks the budget fits today
+  const limitError = await checkSpending(message.author.id, message.guild.id, command.amount, command.maxParticipants);
+  if (limitError) {
+    await message.reply(limitError);
+    return;
+  }
+
+  const confirmed = await confirmPayment(message, command, {
+    title: 'Giveaway',
+    perTransfer: command.amount,
+    transfers: command.maxParticipants,
+    recipients: `First ${command.maxParticipants} people to drop their MoniTag ($${command.amount} each)`,
+  });
+  if (!confirmed) return;
+
+  // Log the giveaway command
+  const cmd = await logCommand({
+    platform: 'discord',
+    platformMessageId: message.id,
+    platformUserId: message.author.id,
+    platformChannelId: message.channel.id,
+    platformServerId: message.guild.id,
+    commandType: 'giveaway',
+    commandText: message.content,
+    parsedAmount: command.amount,
+    parsedRecipients: [],
+    chain: command.chain,
+    status: 'pending',
+    profileId: senderProfile.id,
+  });
+
+  // Persist before announcing so a restart can pick the giveaway back up
+  const giveaway = await createGiveaway({
+    messageId: message.id,
+    guildId: message.guild.id,
+    channelId: message.channel.id,
+    senderProfileId: senderProfile.id,
+    senderDiscordId: message.author.id,
+    amount: command.amount,
+    maxParticipants: command.maxParticipants,
+    chain: command.chain,
+    expiresAt: new Date(Date.now() + GIVEAWAY_DURATION_MS).toISOString(),
+    commandId: cmd?.id,
+  });
+
+  if (!giveaway) {
+    await message.reply('❌ Could not start the giveaway. Please try again.');
+    return;
+  }
+
+  logAudit(message.guild, {
+    event: 'giveaway_started',
+    type: 'giveaway',
+    actorId: message.author.id,
+    amount: totalBudget,
+    chain: command.chain,
+    commandId: cmd?.id,
+    detail: `${command.maxParticipants} spots × $${command.amount}`,
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle('🎁 MoniBot Giveaway!')
+    .setDescription(`**@${senderProfile.pay_tag}** is giving away **$${command.amount}** each to the first **${command.maxParticipants}** people!`)
+    .addFields(
+      { name: '💰 Per Person', value: `$${command.amount}`, inline: true },
+      { name: '👥 Spots', value: `${command.maxParticipants}`, inline: true },
+      { name: '💎 Total', value: `$${totalBudget.toFixed(2)}`, inline: true },
+      { name: 'How to Claim', value: 'Drop your own **@MoniTag** below! 👇', inline: false },
+    )
+    .setColor(0xFFD700)
+    .setFooter({ text: 'First come, first served! One spot per person; your Discord must be linked to the MoniTag you drop.' });
+
+  const giveawayMsg = await message.reply({ embeds: [embed] });
+  await updateGiveaway(giveaway.id, { announcement_message_id: giveawayMsg.id });
+
+  runGiveawayCollector(message.channel, giveaway, senderProfile);
+}
+
+// ============ Giveaway Collector ============
+
+const GIVEAWAY_DURATION_MS = 10 * 60 * 1000; // 10 min
+
+// Claims are stored 'pending' before the transfer and 'paid' after it; rows from
+// before claim statuses existed are all paid. 'unconfirmed' claims may have been
+// paid but have no receipt to show it: they keep their spot until an operator checks.
+const countPaidClaims = (claims) => claims.filter(c => (c.status || 'paid') === 'paid').length;
+
+/**
+ * Collect MoniTag replies for a persisted giveaway and pay each claimer.
+ * Used for new giveaways and for ones resumed after a restart; claims
+ * already stored on the record (paid or not) count toward the spots.
+ *
+ * @param {import('discord.js').TextChannel} channel
+ * @param {object} giveaway - discord_giveaways row
+ * @param {object} senderProfile
+ */
+function runGiveawayCollector(channel, giveaway, senderProfile) {
+  const amount = Number(giveaway.amount);
+  const { chain, max_participants: maxParticipants } = giveaway;
+  const remainingMs = new Date(giveaway.expires_at).getTime() - Date.now();
+
+  // Create a collector for replies
+  const filter = (m) => !m.author.bot && /@\w+/i.test(m.content);
+  const collector = channel.createMessageCollector({ filter, time: Math.max(remainingMs, 1000) });
+
+  const claims = [...(giveaway.claims || [])];
+  let claimedCount = claims.length;
+  // One spot per Discord user, per MoniPay profile and per wallet
+  const claimedUsers = new Set(claims.map(c => c.discordId));
+  const claimedProfiles = new Set(claims.map(c => c.profileId));
+  const claimedWallets = new Set(claims.map(c => c.wallet).filter(Boolean));
+
+  // Writes are chained so each one stores the latest claims, in order
+  let saveChain = Promise.resolve();
+  const saveClaims = () => {
+    saveChain = saveChain.then(() => updateGiveaway(giveaway.id, { claimed_count: countPaidClaims(claims), claims }));
+    return saveChain;
+  };
+
+  collector.on('collect', correlated((reply) => ({ messageId: reply.id, userId: reply.author.id, giveawayId: giveaway.id }), async (reply) => {
+    if (claimedCount >= maxParticipants) {
+      collector.stop('limit');
+      return;
+    }
+
+    // Prevent duplicate claims
+    if (claimedUsers.has(reply.author.id)) return;
+
+    // Extract the MoniTag or Discord mention from the reply (ignoring mentions of the bot)
+    const claimToken = extractRecipients(reply.content).find(t => getMentionId(t) !== client.user.id);
+    if (!claimToken) return;
+
+    const claim = await resolveRecipient(channel.guild, claimToken);
+    const recipientProfile = claim.profile;
+    if (!recipientProfile) {
+      await reply.reply(claim.isMention ? recipientNotFoundMessage(claim) : `❌ ${claim.label} not found on MoniPay. Sign up at monipay.xyz first!`);
+      return;
+    }
+    const claimTag = recipientProfile.pay_tag;
+
+    // Prevent self-giveaway
+    if (recipientProfile.id === senderProfile.id) return;
+
+    // Claimers can only drop the MoniTag linked to their own Discord
+    const claimerProfile = recipientProfile.discord_id === reply.author.id
+      ? recipientProfile
+      : await getProfileByDiscordId(reply.author.id);
+    if (claimerProfile?.id !== recipientProfile.id) {
+      await reply.reply(claimerProfile
+        ? `❌ You can only claim with your own MoniTag, **@${claimerProfile.pay_tag}**.`
+        : '❌ Link your Discord to MoniPay first (`!monibot link`), then drop your own MoniTag.');
+      return;
+    }
+
+    const guildConfig = await getGuildConfig(channel.guild.id);
+    const pause = getPaymentPause(guildConfig);
+    if (pause) {
+      await reply.reply(`${pause} Your claim was not taken.`);
+      return;
+    }
+
+    const member = reply.member ?? await channel.guild.members.fetch(reply.author.id).catch(() => null);
+    const ineligible = member ? getClaimIneligibility(member, guildConfig) : 'Could not verify your server membership.';
+    if (ineligible) {
+      await reply.reply(`❌ ${ineligible}`);
+      return;
+    }
+
+    // Re-check after the awaits above; nothing async runs between this check and the adds
+    const wallet = recipientProfile.wallet_address.toLowerCase();
+    if (claimedUsers.has(reply.author.id) || claimedProfiles.has(recipientProfile.id) || claimedWallets.has(wallet)) return;
+    if (claimedCount >= maxParticipants) return;
+
+    claimedUsers.add(reply.author.id);
+    claimedProfiles.add(recipientProfile.id);
+    claimedWallets.add(wallet);
+    claimedCount++;
+    // Keyed on the claim message, not the spot count: overlapping claims must never share a router tweetId
+    const claimKey = `giveaway_${giveaway.message_id}_${reply.id}`;
+
+    const spend = await reserveSpending({
+      discordId: giveaway.sender_discord_id,
+      guildId: channel.guild.id,
+      perTransfer: amount,
+      source: 'giveaway',
+      reference: giveaway.id,
+    });
+    if (spend.error) {
+      claimedUsers.delete(reply.author.id);
+      claimedProfiles.delete(recipientProfile.id);
+      claimedWallets.delete(wallet);
+      claimedCount--;
+      await reply.reply('❌ Giveaway ended — the host reached their spending limit.');
+      collector.stop('spending_limit');
+      return;
+    }
+
+    // Stored before paying, so a restart mid-transfer neither frees the spot nor pays twice
+    const entry = {
+      discordId: reply.author.id,
+      profileId: recipientProfile.id,
+      payTag: recipientProfile.pay_tag,
+      wallet,
+      key: claimKey,
+      reservationId: spend.reservation?.id || null,
+      status: 'pending',
+    };
+    claims.push(entry);
+    await saveClaims();
+
+    let sent;
+    try {
+      sent = await executeP2P(
         senderProfile.wallet_address,
         recipientProfile.wallet_address,
-        command.amount,
-        `${message.id}_${tag}`,
-        activeChain
+        amount,
+        claimKey,
+        chain,
+        {
+          // Recovery looks this hash up instead of sending the claim again
+          onSigned: async (hash) => {
+            entry.txHash = hash;
+            if (!(await saveClaims())) throw new Error('ERROR_RECORD:Could not store the claim transaction before sending');
+          },
+        }
       );
+    } catch (error) {
+      log.error(`❌ Giveaway transfer error for @${claimTag}:`, error.message);
+
+      if (entry.txHash && !error.message.includes('ERROR_RECORD') && !error.message.includes('ERROR_REVERTED')) {
+        // Broadcast but not confirmed: keep the spot and leave it to recovery or an operator
+        // Its spending reservation stays pending, which still counts toward the limits
+        entry.status = 'unconfirmed';
+        await saveClaims();
+        log.error(`❌ [Giveaway] Claim by @${claimTag} on ${giveaway.id} is unconfirmed; check ${entry.txHash} on ${chain}`);
+        logAudit(channel.guild, { event: 'failed', type: 'giveaway', actorId: giveaway.sender_discord_id, amount, chain, recipients: [claimTag], txHash: entry.txHash, commandId: giveaway.command_id, detail: 'claim broadcast but unconfirmed' });
+        await reply.reply(`⏳ Your payout was sent but isn't confirmed yet.\n\`${entry.txHash}\``).catch(() => {});
+        return;
+      }
+
+      await settleSpending(spend.reservation, 0);
+      claims.splice(claims.indexOf(entry), 1);
+      await saveClaims();
+      claimedUsers.delete(reply.author.id);
+      claimedProfiles.delete(recipientProfile.id);
+      claimedWallets.delete(wallet);
+      claimedCount--;
+      logAudit(channel.guild, { event: 'failed', type: 'giveaway', actorId: giveaway.sender_discord_id, amount, chain, recipients: [claimTag], commandId: giveaway.command_id, detail: error.message });
+
+      try {
+        if (error.message.includes('ERROR_BALANCE')) {
+          await reply.reply('❌ Giveaway ended — sender ran out of funds.');
+          collector.stop('funds');
+        } else if (error.message.includes('ERROR_ALLOWANCE')) {
+          await reply.reply('❌ Giveaway paused — sender needs to set allowance at monipay.xyz → Settings → MoniBot AI.');
+          collector.stop('allowance');
+        } else if (error.message.includes('rate limit') || error.message.includes('429')) {
+          await reply.reply('⏳ Network is busy — please try claiming again in a moment.');
+        } else {
+          await reply.reply('❌ Transfer failed — please try again.');
+        }
+      } catch (err) {
+        log.warn(`⚠️ [Giveaway] Could not reply to claim ${reply.id}: ${err.message}`);
+      }
+      return;
+    }
 
+    // Paid: a failure from here on must not free the spot
+    const { hash, fee } = sent;
+    Object.assign(entry, { status: 'paid', txHash: hash });
+    await saveClaims();
+    await settleSpending(spend.reservation, amount);
+    logAudit(channel.guild, { event: 'executed', type: 'giveaway', actorId: giveaway.sender_discord_id, amount, chain, recipients: [claimTag], txHash: hash, commandId: giveaway.command_id });
+    if (claimedCount >= maxParticipants) {
+      collector.stop('limit');
+    }
+
+    try {
       await logMonibotTransaction({
         senderId: senderProfile.id,
         receiverId: recipientProfile.id,
-        amount: command.amount,
+        amount,
         fee,
         txHash: hash,
         type: 'p2p_command',
         payerPayTag: senderProfile.pay_tag,
         recipientPayTag: recipientProfile.pay_tag,
-        chain: activeChain.toUpperCase(),
+        chain: chain.toUpperCase(),
+      });
+      queueReceipt(recipientProfile, {
+        senderTag: senderProfile.pay_tag,
+        amount,
+        chain,
+        txHash: hash,
+        memo: 'Giveaway',
+        guildName: channel.guild.name,
       });
 
-      results.push({ tag, status: 'success', hash, chain: activeChain });
-    } catch (error) {
-      // Cross-chain fallback
-      if (error.message.includes('ERROR_BALANCE') || error.message.includes('ERROR_ALLOWANCE')) {
-        const alt = await findAlternateChain(senderProfile.wallet_address, command.amount, activeChain);
-        if (alt && !alt.needsAllowance) {
-          // Allowance check on the alternate chain
-          const altAllowanceCheck = await checkAllowance(senderProfile.wallet_address, command.amount, alt.chain);
-          if (altAllowanceCheck.ok) {
-            try {
-              const { hash, fee } = await executeP2P(
-                senderProfile.wallet_address,
-                recipientProfile.wallet_address,
-                command.amount,
-                `${message.id}_${tag}`,
-                alt.chain
-              );
-
-              await logMonibotTransaction({
-                senderId: senderProfile.id,
-                receiverId: recipientProfile.id,
-                amount: command.amount,
-                fee,
-                txHash: hash,
-                type: 'p2p_command',
-                payerPayTag: senderProfile.pay_tag,
-                recipientPayTag: recipientProfile.pay_tag,
-                chain: alt.chain.toUpperCase(),
-              });
-
-              results.push({ tag, status: 'success', hash, rerouted: `${activeChain}→${alt.chain}`, chain: alt.chain });
-              continue;
-            } catch (retryError) {
-              results.push({ tag, status: 'failed', reason: retryError.message.split(':')[0] });
-              continue;
-            }
-          }
-        }
+      const explorerUrl = getExplorerUrl(chain, hash);
+      await reply.reply(`✅ **$${amount.toFixed(2)}** sent to **@${recipientProfile.pay_tag}**! (${countPaidClaims(claims)}/${maxParticipants})\n[View TX](${explorerUrl}) | \`${hash}\``);
+    } catch (err) {
+      log.error(`❌ [Giveaway] Paid @${claimTag} (${hash}) but a follow-up step failed: ${err.message}`);
+    }
+  }));
+
+  collector.on('end', async (collected, reason) => {
+    await endGiveaway(channel, giveaway, countPaidClaims(claims), reason);
+  });
+}
+
+/**
+ * Close a giveaway record and post the ended summary.
+ * @param {import('discord.js').TextChannel} channel
+ * @param {object} giveaway - discord_giveaways row
+ * @param {number} claimedCount
+ * @param {string} reason - Collector end reason, or 'expired_offline' / 'sender_unlinked' on recovery
+ */
+async function endGiveaway(channel, giveaway, claimedCount, reason) {
+  await updateGiveaway(giveaway.id, {
+    status: 'ended',
+    end_reason: reason,
+    ended_at: new Date().toISOString(),
+  });
+
+  const footers = {
+    limit: 'All spots filled!',
+    funds: 'Sender ran out of funds',
+    allowance: 'Sender needs to raise their allowance',
+    spending_limit: 'Sender reached their spending limit',
+    expired_offline: 'Expired while MoniBot was offline',
+    sender_unlinked: 'Sender is no longer linked to MoniPay',
+  };
+
+  const endEmbed = new EmbedBuilder()
+    .setTitle('🎁 Giveaway Ended!')
+    .setDescription(`**${claimedCount}/${giveaway.max_participants}** spots claimed.`)
+    .setColor(reason === 'limit' ? 0x00FF00 : 0xFFA500)
+    .setFooter({ text: footers[reason] || 'Time expired' });
+
+  try {
+    await channel.send({ embeds: [endEmbed] });
+  } catch (err) {
+    log.error(`❌ [Giveaway] Could not post ended summary for ${giveaway.id}: ${err.message}`);
+  }
+
+  logAudit(channel.guild, {
+    event: 'giveaway_ended',
+    type: 'giveaway',
+    actorId: giveaway.sender_discord_id,
+    amount: Number(giveaway.amount) * claimedCount,
+    chain: giveaway.chain,
+    commandId: giveaway.command_id,
+    detail: `${claimedCount}/${giveaway.max_participants} claimed · ${footers[reason] || 'Time expired'}`,
+  });
+}
+
+/**
+ * Settle claims that were mid-transfer when the bot went down, without
+ * sending anything again. Each claim's tx hash is stored before broadcast,
+ * so its receipt says whether the claim was paid. Claims with no stored hash,
+ * or whose transfer has no receipt yet, are marked 'unconfirmed' for an
+ * operator to check: the spot stays taken and the claimer can't claim again.
+ * @param {object} giveaway - discord_giveaways row; its claims are updated in place
+ */
+async function recoverPendingClaims(giveaway) {
+  const claims = giveaway.claims || [];
+  const unsettled = claims.filter(c => c.status === 'pending' || (c.status === 'unconfirmed' && c.txHash));
+  if (unsettled.length === 0) return;
+
+  const amount = Number(giveaway.amount);
+  const senderProfile = await getProfileByDiscordId(giveaway.sender_discord_id);
+  const guild = client.guilds.cache.get(giveaway.guild_id);
+  const audit = (claim, event, detail) => logAudit(guild, {
+    event,
+    type: 'giveaway',
+    actorId: giveaway.sender_discord_id,
+    amount,
+    chain: giveaway.chain,
+    recipients: [claim.payTag],
+    txHash: claim.txHash,
+    commandId: giveaway.command_id,
+    detail,
+  });
+
+  for (const claim of unsettled) {
+    let status = null;
+    if (claim.txHash) {
+      try {
+        status = await getTransactionStatus(giveaway.chain, claim.txHash);
+      } catch (err) {
+        log.warn(`⚠️ [Recovery] Could not look up ${claim.txHash} on ${giveaway.chain}: ${err.message}`);
+      }
+    }
+
+    if (status === 'success') {
+      if (claim.reservationId) await settleSpending({ id: claim.reservationId }, amount);
+      claim.status = 'paid';
+      if (senderProfile) {
+        await logMonibotTransaction({
+          senderId: senderProfile.id,
+          receiverId: claim.profileId,
+          amount,
+          fee: 0,
+          txHash: claim.txHash,
+          type: 'p2p_command',
+          payerPayTag: senderProfile.pay_tag,
+          recipientPayTag: claim.payTag,
+          chain: giveaway.chain.toUpperCase(),
+        });
       }
-      results.push({ tag, status: 'failed', reason: error.message.split(':')[0] });
+      log.info(`🎁 [Recovery] Claim by @${claim.payTag} on giveaway ${giveaway.id} was paid in ${claim.txHash}`);
+      audit(claim, 'executed', 'confirmed after restart');
+    } else if (status === 'reverted') {
+      // Never paid: free the spot
+      if (claim.reservationId) await settleSpending({ id: claim.reservationId }, 0);
+      claims.splice(claims.indexOf(claim), 1);
+      log.warn(`⚠️ [Recovery] Dropped claim by @${claim.payTag} on giveaway ${giveaway.id}: ${claim.txHash} reverted`);
+      audit(claim, 'failed', 'reverted');
+    } else {
+      claim.status = 'unconfirmed';
+      log.error(`❌ [Recovery] Claim by @${claim.payTag} on giveaway ${giveaway.id} is unconfirmed; ${claim.txHash ? `check ${claim.txHash} on ${giveaway.chain}` : `no transaction was recorded, check router key ${claim.key}`}`);
     }
   }
 
-  const successCount = results.filter(r => r.status === 'success').length;
-  const embed = new EmbedBuilder()
-    .setTitle(`${successCount === results.length ? '✅' : '⚠️'} Multi-Send Results`)
-    .setDescription(`${successCount}/${results.length} transfers completed`)
-    .setColor(successCount === results.length ? 0x00FF00 : 0xFFA500);
+  await updateGiveaway(giveaway.id, { claimed_count: countPaidClaims(claims), claims });
+}
+
+/**
+ * On bot restart, resume collectors for giveaways that are still running
+ * and close out the ones that expired while the bot was down. Claims left
+ * pending by the restart are finished first.
+ */
+async function resumeOpenGiveaways() {
+  const giveaways = await getOpenGiveaways();
+  if (giveaways.length === 0) {
+    log.info('🎁 [Recovery] No open giveaways to resume.');
+    return;
+  }
+
+  log.info(`🎁 [Recovery] Found ${giveaways.length} open giveaway(s). Resuming...`);
+
+  for (const giveaway of giveaways) {
+    await recoverPendingClaims(giveaway);
+
+    let channel;
+    try {
+      channel = await client.channels.fetch(giveaway.channel_id);
+    } catch (err) {
+      log.warn(`⚠️ [Recovery] Could not fetch channel ${giveaway.channel_id} for giveaway ${giveaway.id}: ${err.message}`);
+    }
+
+    if (!channel) {
+      await updateGiveaway(giveaway.id, { status: 'ended', end_reason: 'channel_missing', ended_at: new Date().toISOString() });
+      continue;
+    }
+
+    const claimedCount = countPaidClaims(giveaway.claims || []);
+
+    if (new Date(giveaway.expires_at) <= new Date()) {
+      await endGiveaway(channel, giveaway, claimedCount, 'expired_offline');
+      continue;
+    }
+
+    const senderProfile = await getProfileByDiscordId(giveaway.sender_discord_id);
+    if (!senderProfile) {
+      await endGiveaway(channel, giveaway, claimedCount, 'sender_unlinked');
+      continue;
+    }
+
+    runGiveawayCollector(channel, giveaway, senderProfile);
+
+    const expiresTs = Math.floor(new Date(giveaway.expires_at).getTime() / 1000);
+    try {
+      await channel.send(
+        `🔄 MoniBot is back online — **@${senderProfile.pay_tag}**'s giveaway is still running! ` +
+        `**${giveaway.max_participants - claimedCount}** spot(s) left, ends <t:${expiresTs}:R>. Drop your **@MoniTag** below 👇`
+      );
+    } catch (err) {
+      log.warn(`⚠️ [Recovery] Could not announce resumed giveaway ${giveaway.id}: ${err.message}`);
+    }
+    log.info(`🎁 [Recovery] Resumed giveaway ${giveaway.id} in channel ${giveaway.channel_id}`);
+  }
+}
+
+// ============ Raffles ============
+
+const RAFFLE_DEFAULT_DURATION_MS = 60 * 60 * 1000;
+const RAFFLE_MAX_DURATION_MS = 7 * 24 * 60 * 60 * 1000;
+const RAFFLE_MIN_DURATION_MS = 60 * 1000;
+const RAFFLE_MAX_WINNERS = 50;
+const RAFFLE_PAUSE_RETRY_MS = 5 * 60 * 1000;
+
+// raffle ID → draw timeout
+const raffleTimers = new Map();
+
+// Winners drawn before payout statuses existed are paid when they have a tx hash
+const isPaidWinner = (w) => (w.status ? w.status === 'paid' : !!w.txHash);
+
+/**
+ * Build the raffle embed: entry button while open, results once drawn.
+ * @param {object} raffle - discord_raffles row
+ * @param {number} entryCount
+ */
+function buildRaffleMessage(raffle, entryCount) {
+  const amount = Number(raffle.amount);
+  const { chain } = raffle;
+  const endsTs = Math.floor(new Date(raffle.ends_at).getTime() / 1000);
+  const symbol = getChain(chain)?.symbol || '';
+
+  const embed = new EmbedBuilder()
+    .setTitle('🎟️ MoniBot Raffle!')
+    .setDescription(`**@${raffle.poster_pay_tag}** is raffling **$${amount.toFixed(2)}** each to **${raffle.winner_count}** random winner${raffle.winner_count === 1 ? '' : 's'}!`)
+    .addFields(
+      { name: '💰 Per Winner', value: `$${amount.toFixed(2)} ${symbol}`.trim(), inline: true },
+      { name: '🏆 Winners', value: `${raffle.winner_count}`, inline: true },
+      { name: '🎟️ Entries', value: `${entryCount}`, inline: true },
+    )
+    .setColor(raffle.status === 'open' ? 0xFFD700 : raffle.status === 'drawn' ? 0x00FF00 : 0x808080);
+
+  if (raffle.status === 'open') {
+    embed.addFields(
+      { name: '⏰ Draw', value: `<t:${endsTs}:R>`, inline: true },
+      { name: 'How to Enter', value: 'Press **Enter raffle** below. You need a linked MoniPay account.', inline: false },
+    );
+  } else if (raffle.status === 'drawn') {
+    const lines = (raffle.winners || []).map(w => isPaidWinner(w)
+      ? `🏆 <@${w.discordId}> (@${w.payTag}) · [TX](${getExplorerUrl(w.chain || chain, w.txHash)})`
+      : w.status === 'unconfirmed'
+        ? `❔ <@${w.discordId}> — payout unconfirmed${w.txHash ? ` · [TX](${getExplorerUrl(chain, w.txHash)})` : ''}`
+        : `⚠️ <@${w.discordId}> — not paid: ${w.error}`);
+    embed.addFields({ name: '🏆 Winners', value: lines.join('\n').substring(0, 1024) || 'No entries', inline: false });
+  }
+
+  embed.addFields({ name: '🔒 Seed Commitment (sha256)', value: `\`${raffle.seed_hash}\``, inline: false });
+  if (raffle.status === 'drawn') {
+    embed.addFields(
+      { name: '🔑 Revealed Seed', value: `\`${raffle.seed}\``, inline: false },
+      { name: '📋 Entries Hash', value: `\`${raffle.entries_hash}\``, inline: false },
+    );
+  }
+  embed.setFooter({ text: `Raffle ID: ${raffle.id}${raffle.status === 'drawn' ? ' • Check: sha256(seed) = commitment, then re-run the draw' : ''}` });
+
+  const components = raffle.status === 'open'
+    ? [new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`raffle_enter:${raffle.id}`).setLabel('Enter raffle').setEmoji('🎟️').setStyle(ButtonStyle.Success),
+    )]
+    : [];
+
+  return { embeds: [embed], components };
+}
+
+async function handleRaffle(message, command) {
+  const senderProfile = await getProfileByDiscordId(message.author.id);
+  if (!senderProfile) {
+    await message.reply('❌ Your Discord is not linked to MoniPay. Use `!monibot link` to connect.');
+    return;
+  }
+
+  if (command.winners < 1 || command.winners > RAFFLE_MAX_WINNERS) {
+    await message.reply(`❌ Raffles can have 1 to ${RAFFLE_MAX_WINNERS} winners.`);
+    return;
+  }
+  const durationMs = command.durationMs ?? RAFFLE_DEFAULT_DURATION_MS;
+  if (durationMs < RAFFLE_MIN_DURATION_MS || durationMs > RAFFLE_MAX_DURATION_MS) {
+    await message.reply('❌ Raffles can run from 1 minute to 7 days.');
+    return;
+  }
+
+  const totalBudget = command.amount * command.winners;
+  const allowanceCheck = await checkAllowance(senderProfile.wallet_address, totalBudget, command.chain);
+  if (!allowanceCheck.ok) {
+    await message.reply(allowanceCheck.message);
+    return;
+  }
+
+  // Payouts reserve against the limits at draw time; this checks the prize fits today
+  const limitError = await checkSpending(message.author.id, message.guild.id, command.amount, command.winners);
+  if (limitError) {
+    await message.reply(limitError);
+    return;
+  }
+
+  const confirmed = await confirmPayment(message, command, {
+    title: 'Raffle',
+    perTransfer: command.amount,
+    transfers: command.winners,
+    recipients: `${command.winners} random winner(s) ($${command.amount} each)`,
+  });
+  if (!confirmed) return;
+
+  const cmd = await logCommand({
+    platform: 'discord',
+    platformMessageId: message.id,
+    platformUserId: message.author.id,
+    platformChannelId: message.channel.id,
+    platformServerId: message.guild.id,
+    commandType: 'raffle',
+    commandText: message.content,
+    parsedAmount: command.amount,
+    parsedRecipients: [],
+    chain: command.chain,
+    status: 'pending',
+    profileId: senderProfile.id,
+  });
+
+  const seed = createSeed();
+  const raffle = await createRaffle({
+    guildId: message.guild.id,
+    channelId: message.channel.id,
+    posterDiscordId: message.author.id,
+    posterProfileId: senderProfile.id,
+    posterPayTag: senderProfile.pay_tag,
+    amount: command.amount,
+    winnerCount: command.winners,
+    chain: command.chain,
+    seed,
+    seedHash: commitSeed(seed),
+    endsAt: new Date(Date.now() + durationMs).toISOString(),
+    commandId: cmd?.id,
+  });
+  if (!raffle) {
+    await message.reply('❌ Could not start the raffle. Please try again.');
+    return;
+  }
+
+  const raffleMsg = await message.reply(buildRaffleMessage(raffle, 0));
+  await updateRaffle(raffle.id, { message_id: raffleMsg.id });
+  scheduleRaffleDraw({ ...raffle, message_id: raffleMsg.id });
+  logAudit(message.guild, {
+    event: 'raffle_started',
+    type: 'raffle',
+    actorId: message.author.id,
+    amount: command.amount * command.winners,
+    chain: command.chain,
+    commandId: cmd?.id,
+    detail: `${command.winners} winner(s) × $${command.amount}`,
+  });
+  log.info(`🎟️ [Raffle] ${raffle.id}: $${command.amount} x ${command.winners} by @${senderProfile.pay_tag}`);
+}
+
+/**
+ * Enter a raffle from its button. One entry per Discord user.
+ * @param {import('discord.js').ButtonInteraction} interaction
+ * @param {string} raffleId
+ */
+async function handleRaffleButton(interaction, raffleId) {
+  const raffle = await getRaffle(raffleId);
+  if (!raffle || raffle.status !== 'open' || new Date(raffle.ends_at) <= new Date()) {
+    await interaction.reply({ content: '⌛ This raffle is closed.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  if (interaction.user.id === raffle.poster_discord_id) {
+    await interaction.reply({ content: '❌ You can\'t enter your own raffle.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const ineligible = getClaimIneligibility(interaction.member, await getGuildConfig(raffle.guild_id));
+  if (ineligible) {
+    await interaction.reply({ content: `❌ ${ineligible}`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const profile = await getProfileByDiscordId(interaction.user.id);
+  if (!profile) {
+    await interaction.reply({ content: '❌ Link your Discord to MoniPay first so you can be paid. Use `!monibot link`.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const entry = await addRaffleEntry({
+    raffleId,
+    discordId: interaction.user.id,
+    profileId: profile.id,
+    payTag: profile.pay_tag,
+  });
+  if (!entry) {
+    await interaction.reply({ content: '🎟️ You\'re already in this raffle.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  await interaction.update(buildRaffleMessage(raffle, await countRaffleEntries(raffleId)));
+  await interaction.followUp({ content: `🎟️ You're in! The draw is <t:${Math.floor(new Date(raffle.ends_at).getTime() / 1000)}:R>.`, flags: MessageFlags.Ephemeral });
+}
+
+/**
+ * Arm the timer that draws a raffle when it ends (immediately if overdue)
+ */
+function scheduleRaffleDraw(raffle) {
+  clearTimeout(raffleTimers.get(raffle.id));
+  const delay = Math.max(new Date(raffle.ends_at).getTime() - Date.now(), 0);
+  raffleTimers.set(raffle.id, setTimeout(() => {
+    raffleTimers.delete(raffle.id);
+    withCorrelation({ correlationId: newCorrelationId(), raffleId: raffle.id }, () => drawRaffle(raffle.id))
+      .catch(err => log.error(`❌ [Raffle] Draw failed for ${raffle.id}:`, err.message));
+  }, delay));
+}
+
+/**
+ * Settle a raffle payout that was in flight over a restart. Its tx hash is
+ * stored before broadcast, so the receipt says whether it was paid. Payouts
+ * with no stored hash or no receipt yet become 'unconfirmed' for an operator.
+ * @param {object} raffle - discord_raffles row
+ * @param {object} result - The winner entry, updated in place
+ * @param {object|null} senderProfile
+ */
+async function settleInterruptedRafflePayout(raffle, result, senderProfile) {
+  const amount = Number(raffle.amount);
+  const reservation = result.reservationId ? { id: result.reservationId } : null;
+
+  let status = null;
+  if (result.txHash) {
+    try {
+      status = await getTransactionStatus(raffle.chain, result.txHash);
+    } catch (err) {
+      log.warn(`⚠️ [Raffle] Could not look up ${result.txHash} on ${raffle.chain}: ${err.message}`);
+    }
+  }
+
+  if (status === 'success') {
+    await settleSpending(reservation, amount);
+    Object.assign(result, { status: 'paid', chain: raffle.chain });
+    const winnerProfile = await getProfileByDiscordId(result.discordId);
+    if (senderProfile && winnerProfile) {
+      await logMonibotTransaction({
+        senderId: senderProfile.id,
+        receiverId: winnerProfile.id,
+        amount,
+        fee: 0,
+        txHash: result.txHash,
+        type: 'p2p_command',
+        payerPayTag: senderProfile.pay_tag,
+        recipientPayTag: winnerProfile.pay_tag,
+        chain: raffle.chain.toUpperCase(),
+      });
+    }
+    log.info(`🎟️ [Raffle] Interrupted payout to @${result.payTag} on ${raffle.id} was paid in ${result.txHash}`);
+  } else if (status === 'reverted') {
+    await settleSpending(reservation, 0);
+    delete result.txHash;
+    Object.assign(result, { status: 'failed', error: 'transfer failed' });
+  } else {
+    Object.assign(result, { status: 'unconfirmed', error: 'payout interrupted by a restart; being checked' });
+    log.error(`❌ [Raffle] Interrupted payout to @${result.payTag} on ${raffle.id} is unconfirmed; ${result.txHash ? `check ${result.txHash} on ${raffle.chain}` : `no transaction was recorded, check router key ${result.key}`}`);
+  }
+}
+
+/**
+ * Close a raffle, draw winners from the stored entries and pay them.
+ * The seed, entries hash and winners are saved on the raffle for audits.
+ * The draw is saved before anyone is paid and each payout as it happens, so a
+ * raffle left 'drawing' by a crash picks up where it stopped.
+ */
+async function drawRaffle(raffleId) {
+  const pending = await getRaffle(raffleId);
+  if (!pending || !['open', 'drawing'].includes(pending.status)) return;
+
+  // While payments are paused the draw waits; entries stay open until it runs
+  if (getPaymentPause(await getGuildConfig(pending.guild_id))) {
+    log.info(`⏸️ [Raffle] ${raffleId} draw postponed: payments paused`);
+    const endsAt = new Date(Date.now() + RAFFLE_PAUSE_RETRY_MS).toISOString();
+    if (pending.status === 'open') await updateRaffle(raffleId, { ends_at: endsAt });
+    scheduleRaffleDraw({ ...pending, ends_at: endsAt });
+    return;
+  }
+
+  // Atomic open → drawing, so a restart can't draw twice. A raffle already
+  // drawing was interrupted mid-payout and is finished instead.
+  const raffle = pending.status === 'drawing' ? pending : await claimRaffleDraw(raffleId);
+  if (!raffle) return;
+
+  const entries = await getRaffleEntries(raffle.id);
+  const amount = Number(raffle.amount);
+
+  // The stored draw wins over a fresh one: the entries hash it was made
+  // from is the one the results publish
+  let results = raffle.winners;
+  const entriesHash = raffle.entries_hash || hashEntries(entries.map(e => e.discord_id)).entriesHash;
+  const entryCount = raffle.entry_count ?? entries.length;
+  if (!results) {
+    const { winners } = drawWinners(raffle.seed, entries.map(e => e.discord_id), raffle.winner_count);
+    results = winners.map((discordId, i) => ({
+      discordId,
+      payTag: entries.find(e => e.discord_id === discordId).pay_tag,
+      key: `raffle_${raffle.id}_${i}`,
+      status: 'queued',
+    }));
+    await updateRaffle(raffle.id, { entries_hash: entriesHash, entry_count: entryCount, winners: results });
+  }
+  const saveResults = () => updateRaffle(raffle.id, { winners: results });
+
+  // Payout goes to the wallet linked now, in case it changed since entering
+  const senderProfile = await getProfileByDiscordId(raffle.poster_discord_id);
+  for (const result of results) {
+    if (result.status === 'sending') {
+      // In flight when the bot went down: settled from its receipt, never sent again
+      await settleInterruptedRafflePayout(raffle, result, senderProfile);
+      await saveResults();
+      continue;
+    }
+    if (result.status !== 'queued') continue;
+
+    const winnerProfile = await getProfileByDiscordId(result.discordId);
+    if (!senderProfile || !winnerProfile) {
+      Object.assign(result, { status: 'failed', error: senderProfile ? 'winner is no longer linked' : 'raffle host is no longer linked' });
+      await saveResults();
+      continue;
+    }
+    result.payTag = winnerProfile.pay_tag;
+
+    const spend = await reserveSpending({
+      discordId: raffle.poster_discord_id,
+      guildId: raffle.guild_id,
+      perTransfer: amount,
+      source: 'raffle',
+      reference: raffle.id,
+    });
+    if (spend.error) {
+      Object.assign(result, { status: 'failed', error: 'host reached their spending limit' });
+      await saveResults();
+      continue;
+    }
+    const { reservation } = spend;
+    Object.assign(result, { status: 'sending', reservationId: reservation?.id || null });
+    await saveResults();
+
+    let sent;
+    try {
+      sent = await executeP2P(
+        senderProfile.wallet_address,
+        winnerProfile.wallet_address,
+        amount,
+        result.key,
+        raffle.chain,
+        {
+          onSigned: async (hash) => {
+            result.txHash = hash;
+            if (!(await saveResults())) throw new Error('ERROR_RECORD:Could not store the payout transaction before sending');
+          },
+        }
+      );
+    } catch (error) {
+      log.error(`❌ [Raffle] Payout to @${result.payTag} failed:`, error.message);
+      if (result.txHash && !error.message.includes('ERROR_RECORD') && !error.message.includes('ERROR_REVERTED')) {
+        // Broadcast but not confirmed; the reservation stays pending until it's checked
+        Object.assign(result, { status: 'unconfirmed', error: 'payout sent but not confirmed' });
+        log.error(`❌ [Raffle] Payout on ${raffle.id} is unconfirmed; check ${result.txHash} on ${raffle.chain}`);
+      } else {
+        await settleSpending(reservation, 0);
+        delete result.txHash;
+        Object.assign(result, {
+          status: 'failed',
+          error: error.message.includes('ERROR_BALANCE') ? 'host ran out of funds'
+            : error.message.includes('ERROR_ALLOWANCE') ? 'host allowance too low'
+              : 'transfer failed',
+        });
+      }
+      await saveResults();
+      continue;
+    }
+
+    Object.assign(result, { status: 'paid', txHash: sent.hash, chain: raffle.chain });
+    await saveResults();
+    await settleSpending(reservation, amount);
+    try {
+      await logMonibotTransaction({
+        senderId: senderProfile.id,
+        receiverId: winnerProfile.id,
+        amount,
+        fee: sent.fee,
+        txHash: sent.hash,
+        type: 'p2p_command',
+        payerPayTag: senderProfile.pay_tag,
+        recipientPayTag: winnerProfile.pay_tag,
+        chain: raffle.chain.toUpperCase(),
+      });
+      queueReceipt(winnerProfile, {
+        senderTag: senderProfile.pay_tag,
+        amount,
+        chain: raffle.chain,
+        txHash: sent.hash,
+        memo: 'Raffle win',
+        guildName: client.guilds.cache.get(raffle.guild_id)?.name,
+      });
+    } catch (err) {
+      log.error(`❌ [Raffle] Paid @${result.payTag} (${sent.hash}) but a follow-up step failed: ${err.message}`);
+    }
+  }
+
+  const drawn = {
+    ...raffle,
+    status: 'drawn',
+    entries_hash: entriesHash,
+    entry_count: entryCount,
+    winners: results,
+    drawn_at: new Date().toISOString(),
+  };
+  await updateRaffle(raffle.id, {
+    status: 'drawn',
+    winners: results,
+    drawn_at: drawn.drawn_at,
+  });
+  log.info(`🎟️ [Raffle] ${raffle.id} drawn: ${results.length} winner(s) from ${entryCount} entries`);
+
+  const paid = results.filter(isPaidWinner);
+  logAudit(client.guilds.cache.get(raffle.guild_id), {
+    event: 'raffle_drawn',
+    type: 'raffle',
+    actorId: raffle.poster_discord_id,
+    amount: amount * paid.length,
+    chain: raffle.chain,
+    recipients: paid.map(r => r.payTag),
+    commandId: raffle.command_id,
+    detail: `${paid.length}/${results.length} paid from ${entryCount} entries`,
+  });
+
+  try {
+    const channel = await client.channels.fetch(raffle.channel_id);
+    const rendered = buildRaffleMessage(drawn, entryCount);
+    if (raffle.message_id) {
+      const raffleMsg = await channel.messages.fetch(raffle.message_id);
+      await raffleMsg.edit(rendered);
+    }
+    const mentions = results.filter(isPaidWinner).map(r => `<@${r.discordId}>`).join(' ');
+    await channel.send({
+      content: entryCount === 0
+        ? '🎟️ The raffle closed with no entries, so nothing was paid.'
+        : `🎉 Raffle drawn! ${mentions || 'No winners could be paid.'}`,
+      embeds: rendered.embeds,
+    });
+  } catch (err) {
+    log.warn(`⚠️ [Raffle] Could not post results for ${raffle.id}: ${err.message}`);
+  }
+}
+
+/**
+ * On bot restart, re-arm draw timers for open raffles (overdue ones draw now)
+ * and finish raffles that were interrupted mid-draw
+ */
+async function resumeOpenRaffles() {
+  const raffles = await getUnfinishedRaffles();
+  for (const raffle of raffles) {
+    scheduleRaffleDraw(raffle.status === 'drawing' ? { ...raffle, ends_at: new Date().toISOString() } : raffle);
+  }
+  if (raffles.length) log.info(`🎟️ [Recovery] Re-armed ${raffles.length} unfinished raffle(s).`);
+}
+
+// ============ Payment Requests ============
+
+const REQUEST_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const REQUEST_STATUS_LABELS = {
+  open: '🟡 Open',
+  processing: '⏳ Processing',
+  paid: '✅ Paid',
+  declined: '🚫 Declined',
+  expired: '⌛ Expired',
+};
+
+/**
+ * Build the invoice embed (and buttons while the request is open).
+ * @param {object} request - discord_payment_requests row
+ */
+function buildRequestMessage(request) {
+  const amount = Number(request.amount);
+  const expiresTs = Math.floor(new Date(request.expires_at).getTime() / 1000);
+  const { chain } = request;
+
+  const embed = new EmbedBuilder()
+    .setTitle('🧾 Payment Request')
+    .setDescription(`**@${request.requester_pay_tag}** is requesting **$${amount.toFixed(2)}** from <@${request.payer_discord_id}>`)
+    .addFields(
+      { name: '💸 Amount', value: `$${amount.toFixed(2)} ${getChain(chain)?.symbol || ''}`.trim(), inline: true },
+      { name: '⛓️ Chain', value: chain.toUpperCase(), inline: true },
+      { name: '📌 Status', value: REQUEST_STATUS_LABELS[request.status] || request.status, inline: true },
+    )
+    .setColor(request.status === 'paid' ? 0x00FF00 : request.status === 'open' ? 0x0052FF : 0x808080)
+    .setFooter({ text: `Request ID: ${request.id}` });
+
+  if (request.memo) {
+    embed.addFields({ name: '📝 For', value: request.memo.substring(0, 1024), inline: false });
+  }
+  if (request.status === 'open') {
+    embed.addFields({ name: '⏰ Expires', value: `<t:${expiresTs}:R>`, inline: false });
+  }
+  if (request.tx_hash) {
+    embed.addFields({ name: 'TX', value: `[View on Explorer](${getExplorerUrl(chain, request.tx_hash)})\n\`${request.tx_hash}\``, inline: false });
+  }
+
+  const components = request.status === 'open'
+    ? [new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`request_pay:${request.id}`).setLabel(`Pay $${amount.toFixed(2)}`).setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId(`request_decline:${request.id}`).setLabel('Decline').setStyle(ButtonStyle.Secondary),
+    )]
+    : [];
+
+  return { embeds: [embed], components };
+}
+
+async function handleRequest(message, command) {
+  const requesterProfile = await getProfileByDiscordId(message.author.id);
+  if (!requesterProfile) {
+    await message.reply('❌ Your Discord is not linked to MoniPay. Use `!monibot link` to connect.');
+    return;
+  }
+
+  const payer = await resolveRecipient(message.guild, command.recipients[0]);
+  const payerProfile = payer.profile;
+  if (!payerProfile) {
+    await message.reply(recipientNotFoundMessage(payer));
+    return;
+  }
+
+  if (payerProfile.id === requesterProfile.id) {
+    await message.reply('❌ You can\'t request a payment from yourself.');
+    return;
+  }
+
+  if (!payerProfile.discord_id) {
+    await message.reply(`❌ **@${payerProfile.pay_tag}** hasn't linked their Discord yet, so they can't pay a request here.`);
+    return;
+  }
+
+  const request = await createPaymentRequest({
+    guildId: message.guild.id,
+    channelId: message.channel.id,
+    requesterDiscordId: message.author.id,
+    requesterProfileId: requesterProfile.id,
+    requesterPayTag: requesterProfile.pay_tag,
+    payerDiscordId: payerProfile.discord_id,
+    payerProfileId: payerProfile.id,
+    payerPayTag: payerProfile.pay_tag,
+    amount: command.amount,
+    chain: command.chain,
+    memo: command.memo,
+    expiresAt: new Date(Date.now() + REQUEST_EXPIRY_MS).toISOString(),
+  });
+
+  if (!request) {
+    await message.reply('❌ Could not create the payment request. Please try again.');
+    return;
+  }
+
+  const invoiceMsg = await message.reply({ content: `<@${payerProfile.discord_id}>`, ...buildRequestMessage(request) });
+  await updatePaymentRequest(request.id, { message_id: invoiceMsg.id });
+}
+
+async function handleRequestList(message) {
+  await expireStalePaymentRequests();
+  const requests = await getPaymentRequestsForUser(message.author.id);
+
+  if (requests.length === 0) {
+    await message.reply('🧾 You have no payment requests yet. Try `!monibot request $5 from @bob for lunch`.');
+    return;
+  }
+
+  const formatRequest = (r, counterparty) => {
+    const memo = r.memo ? ` — ${r.memo.substring(0, 40)}` : '';
+    return `${REQUEST_STATUS_LABELS[r.status] || r.status} **$${Number(r.amount).toFixed(2)}** ${counterparty}${memo}`;
+  };
+
+  const owedByYou = requests
+    .filter(r => r.payer_discord_id === message.author.id)
+    .map(r => formatRequest(r, `to @${r.requester_pay_tag}`));
+  const owedToYou = requests
+    .filter(r => r.requester_discord_id === message.author.id)
+    .map(r => formatRequest(r, `from @${r.payer_pay_tag}`));
+
+  const embed = new EmbedBuilder()
+    .setTitle('🧾 Your Payment Requests')
+    .addFields(
+      { name: '📥 Requested from you', value: owedByYou.join('\n').substring(0, 1024) || 'None', inline: false },
+      { name: '📤 Requested by you', value: owedToYou.join('\n').substring(0, 1024) || 'None', inline: false },
+    )
+    .setColor(0x0052FF)
+    .setFooter({ text: 'Pay open requests with the button on the request message' });
+
+  await message.reply({ embeds: [embed] });
+}
+
+/**
+ * Pay or decline a request from its invoice buttons.
+ * Only the addressed payer can press them.
+ * @param {import('discord.js').ButtonInteraction} interaction
+ * @param {'pay'|'decline'} action
+ * @param {string} requestId
+ */
+async function handleRequestButton(interaction, action, requestId) {
+  const request = await getPaymentRequest(requestId);
+  if (!request) {
+    await interaction.reply({ content: '❌ This payment request no longer exists.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  if (interaction.user.id !== request.payer_discord_id) {
+    await interaction.reply({ content: `❌ Only <@${request.payer_discord_id}> can respond to this request.`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  if (request.status === 'open' && new Date(request.expires_at) <= new Date()) {
+    await updatePaymentRequest(request.id, { status: 'expired', resolved_at: new Date().toISOString() });
+    await interaction.update(buildRequestMessage({ ...request, status: 'expired' }));
+    return;
+  }
+
+  // Atomic open → processing, so a double click can't pay twice
+  const claimed = await claimPaymentRequest(request.id);
+  if (!claimed) {
+    await interaction.reply({ content: `This request is already ${REQUEST_STATUS_LABELS[request.status] || request.status}.`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  if (action === 'decline') {
+    const declined = { ...claimed, status: 'declined' };
+    await updatePaymentRequest(request.id, { status: 'declined', resolved_at: new Date().toISOString() });
+    await interaction.update(buildRequestMessage(declined));
+    return;
+  }
+
+  const paid = await settleClaimedRequest(interaction, claimed);
+  if (!paid) return;
+
+  try {
+    await interaction.message.edit(buildRequestMessage(paid));
+  } catch (err) {
+    log.warn(`⚠️ [Request] Could not update invoice for ${claimed.id}: ${err.message}`);
+  }
+}
+
+/**
+ * Pay a request that was already claimed (status 'processing') by running the
+ * normal send flow with the payer as author and the requester as recipient.
+ * On failure the request goes back to open, unless a transfer was broadcast:
+ * then it only reopens once the chain shows that transfer reverted.
+ * @param {import('discord.js').ButtonInteraction} interaction - Pressed by the payer
+ * @param {object} claimed - discord_payment_requests row
+ * @returns {Promise<object|null>} The paid request, or null if nothing was sent
+ */
+async function settleClaimedRequest(interaction, claimed) {
+  await interaction.deferReply();
+  const ctx = createInteractionContext(interaction);
+  let result;
+  try {
+    result = await handleP2P(ctx, {
+      type: 'p2p',
+      amount: Number(claimed.amount),
+      recipients: [claimed.requester_pay_tag],
+      chain: claimed.chain,
+      memo: claimed.memo,
+      raw: `request ${claimed.id}`,
+    });
+  } catch (error) {
+    log.error(`❌ Payment request ${claimed.id} error:`, error.message);
+    await ctx.reply('❌ Something went wrong processing your payment. Please try again.');
+  }
+
+  if (!result) {
+    const transfer = await checkUnfinishedTransfer(ctx.id);
+    if (transfer.status === 'success') {
+      result = transfer;
+    } else if (transfer.status === 'unconfirmed') {
+      log.error(`❌ [Request] Payment for request ${claimed.id} was broadcast but is unconfirmed; leaving it processing. Check ${transfer.hash} on ${transfer.chain}`);
+      await ctx.reply(`⏳ Your payment was sent to the network but isn't confirmed yet, so this request stays locked until it's checked.\n\`${transfer.hash}\``);
+      return null;
+    } else {
+      await updatePaymentRequest(claimed.id, { status: 'open' });
+      return null;
+    }
+  }
+
+  // chain may differ from the requested one if the payment was smart-routed
+  const paid = { ...claimed, status: 'paid', chain: result.chain, tx_hash: result.hash };
+  await updatePaymentRequest(claimed.id, {
+    status: 'paid',
+    chain: result.chain,
+    tx_hash: result.hash,
+    resolved_at: new Date().toISOString(),
+  });
+  return paid;
+}
+
+// ============ Bill Splits ============
+
+const SPLIT_REMINDER_INTERVAL_MS = 24 * 60 * 60 * 1000; // automatic reminder cadence
+const SPLIT_REMINDER_COOLDOWN_MS = 60 * 60 * 1000; // between manual reminders
+
+const SPLIT_STATUS_LABELS = {
+  open: '🟡 Collecting',
+  settled: '✅ Settled',
+  closed: '⌛ Closed',
+  cancelled: '🚫 Cancelled',
+};
+
+/**
+ * Work out each participant's share to the cent. Participants with an
+ * explicit share keep it; everyone else splits the remainder equally, with
+ * leftover cents going to the first of them.
+ * @param {number} total
+ * @param {{ share: number|null }[]} participants
+ * @param {string} [noun] - What the total is, for the error message
+ * @returns {{ shares: number[] } | { error: string }}
+ */
+function computeSplitShares(total, participants, noun = 'bill') {
+  const totalCents = Math.round(total * 100);
+  const fixedCents = participants.reduce((sum, p) => sum + (p.share !== null ? Math.round(p.share * 100) : 0), 0);
+  const flexibleCount = participants.filter(p => p.share === null).length;
+  const remainingCents = totalCents - fixedCents;
+
+  if (remainingCents < 0 || (flexibleCount === 0 && remainingCents !== 0)) {
+    return { error: `❌ Custom shares add up to **$${(fixedCents / 100).toFixed(2)}** but the ${noun} is **$${total.toFixed(2)}**.` };
+  }
+
+  const baseCents = flexibleCount ? Math.floor(remainingCents / flexibleCount) : 0;
+  let leftoverCents = remainingCents - baseCents * flexibleCount;
+  const shares = participants.map(p => {
+    if (p.share !== null) return Math.round(p.share * 100) / 100;
+    const cents = baseCents + (leftoverCents > 0 ? 1 : 0);
+    leftoverCents--;
+    return cents / 100;
+  });
+
+  if (shares.some(share => share <= 0)) {
+    return { error: '❌ Every share must be more than $0. Try a bigger total or fewer people.' };
+  }
+  return { shares };
+}
+
+/**
+ * Build the live split embed from the split and its payment requests.
+ * @param {object} split - discord_splits row
+ * @param {object[]} requests - The split's discord_payment_requests rows
+ */
+function buildSplitMessage(split, requests) {
+  const owed = requests.reduce((sum, r) => sum + Number(r.amount), 0);
+  const collected = requests.filter(r => r.status === 'paid').reduce((sum, r) => sum + Number(r.amount), 0);
+
+  const lines = requests.map(r => {
+    const tx = r.tx_hash ? ` · [TX](${getExplorerUrl(r.chain, r.tx_hash)})` : '';
+    return `${REQUEST_STATUS_LABELS[r.status] || r.status} <@${r.payer_discord_id}> — **$${Number(r.amount).toFixed(2)}**${tx}`;
+  });
+  if (Number(split.organizer_share) > 0) {
+    lines.unshift(`👑 <@${split.organizer_discord_id}> — **$${Number(split.organizer_share).toFixed(2)}** (organizer)`);
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🍕 Split${split.memo ? `: ${split.memo.substring(0, 200)}` : ' the Bill'}`)
+    .setDescription(`**@${split.organizer_pay_tag}** covered **$${Number(split.total).toFixed(2)}**. Pay your share with the button below.\n\n${lines.join('\n').substring(0, 3500)}`)
+    .addFields(
+      { name: '💰 Collected', value: `$${collected.toFixed(2)} of $${owed.toFixed(2)}`, inline: true },
+      { name: '⛓️ Chain', value: split.chain.toUpperCase(), inline: true },
+      { name: '📌 Status', value: SPLIT_STATUS_LABELS[split.status] || split.status, inline: true },
+    )
+    .setColor(split.status === 'settled' ? 0x00FF00 : split.status === 'open' ? 0x0052FF : 0x808080)
+    .setFooter({ text: `Split ID: ${split.id}` });
+
+  const components = split.status === 'open'
+    ? [new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`split_pay:${split.id}`).setLabel('Pay my share').setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId(`split_remind:${split.id}`).setLabel('Remind unpaid').setStyle(ButtonStyle.Secondary),
+    )]
+    : [];
+
+  return { embeds: [embed], components };
+}
+
+async function handleSplit(message, command) {
+  const organizerProfile = await getProfileByDiscordId(message.author.id);
+  if (!organizerProfile) {
+    await message.reply('❌ Your Discord is not linked to MoniPay. Use `!monibot link` to connect.');
+    return;
+  }
+
+  // Resolve everyone; @me is the organizer
+  const participants = [];
+  const seenProfiles = new Set();
+  for (const { recipient, share } of command.participants) {
+    let profile = organizerProfile;
+    if (recipient !== 'me') {
+      const resolved = await resolveRecipient(message.guild, recipient);
+      if (!resolved.profile) {
+        await message.reply(recipientNotFoundMessage(resolved));
+        return;
+      }
+      profile = resolved.profile;
+    }
+    if (seenProfiles.has(profile.id)) {
+      await message.reply(`❌ **@${profile.pay_tag}** is listed more than once.`);
+      return;
+    }
+    seenProfiles.add(profile.id);
+    participants.push({ profile, share });
+  }
+
+  const computed = computeSplitShares(command.amount, participants);
+  if (computed.error) {
+    await message.reply(computed.error);
+    return;
+  }
+  participants.forEach((p, i) => { p.amount = computed.shares[i]; });
+
+  const debtors = participants.filter(p => p.profile.id !== organizerProfile.id);
+  if (debtors.length === 0) {
+    await message.reply('❌ Add at least one other person to split with, e.g. `!monibot split $30 between @alice @bob @me`.');
+    return;
+  }
+
+  const unlinked = debtors.find(d => !d.profile.discord_id);
+  if (unlinked) {
+    await message.reply(`❌ **@${unlinked.profile.pay_tag}** hasn't linked their Discord yet, so they can't pay their share here.`);
+    return;
+  }
+
+  const guildConfig = await getGuildConfig(message.guild.id);
+  if (guildConfig.maxPayment !== null && debtors.some(d => d.amount > guildConfig.maxPayment)) {
+    await message.reply(`🚫 This server limits single payments to **$${Number(guildConfig.maxPayment).toFixed(2)}**, and at least one share is above that.`);
+    return;
+  }
+
+  const split = await createSplit({
+    guildId: message.guild.id,
+    channelId: message.channel.id,
+    organizerDiscordId: message.author.id,
+    organizerProfileId: organizerProfile.id,
+    organizerPayTag: organizerProfile.pay_tag,
+    total: command.amount,
+    organizerShare: participants.find(p => p.profile.id === organizerProfile.id)?.amount || 0,
+    chain: command.chain,
+    memo: command.memo,
+  });
+  if (!split) {
+    await message.reply('❌ Could not create the split. Please try again.');
+    return;
+  }
+
+  const expiresAt = new Date(Date.now() + REQUEST_EXPIRY_MS).toISOString();
+  const requests = [];
+  for (const debtor of debtors) {
+    const request = await createPaymentRequest({
+      guildId: message.guild.id,
+      channelId: message.channel.id,
+      requesterDiscordId: message.author.id,
+      requesterProfileId: organizerProfile.id,
+      requesterPayTag: organizerProfile.pay_tag,
+      payerDiscordId: debtor.profile.discord_id,
+      payerProfileId: debtor.profile.id,
+      payerPayTag: debtor.profile.pay_tag,
+      amount: debtor.amount,
+      chain: command.chain,
+      memo: command.memo ? `Split: ${command.memo}` : 'Split the bill',
+      expiresAt,
+      splitId: split.id,
+    });
+
+    if (!request) {
+      // Don't leave a half-created split behind
+      await Promise.all(requests.map(r => updatePaymentRequest(r.id, { status: 'expired', resolved_at: new Date().toISOString() })));
+      await updateSplit(split.id, { status: 'cancelled' });
+      await message.reply('❌ Could not create the split. Please try again.');
+      return;
+    }
+    requests.push(request);
+  }
+
+  const mentions = debtors.map(d => `<@${d.profile.discord_id}>`).join(' ');
+  const splitMsg = await message.reply({ content: mentions, ...buildSplitMessage(split, requests) });
+  await updateSplit(split.id, { message_id: splitMsg.id });
+}
+
+/**
+ * Re-read a split's requests, settle or close it when nothing is left open,
+ * and redraw its embed.
+ * @param {object} split - discord_splits row
+ * @param {import('discord.js').Message} [splitMessage] - Fetched from the stored IDs if omitted
+ * @returns {Promise<object>} The split with its current status
+ */
+async function refreshSplit(split, splitMessage) {
+  const requests = await getPaymentRequestsForSplit(split.id);
+
+  let { status } = split;
+  if (status === 'open' && requests.every(r => r.status === 'paid')) {
+    status = 'settled';
+  } else if (status === 'open' && !requests.some(r => r.status === 'open' || r.status === 'processing')) {
+    status = 'closed';
+  }
+  if (status !== split.status) {
+    await updateSplit(split.id, { status, resolved_at: new Date().toISOString() });
+  }
+  const current = { ...split, status };
+
+  try {
+    let msg = splitMessage;
+    if (!msg && split.message_id) {
+      const channel = await client.channels.fetch(split.channel_id);
+      msg = await channel.messages.fetch(split.message_id);
+    }
+    if (msg) await msg.edit(buildSplitMessage(current, requests));
+  } catch (err) {
+    log.warn(`⚠️ [Split] Could not update split ${split.id}: ${err.message}`);
+  }
+  return current;
+}
+
+/**
+ * DM everyone who still owes on a split. Returns how many were reached.
+ * @param {object} split - discord_splits row
+ */
+async function sendSplitReminders(split) {
+  const requests = await getPaymentRequestsForSplit(split.id);
+  const unpaid = requests.filter(r => r.status === 'open');
+  const link = `https://discord.com/channels/${split.guild_id}/${split.channel_id}/${split.message_id}`;
+
+  let reminded = 0;
+  for (const request of unpaid) {
+    try {
+      const user = await client.users.fetch(request.payer_discord_id);
+      await user.send(
+        `🔔 Reminder: you owe **$${Number(request.amount).toFixed(2)}** to **@${split.organizer_pay_tag}**` +
+        `${split.memo ? ` for *${split.memo}*` : ''}. Pay your share here: ${link}`
+      );
+      reminded++;
+    } catch (err) {
+      log.warn(`⚠️ [Split] Could not remind ${request.payer_discord_id} about split ${split.id}: ${err.message}`);
+    }
+  }
+
+  await updateSplit(split.id, { last_reminded_at: new Date().toISOString() });
+  return reminded;
+}
+
+/**
+ * Pay a share or send reminders from the split buttons.
+ * @param {import('discord.js').ButtonInteraction} interaction
+ * @param {'pay'|'remind'} action
+ * @param {string} splitId
+ */
+async function handleSplitButton(interaction, action, splitId) {
+  const split = await getSplit(splitId);
+  if (!split) {
+    await interaction.reply({ content: '❌ This split no longer exists.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+  if (split.status !== 'open') {
+    await interaction.reply({ content: `This split is ${SPLIT_STATUS_LABELS[split.status] || split.status}.`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  if (action === 'remind') {
+    if (interaction.user.id !== split.organizer_discord_id) {
+      await interaction.reply({ content: `❌ Only <@${split.organizer_discord_id}> can send reminders for this split.`, flags: MessageFlags.Ephemeral });
+      return;
+    }
+    const nextReminderAt = split.last_reminded_at ? new Date(split.last_reminded_at).getTime() + SPLIT_REMINDER_COOLDOWN_MS : 0;
+    if (nextReminderAt > Date.now()) {
+      await interaction.reply({ content: `⏱️ Reminders were sent recently. You can send another <t:${Math.floor(nextReminderAt / 1000)}:R>.`, flags: MessageFlags.Ephemeral });
+      return;
+    }
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const reminded = await sendSplitReminders(split);
+    await interaction.editReply(reminded ? `🔔 Reminded **${reminded}** ${reminded === 1 ? 'person' : 'people'} by DM.` : 'Nobody to remind (or their DMs are closed).');
+    return;
+  }
+
+  const requests = await getPaymentRequestsForSplit(split.id);
+  const request = requests.find(r => r.payer_discord_id === interaction.user.id);
+  if (!request) {
+    await interaction.reply({ content: '❌ You\'re not part of this split.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  if (request.status === 'open' && new Date(request.expires_at) <= new Date()) {
+    await updatePaymentRequest(request.id, { status: 'expired', resolved_at: new Date().toISOString() });
+    await interaction.reply({ content: '⌛ Your share of this split has expired.', flags: MessageFlags.Ephemeral });
+    await refreshSplit(split, interaction.message);
+    return;
+  }
+
+  // Atomic open → processing, so a double click can't pay twice
+  const claimed = await claimPaymentRequest(request.id);
+  if (!claimed) {
+    await interaction.reply({ content: `Your share is already ${REQUEST_STATUS_LABELS[request.status] || request.status}.`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const paid = await settleClaimedRequest(interaction, claimed);
+  if (!paid) return;
+  await refreshSplit(split, interaction.message);
+}
+
+/**
+ * Periodic sweep: close splits whose shares have all expired, and DM
+ * unpaid participants of splits not reminded in the last day.
+ */
+async function remindOpenSplits() {
+  const due = await getSplitsDueForReminder(new Date(Date.now() - SPLIT_REMINDER_INTERVAL_MS).toISOString());
+  if (due.length === 0) return;
+
+  await expireStalePaymentRequests();
+  for (const split of due) {
+    const current = await refreshSplit(split);
+    if (current.status !== 'open') continue;
+    const reminded = await sendSplitReminders(current);
+    log.info(`🔔 [Split] Sent ${reminded} reminder(s) for split ${split.id}`);
+  }
+}
+
+// ============ Bounties ============
+
+const BOUNTY_DEFAULT_EXPIRY_MS = 14 * 24 * 60 * 60 * 1000;
+const BOUNTY_MAX_EXPIRY_MS = 90 * 24 * 60 * 60 * 1000;
+
+const BOUNTY_STATUS_LABELS = {
+  open: '🟢 Open',
+  processing: '⏳ Paying out',
+  awarded: '🏆 Awarded',
+  expired: '⌛ Expired',
+  cancelled: '🚫 Cancelled',
+};
+
+const bountyRemaining = (bounty) => Math.round((Number(bounty.amount) - Number(bounty.awarded_amount || 0)) * 100) / 100;
+
+/**
+ * Build the bounty embed from its row
+ * @param {object} bounty - discord_bounties row
+ */
+function buildBountyMessage(bounty) {
+  const amount = Number(bounty.amount);
+  const { chain } = bounty;
+  const expiresTs = Math.floor(new Date(bounty.expires_at).getTime() / 1000);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🎯 Bounty: $${amount.toFixed(2)}`)
+    .setDescription(`**@${bounty.poster_pay_tag}** will pay for:\n> ${bounty.description.substring(0, 1000)}`)
+    .addFields(
+      { name: '💸 Reward', value: `$${amount.toFixed(2)} ${getChain(chain)?.symbol || ''}`.trim(), inline: true },
+      { name: '⛓️ Chain', value: chain.toUpperCase(), inline: true },
+      { name: '📌 Status', value: BOUNTY_STATUS_LABELS[bounty.status] || bounty.status, inline: true },
+    )
+    .setColor(bounty.status === 'awarded' ? 0x00FF00 : bounty.status === 'open' ? 0x0052FF : 0x808080)
+    .setFooter({
+      text: bounty.status === 'open'
+        ? `Bounty ID: ${bounty.id} • Poster awards with !monibot award ${shortId(bounty.id)} @winner`
+        : `Bounty ID: ${bounty.id}`,
+    });
+
+  if (bounty.status === 'open') {
+    embed.addFields({ name: '⏰ Expires', value: `<t:${expiresTs}:R>`, inline: false });
+  }
+  if (bounty.awards?.length) {
+    const lines = bounty.awards.map(a => `🏆 @${a.payTag} — **$${Number(a.amount).toFixed(2)}** · [TX](${getExplorerUrl(a.chain, a.txHash)})`);
+    if (bounty.status === 'open') lines.push(`**$${bountyRemaining(bounty).toFixed(2)}** still to award`);
+    embed.addFields({ name: '🏆 Awarded', value: lines.join('\n').substring(0, 1024), inline: false });
+  }
+
+  return { embeds: [embed] };
+}
+
+/**
+ * Re-render a bounty's embed in place
+ */
+async function refreshBountyMessage(bounty) {
+  if (!bounty.message_id) return;
+  try {
+    const channel = await client.channels.fetch(bounty.channel_id);
+    const msg = await channel.messages.fetch(bounty.message_id);
+    await msg.edit(buildBountyMessage(bounty));
+  } catch (err) {
+    log.warn(`⚠️ [Bounty] Could not update bounty ${bounty.id}: ${err.message}`);
+  }
+}
+
+/**
+ * Find an open bounty in this guild by full ID or short ID.
+ * @returns {Promise<{ bounty?: object, error?: string }>}
+ */
+async function findOpenBounty(guildId, bountyId) {
+  let bounty;
+  if (bountyId.length === 36) {
+    bounty = await getBounty(bountyId);
+    if (bounty?.guild_id !== guildId) bounty = null;
+  } else {
+    const matches = (await getOpenBountiesForGuild(guildId)).filter(b => b.id.startsWith(bountyId));
+    if (matches.length > 1) return { error: `❌ \`${bountyId}\` matches several bounties. Use the full Bounty ID.` };
+    bounty = matches[0];
+  }
+
+  if (!bounty) return { error: `❌ No open bounty \`${bountyId}\` in this server. See \`!monibot bounties\`.` };
+  if (bounty.status === 'open' && new Date(bounty.expires_at) <= new Date()) {
+    await updateBounty(bounty.id, { status: 'expired', resolved_at: new Date().toISOString() });
+    await refreshBountyMessage({ ...bounty, status: 'expired' });
+    return { error: '⌛ This bounty has expired.' };
+  }
+  if (bounty.status !== 'open') return { error: `❌ This bounty is ${BOUNTY_STATUS_LABELS[bounty.status] || bounty.status}.` };
+  return { bounty };
+}
+
+async function handleBounty(message, command) {
+  switch (command.action) {
+    case 'post':
+      return postBounty(message, command);
+    case 'award':
+      return awardBounty(message, command);
+    case 'cancel':
+      return cancelBounty(message, command);
+    default:
+      return listBounties(message);
+  }
+}
+
+async function postBounty(message, command) {
+  const posterProfile = await getProfileByDiscordId(message.author.id);
+  if (!posterProfile) {
+    await message.reply('❌ Your Discord is not linked to MoniPay. Use `!monibot link` to connect.');
+    return;
+  }
+
+  const durationMs = command.durationMs ?? BOUNTY_DEFAULT_EXPIRY_MS;
+  if (durationMs <= 0 || durationMs > BOUNTY_MAX_EXPIRY_MS) {
+    await message.reply('❌ Bounties can run for up to 90 days.');
+    return;
+  }
+
+  // Nothing is locked up, so make sure the reward could be paid today
+  const allowanceCheck = await checkAllowance(posterProfile.wallet_address, command.amount, command.chain);
+  if (!allowanceCheck.ok) {
+    await message.reply(allowanceCheck.message);
+    return;
+  }
+
+  const bounty = await createBounty({
+    guildId: message.guild.id,
+    channelId: message.channel.id,
+    posterDiscordId: message.author.id,
+    posterProfileId: posterProfile.id,
+    posterPayTag: posterProfile.pay_tag,
+    amount: command.amount,
+    chain: command.chain,
+    description: command.description,
+    expiresAt: new Date(Date.now() + durationMs).toISOString(),
+  });
+  if (!bounty) {
+    await message.reply('❌ Could not create the bounty. Please try again.');
+    return;
+  }
+
+  const bountyMsg = await message.reply(buildBountyMessage(bounty));
+  await updateBounty(bounty.id, { message_id: bountyMsg.id });
+  log.info(`🎯 [Bounty] ${bounty.id}: $${command.amount} by @${posterProfile.pay_tag}`);
+}
+
+/**
+ * Pay one or more winners through the normal send flow (so confirmations,
+ * rerouting and logging all apply). Winners paid before a failure stay paid;
+ * the bounty reopens with the rest still to award.
+ */
+async function awardBounty(message, command) {
+  const { bounty, error } = await findOpenBounty(message.guild.id, command.bountyId);
+  if (error) {
+    await message.reply(error);
+    return;
+  }
+  if (bounty.poster_discord_id !== message.author.id) {
+    await message.reply(`❌ Only <@${bounty.poster_discord_id}> can award this bounty.`);
+    return;
+  }
+
+  // Resolve every winner before paying anyone
+  const winners = [];
+  const seenProfiles = new Set([bounty.poster_profile_id]);
+  for (const { recipient, share } of command.winners) {
+    const resolved = await resolveRecipient(message.guild, recipient);
+    if (!resolved.profile) {
+      await message.reply(recipientNotFoundMessage(resolved));
+      return;
+    }
+    if (seenProfiles.has(resolved.profile.id)) {
+      await message.reply(`❌ **@${resolved.profile.pay_tag}** can't be awarded this bounty twice (or by its poster).`);
+      return;
+    }
+    seenProfiles.add(resolved.profile.id);
+    winners.push({ profile: resolved.profile, share });
+  }
+
+  const computed = computeSplitShares(bountyRemaining(bounty), winners, 'bounty');
+  if (computed.error) {
+    await message.reply(computed.error);
+    return;
+  }
+
+  // Atomic open → processing, so two award commands can't both pay
+  const claimed = await claimBounty(bounty.id);
+  if (!claimed) {
+    await message.reply('❌ This bounty is already being awarded.');
+    return;
+  }
+
+  const awards = [...(claimed.awards || [])];
+  let awardedAmount = Number(claimed.awarded_amount || 0);
+  for (const [i, winner] of winners.entries()) {
+    // One award message pays every winner; each payment needs its own command row and router key
+    const reference = `${message.id}_${winner.profile.pay_tag.toLowerCase()}`;
+    let result;
+    try {
+      result = await handleP2P(message, {
+        type: 'p2p',
+        amount: computed.shares[i],
+        recipients: [winner.profile.pay_tag],
+        chain: claimed.chain,
+        memo: `Bounty: ${claimed.description}`,
+        raw: `bounty ${claimed.id}`,
+        reference,
+      });
+    } catch (err) {
+      log.error(`❌ Bounty ${claimed.id} award error:`, err.message);
+    }
+
+    let unconfirmed = false;
+    if (!result) {
+      // A broadcast transfer may still land: count it as awarded so it can't be paid again
+      const transfer = await checkUnfinishedTransfer(reference);
+      if (transfer.status !== 'success' && transfer.status !== 'unconfirmed') break;
+      result = transfer;
+      unconfirmed = transfer.status === 'unconfirmed';
+      if (unconfirmed) log.error(`❌ [Bounty] Award to @${winner.profile.pay_tag} on ${claimed.id} is unconfirmed; check ${transfer.hash} on ${transfer.chain}`);
+    }
+
+    awards.push({
+      payTag: winner.profile.pay_tag,
+      discordId: winner.profile.discord_id || null,
+      amount: computed.shares[i],
+      chain: result.chain,
+      txHash: result.hash,
+      ...(unconfirmed && { unconfirmed: true }),
+    });
+    awardedAmount = Math.round((awardedAmount + computed.shares[i]) * 100) / 100;
+  }
+
+  const fullyAwarded = awardedAmount >= Number(claimed.amount);
+  const updated = {
+    ...claimed,
+    awards,
+    awarded_amount: awardedAmount,
+    status: fullyAwarded ? 'awarded' : 'open',
+    ...(fullyAwarded && { resolved_at: new Date().toISOString() }),
+  };
+  await updateBounty(claimed.id, {
+    awards,
+    awarded_amount: awardedAmount,
+    status: updated.status,
+    ...(fullyAwarded && { resolved_at: updated.resolved_at }),
+  });
+  await refreshBountyMessage(updated);
+
+  if (fullyAwarded) {
+    await message.reply(`🏆 Bounty **${shortId(claimed.id)}** awarded to ${awards.map(a => `**@${a.payTag}**`).join(', ')}!`);
+  } else if (awards.length > (claimed.awards || []).length) {
+    await message.reply(`⚠️ Bounty **${shortId(claimed.id)}** is partly awarded. **$${bountyRemaining(updated).toFixed(2)}** is left; award it with \`!monibot award ${shortId(claimed.id)} @winner\`.`);
+  }
+}
+
+async function cancelBounty(message, command) {
+  const { bounty, error } = await findOpenBounty(message.guild.id, command.bountyId);
+  if (error) {
+    await message.reply(error);
+    return;
+  }
+
+  const guildConfig = await getGuildConfig(message.guild.id);
+  if (bounty.poster_discord_id !== message.author.id && !isGuildAdmin(message.member, guildConfig)) {
+    await message.reply(`❌ Only <@${bounty.poster_discord_id}> or a server admin can cancel this bounty.`);
+    return;
+  }
+
+  // Claim first so a cancel can't race an award
+  const claimed = await claimBounty(bounty.id);
+  if (!claimed) {
+    await message.reply('❌ This bounty is being awarded right now.');
+    return;
+  }
+
+  const cancelled = { ...claimed, status: 'cancelled', resolved_at: new Date().toISOString() };
+  await updateBounty(bounty.id, { status: 'cancelled', resolved_at: cancelled.resolved_at });
+  await refreshBountyMessage(cancelled);
+  await message.reply(`🚫 Bounty **${shortId(bounty.id)}** cancelled.`);
+}
+
+async function listBounties(message) {
+  await expireOpenBounties();
+  const bounties = await getOpenBountiesForGuild(message.guild.id);
+
+  if (bounties.length === 0) {
+    await message.reply('🎯 No open bounties in this server. Post one with `!monibot bounty $50 for fixing the login bug`.');
+    return;
+  }
+
+  const lines = bounties.map(b => {
+    const expiresTs = Math.floor(new Date(b.expires_at).getTime() / 1000);
+    const link = b.message_id ? ` · [view](https://discord.com/channels/${b.guild_id}/${b.channel_id}/${b.message_id})` : '';
+    const partly = Number(b.awarded_amount) > 0 ? ` ($${bountyRemaining(b).toFixed(2)} left)` : '';
+    return `\`${shortId(b.id)}\` **$${Number(b.amount).toFixed(2)}**${partly} ${b.chain.toUpperCase()} — ${b.description.substring(0, 80)}\nby @${b.poster_pay_tag} · expires <t:${expiresTs}:R>${link}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🎯 Bounty Board — ${message.guild.name}`)
+    .setDescription(lines.join('\n\n').substring(0, 4096))
+    .setColor(0x0052FF)
+    .setFooter({ text: 'Posters award with !monibot award <id> @winner' });
+
+  await message.reply({ embeds: [embed] });
+}
+
+/**
+ * Close open bounties past their expiry and update their embeds
+ */
+async function expireOpenBounties() {
+  try {
+    const expired = await getExpiredBounties();
+    for (const bounty of expired) {
+      const closed = { ...bounty, status: 'expired', resolved_at: new Date().toISOString() };
+      await updateBounty(bounty.id, { status: 'expired', resolved_at: closed.resolved_at });
+      await refreshBountyMessage(closed);
+      log.info(`⌛ [Bounty] ${bounty.id} expired`);
+    }
+  } catch (err) {
+    log.error('❌ [Bounty] Expiry sweep error:', err.message);
+  }
+}
+
+// ============ Reaction Tipping ============
+
+const DEFAULT_TIP_DAILY_CAP = parseFloat(process.env.TIP_DAILY_CAP_USD || '20');
+const TIP_ACK_EMOJI = '💸';
+
+/**
+ * Normalize an emoji to the key stored in discord_servers.tip_emojis:
+ * the ID for custom emoji, the bare unicode otherwise.
+ * @param {string|import('discord.js').Emoji} emoji
+ */
+function tipEmojiKey(emoji) {
+  if (typeof emoji !== 'string') return emoji.id || emoji.name.replace(/\uFE0F/g, '');
+  const custom = emoji.match(/^<a?:\w+:(\d+)>$/);
+  return custom ? custom[1] : emoji.replace(/\uFE0F/g, '');
+}
+
+/**
+ * DM the reactor quietly instead of posting in the channel.
+ */
+async function notifyTipper(user, text) {
+  try {
+    await user.send(text);
+  } catch {
+    // DMs closed; nothing else to do
+  }
+}
+
+/**
+ * Tip a message's author when a linked user reacts with a configured emoji.
+ * @param {import('discord.js').MessageReaction} reaction
+ * @param {import('discord.js').User} user - The reactor
+ */
+async function handleReactionTip(reaction, user) {
+  const message = reaction.message;
+  if (!message.guild || !message.author || message.author.bot) return;
+  if (message.author.id === user.id) return;
+
+  const guildConfig = await getGuildConfig(message.guild.id);
+  const key = tipEmojiKey(reaction.emoji);
+  const tipConfig = guildConfig.tipEmojis[key];
+  if (!tipConfig) return;
+  if (!isCommandEnabled(guildConfig, 'reaction_tip') || !isChannelAllowed(guildConfig, message.channel)) return;
+  if (getPaymentPause(guildConfig)) return;
+
+  const amount = Number(tipConfig.amount);
+  // The server's per-payment max applies to tips too, even if lowered after the emoji was set
+  if (guildConfig.maxPayment !== null && amount > guildConfig.maxPayment) {
+    await notifyTipper(user, `🚫 Tip not sent: **${message.guild.name}** limits single payments to **$${Number(guildConfig.maxPayment).toFixed(2)}**.`);
+    return;
+  }
+
+  const [reactorProfile, authorProfile] = await Promise.all([
+    getProfileByDiscordId(user.id),
+    getProfileByDiscordId(message.author.id),
+  ]);
+  if (!reactorProfile || !authorProfile) return;
+  if (reactorProfile.id === authorProfile.id) return;
+
+  const dailyCap = guildConfig.tipDailyCap ?? DEFAULT_TIP_DAILY_CAP;
+  const chain = getChain(reactorProfile.preferred_network) ? reactorProfile.preferred_network.toLowerCase() : DEFAULT_CHAIN;
+
+  // Daily cap (rolling 24h, per reactor per guild). The check and the insert
+  // run under the reactor's spending lock, so rapid reactions see each other's pending tips.
+  const tip = await withSpendingLock(user.id, async () => {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    const tippedToday = await getTipTotalSince(user.id, message.guild.id, since);
+    if (tippedToday === null) return null;
+    if (tippedToday + amount > dailyCap) {
+      const remaining = Math.max(dailyCap - tippedToday, 0);
+      await notifyTipper(user, `⏱️ Tip not sent: **${message.guild.name}** has a daily tip cap of **$${dailyCap.toFixed(2)}**. You have **$${remaining.toFixed(2)}** left today.`);
+      return null;
+    }
+
+    // Insert first: the unique key dedupes repeat reactions on the same message
+    return recordTip({
+      guildId: message.guild.id,
+      channelId: message.channel.id,
+      messageId: message.id,
+      reactorDiscordId: user.id,
+      authorDiscordId: message.author.id,
+      emoji: key,
+      amount,
+      chain,
+    });
+  });
+  if (!tip) return;
+
+  const spend = await reserveSpending({
+    discordId: user.id,
+    guildId: message.guild.id,
+    perTransfer: amount,
+    source: 'tip',
+    reference: tip.id,
+  });
+  if (spend.error) {
+    await updateTip(tip.id, { status: 'failed', error_reason: 'spending limit' });
+    await notifyTipper(user, `⏱️ Tip not sent. ${spend.error}`);
+    return;
+  }
+
+  let sent;
+  try {
+    sent = await executeP2P(
+      reactorProfile.wallet_address,
+      authorProfile.wallet_address,
+      amount,
+      `tip_${tip.id}`,
+      chain
+    );
+  } catch (error) {
+    log.error(`❌ Tip execution error (${tip.id}):`, error.message);
+    await settleSpending(spend.reservation, 0);
+    await updateTip(tip.id, { status: 'failed', error_reason: error.message.substring(0, 200) });
+
+    let reason = 'the transfer failed';
+    if (error.message.includes('ERROR_BALANCE')) reason = `your ${chain.toUpperCase()} balance is too low`;
+    if (error.message.includes('ERROR_ALLOWANCE')) reason = `your ${chain.toUpperCase()} allowance is too low (monipay.xyz → Settings → MoniBot AI)`;
+    logAudit(message.guild, { event: 'failed', type: 'tip', actorId: user.id, amount, chain, recipients: [authorProfile.pay_tag], detail: reason });
+    await notifyTipper(user, `❌ Your $${amount.toFixed(2)} tip to **@${authorProfile.pay_tag}** wasn't sent: ${reason}.`);
+    return;
+  }
+
+  // The tip is paid from here on: a later step failing must not mark it failed
+  const { hash, fee } = sent;
+  await settleSpending(spend.reservation, amount);
+  await updateTip(tip.id, { status: 'completed', tx_hash: hash });
+  log.info(`💸 Tip: @${reactorProfile.pay_tag} → @${authorProfile.pay_tag} $${amount} (${tipConfig.label || key})`);
+  logAudit(message.guild, { event: 'executed', type: 'tip', actorId: user.id, amount, chain, recipients: [authorProfile.pay_tag], txHash: hash, detail: tipConfig.label || key });
+
+  try {
+    await logMonibotTransaction({
+      senderId: reactorProfile.id,
+      receiverId: authorProfile.id,
+      amount,
+      fee,
+      txHash: hash,
+      type: 'p2p_command',
+      payerPayTag: reactorProfile.pay_tag,
+      recipientPayTag: authorProfile.pay_tag,
+      chain: chain.toUpperCase(),
+    });
+    queueReceipt(authorProfile, {
+      senderTag: reactorProfile.pay_tag,
+      amount,
+      chain,
+      txHash: hash,
+      memo: `Reaction tip${tipConfig.label ? `: ${tipConfig.label}` : ''}`,
+      guildName: message.guild.name,
+    });
+  } catch (err) {
+    log.error(`❌ [Tip] Post-payment step failed for ${tip.id} (${hash}): ${err.message}`);
+  }
+
+  try {
+    await message.react(TIP_ACK_EMOJI);
+  } catch (err) {
+    log.warn(`⚠️ [Tip] Could not add acknowledgement reaction: ${err.message}`);
+  }
+}
+
+async function handleTipConfig(message, command) {
+  const guildConfig = await getGuildConfig(message.guild.id);
+  const tipEmojis = { ...guildConfig.tipEmojis };
+  const dailyCap = guildConfig.tipDailyCap ?? DEFAULT_TIP_DAILY_CAP;
+
+  if (command.action === 'list') {
+    const entries = Object.values(tipEmojis);
+    const embed = new EmbedBuilder()
+      .setTitle('☕ Reaction Tips')
+      .setDescription(entries.length
+        ? entries.map(t => `${t.label} → **$${Number(t.amount).toFixed(2)}**`).join('\n')
+        : 'No tip emoji configured. Admins can add one with `!monibot tips ☕ $1`.')
+      .addFields({ name: 'Daily cap per member', value: `$${Number(dailyCap).toFixed(2)}`, inline: true })
+      .setColor(0x0052FF)
+      .setFooter({ text: 'React to a message with a tip emoji to tip its author' });
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  if (!isGuildAdmin(message.member, guildConfig)) {
+    await message.reply('❌ Only server admins can change reaction tips.');
+    return;
+  }
+
+  if (command.action === 'cap') {
+    if (!Number.isFinite(command.amount) || command.amount < 0) {
+      await message.reply('❌ Please give a cap in dollars, e.g. `!monibot tips cap $20`.');
+      return;
+    }
+    const saved = await saveGuildSettings(message.guild.id, { tip_daily_cap: command.amount });
+    await message.reply(saved ? `☕ Members can now tip up to **$${command.amount.toFixed(2)}** per day.` : '❌ Could not save the tip cap. Please try again.');
+    return;
+  }
+
+  const key = tipEmojiKey(command.emoji);
+
+  if (command.action === 'remove') {
+    if (!tipEmojis[key]) {
+      await message.reply(`❌ ${command.emoji} is not a tip emoji here.`);
+      return;
+    }
+    delete tipEmojis[key];
+    const saved = await saveGuildSettings(message.guild.id, { tip_emojis: tipEmojis });
+    await message.reply(saved ? `☕ Removed ${command.emoji} from reaction tips.` : '❌ Could not save tip emoji. Please try again.');
+    return;
+  }
+
+  if (!Number.isFinite(command.amount) || command.amount <= 0) {
+    await message.reply('❌ Please give an amount in dollars, e.g. `!monibot tips ☕ $1`.');
+    return;
+  }
+  if (guildConfig.maxPayment !== null && command.amount > guildConfig.maxPayment) {
+    await message.reply(`❌ Tips can't be more than this server's max payment of **$${Number(guildConfig.maxPayment).toFixed(2)}**.`);
+    return;
+  }
+
+  tipEmojis[key] = { amount: command.amount, label: command.emoji };
+  const saved = await saveGuildSettings(message.guild.id, { tip_emojis: tipEmojis });
+  await message.reply(saved
+    ? `☕ Reacting with ${command.emoji} now tips the author **$${command.amount.toFixed(2)}**.`
+    : '❌ Could not save tip emoji. Please try again.');
+}
+
+// ============ Guild Config Handler ============
+
+async function handleConfig(message, command) {
+  if (!message.member?.permissions?.has(PermissionsBitField.Flags.ManageGuild)) {
+    await message.reply('❌ Only members with **Manage Server** can view or change MoniBot settings.');
+    return;
+  }
+
+  const guildId = message.guild.id;
+  const defaults = { rateLimit: RATE_LIMIT_MAX, tipDailyCap: DEFAULT_TIP_DAILY_CAP };
+
+  if (command.action === 'view') {
+    const guildConfig = await getGuildConfig(guildId);
+    const embed = new EmbedBuilder()
+      .setTitle(`⚙️ MoniBot Settings — ${message.guild.name}`)
+      .setColor(0x0052FF)
+      .setFooter({ text: '!monibot config set <key> <value> • config reset <key> • config enable|disable <command>' });
+
+    for (const [key, def] of Object.entries(CONFIG_KEYS)) {
+      embed.addFields({ name: `\`${key}\``, value: `${def.format(guildConfig, defaults)}\n_${def.description}_`, inline: true });
+    }
+
+    const commandStatus = Object.keys(COMMAND_GROUPS)
+      .map(group => `${guildConfig.disabledCommands.includes(group) ? '🚫' : '✅'} ${group}`)
+      .join('  ');
+    embed.addFields({ name: '`commands`', value: commandStatus, inline: false });
+
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  if (command.action === 'enable' || command.action === 'disable') {
+    if (!COMMAND_GROUPS[command.key]) {
+      await message.reply(`❌ Unknown command \`${command.key}\`. Choose from: ${Object.keys(COMMAND_GROUPS).join(', ')}.`);
+      return;
+    }
+    const guildConfig = await getGuildConfig(guildId);
+    const disabled = new Set(guildConfig.disabledCommands);
+    if (command.action === 'disable') disabled.add(command.key);
+    else disabled.delete(command.key);
+
+    const saved = await saveGuildSettings(guildId, { disabled_commands: [...disabled] });
+    await message.reply(saved
+      ? `⚙️ \`${command.key}\` commands are now **${command.action}d** in this server.`
+      : '❌ Could not save settings. Please try again.');
+    return;
+  }
+
+  const def = CONFIG_KEYS[command.key];
+  if (!def) {
+    await message.reply(`❌ Unknown setting \`${command.key}\`. Choose from: ${Object.keys(CONFIG_KEYS).join(', ')}.`);
+    return;
+  }
+
+  let value = null;
+  if (command.action === 'set') {
+    const parsed = def.parse(command.value);
+    if (parsed.error) {
+      await message.reply(`❌ ${parsed.error}`);
+      return;
+    }
+    value = parsed.value;
+  }
+
+  const saved = await saveGuildSettings(guildId, { [def.column]: value });
+  if (!saved) {
+    await message.reply('❌ Could not save settings. Please try again.');
+    return;
+  }
+
+  const guildConfig = await getGuildConfig(guildId);
+  await message.reply(`⚙️ \`${command.key}\` ${command.action === 'reset' ? 'reset to' : 'set to'} ${def.format(guildConfig, defaults)}.`);
+}
+
+// ============ Transaction History ============
+
+const HISTORY_PAGE_SIZE = 10;
+const HISTORY_EXPORT_LIMIT = 1000;
+
+/**
+ * Build one page of the history embed with prev/next buttons.
+ * Button IDs carry the viewer and filters: history:<discordId>:<direction>:<chain>:<page>
+ * @param {object} profile - Viewer's profile
+ * @param {string} discordId - Viewer's Discord ID (only they can page)
+ * @param {{ direction: string|null, chain: string|null }} filters
+ * @param {number} page - Zero-based
+ */
+async function buildHistoryPage(profile, discordId, { direction, chain }, page) {
+  const { rows, total } = await getTransactionHistory(profile.id, {
+    direction,
+    chain,
+    offset: page * HISTORY_PAGE_SIZE,
+    limit: HISTORY_PAGE_SIZE,
+  });
+  const pageCount = Math.max(Math.ceil(total / HISTORY_PAGE_SIZE), 1);
+
+  const lines = rows.map(tx => {
+    const sent = tx.sender_id === profile.id;
+    const counterparty = sent ? tx.recipient_pay_tag : tx.payer_pay_tag;
+    const txChain = (tx.chain || DEFAULT_CHAIN).toLowerCase();
+    const ts = tx.created_at ? ` · <t:${Math.floor(new Date(tx.created_at).getTime() / 1000)}:d>` : '';
+    return `${sent ? '↗️' : '↘️'} **$${Number(tx.amount).toFixed(2)}** ${sent ? 'to' : 'from'} @${counterparty || 'unknown'}` +
+      ` · fee $${Number(tx.fee || 0).toFixed(4)} · ${txChain.toUpperCase()} · [TX](${getExplorerUrl(txChain, tx.tx_hash)})${ts}`;
+  });
+
+  const filterLabel = [direction, chain?.toUpperCase()].filter(Boolean).join(' · ') || 'All transactions';
+  const embed = new EmbedBuilder()
+    .setTitle(`📜 History — @${profile.pay_tag}`)
+    .setDescription(lines.join('\n') || 'No transactions found.')
+    .setColor(0x0052FF)
+    .setFooter({ text: `${filterLabel} • Page ${page + 1}/${pageCount} • ${total} total` });
+
+  const idBase = `history:${discordId}:${direction || '-'}:${chain || '-'}`;
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`${idBase}:${page - 1}`).setLabel('◀ Prev').setStyle(ButtonStyle.Secondary).setDisabled(page <= 0),
+    new ButtonBuilder().setCustomId(`${idBase}:${page + 1}`).setLabel('Next ▶').setStyle(ButtonStyle.Secondary).setDisabled(page + 1 >= pageCount),
+  );
+
+  return { embeds: [embed], components: total > HISTORY_PAGE_SIZE ? [row] : [] };
+}
+
+function csvField(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+async function handleHistory(message, command) {
+  const profile = await getProfileByDiscordId(message.author.id);
+  if (!profile) {
+    await message.reply('❌ Your Discord is not linked to MoniPay. Use `!monibot link` to connect.');
+    return;
+  }
+
+  const filters = { direction: command.direction, chain: command.chain };
+
+  if (!command.export) {
+    await message.reply(await buildHistoryPage(profile, message.author.id, filters, 0));
+    return;
+  }
+
+  const { rows, total } = await getTransactionHistory(profile.id, { ...filters, limit: HISTORY_EXPORT_LIMIT });
+  if (rows.length === 0) {
+    await message.reply('📜 No transactions to export.');
+    return;
+  }
+
+  const header = ['date', 'direction', 'counterparty', 'amount', 'fee', 'chain', 'tx_hash', 'explorer_url', 'type'];
+  const csvRows = rows.map(tx => {
+    const sent = tx.sender_id === profile.id;
+    const txChain = (tx.chain || DEFAULT_CHAIN).toLowerCase();
+    return [
+      tx.created_at,
+      sent ? 'sent' : 'received',
+      sent ? tx.recipient_pay_tag : tx.payer_pay_tag,
+      tx.amount,
+      tx.fee,
+      txChain.toUpperCase(),
+      tx.tx_hash,
+      getExplorerUrl(txChain, tx.tx_hash),
+      tx.type,
+    ].map(csvField).join(',');
+  });
+  const csv = [header.join(','), ...csvRows].join('\n');
+  const attachment = new AttachmentBuilder(Buffer.from(csv, 'utf8'), { name: `monibot_history_${profile.pay_tag}.csv` });
+
+  try {
+    await message.author.send({
+      content: `📜 Your MoniBot transaction history (${rows.length}${total > rows.length ? ` of ${total}, most recent` : ''} transactions).`,
+      files: [attachment],
+    });
+    await message.reply('📬 Sent your history CSV to your DMs.');
+  } catch (err) {
+    log.warn(`⚠️ [History] Could not DM export to ${message.author.id}: ${err.message}`);
+    await message.reply('❌ I couldn\'t DM you. Please allow direct messages from server members and try again.');
+  }
+}
+
+/**
+ * Page the history embed. Only the viewer who ran the command can page.
+ * @param {import('discord.js').ButtonInteraction} interaction
+ * @param {string} ownerId
+ * @param {string[]} args - [direction, chain, page]
+ */
+async function handleHistoryButton(interaction, ownerId, [direction, chain, page]) {
+  if (interaction.user.id !== ownerId) {
+    await interaction.reply({ content: '❌ Run `!monibot history` to see your own history.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const profile = await getProfileByDiscordId(ownerId);
+  if (!profile) {
+    await interaction.reply({ content: '❌ Your Discord is not linked to MoniPay.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const filters = { direction: direction === '-' ? null : direction, chain: chain === '-' ? null : chain };
+  await interaction.update(await buildHistoryPage(profile, ownerId, filters, Math.max(parseInt(page, 10) || 0, 0)));
+}
 
-  results.forEach(r => {
-    const reroute = r.rerouted ? ` _(${r.rerouted})_` : '';
-    const explorer = r.hash ? getExplorerUrl(r.chain || command.chain, r.hash) : '';
-    embed.addFields({
-      name: `@${r.tag}`,
-      value: r.status === 'success' ? `✅ [View TX](${explorer})${reroute}\n\`${r.hash}\`` : `❌ ${r.reason}`,
-      inline: true,
-    });
-  });
+// ============ Button Router ============
 
-  await processingMsg.edit({ content: null, embeds: [embed] });
-}
+/**
+ * Route persistent buttons by custom ID prefix (`<action>:<id>`).
+ * Short-lived buttons such as payment confirmations are handled by their own
+ * collectors and ignored here.
+ * @param {import('discord.js').ButtonInteraction} interaction
+ */
+async function handleButton(interaction) {
+  const [action, id, ...args] = interaction.customId.split(':');
 
-async function handleGiveaway(message, command) {
-  const senderProfile = await getProfileByDiscordId(message.author.id);
-  if (!senderProfile) {
-    await message.reply('❌ Your Discord is not linked to MoniPay. Use `!monibot link` to connect.');
-    return;
+  try {
+    switch (action) {
+      case 'history':
+        await handleHistoryButton(interaction, id, args);
+        break;
+      case 'request_pay':
+        await handleRequestButton(interaction, 'pay', id);
+        break;
+      case 'request_decline':
+        await handleRequestButton(interaction, 'decline', id);
+        break;
+      case 'split_pay':
+        await handleSplitButton(interaction, 'pay', id);
+        break;
+      case 'split_remind':
+        await handleSplitButton(interaction, 'remind', id);
+        break;
+      case 'raffle_enter':
+        await handleRaffleButton(interaction, id);
+        break;
+      default:
+        break;
+    }
+  } catch (error) {
+    log.error(`❌ Button handler error (${interaction.customId}):`, error.message);
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply({ content: '❌ Something went wrong. Please try again.', flags: MessageFlags.Ephemeral });
+    }
   }
+}
 
-  const totalBudget = command.amount * command.maxParticipants;
+// ============ Confirmation Threshold Handler ============
 
-  // ── Allowance sanity check (total giveaway budget) ───────────────────────
-  const allowanceCheck = await checkAllowance(senderProfile.wallet_address, totalBudget, command.chain);
-  if (!allowanceCheck.ok) {
-    await message.reply(allowanceCheck.message);
+async function handleConfirmThreshold(message, command) {
+  if (!Number.isFinite(command.amount) || command.amount < 0) {
+    await message.reply('❌ Please give a threshold in dollars, e.g. `!monibot threshold $20`.');
     return;
   }
 
-  // Log the giveaway command
-  await logCommand({
-    platform: 'discord',
-    platformMessageId: message.id,
-    platformUserId: message.author.id,
-    platformChannelId: message.channel.id,
-    platformServerId: message.guild.id,
-    commandType: 'giveaway',
-    commandText: message.content,
-    parsedAmount: command.amount,
-    parsedRecipients: [],
-    chain: command.chain,
-    status: 'pending',
-    profileId: senderProfile.id,
-  });
+  if (command.scope === 'guild') {
+    const guildConfig = await getGuildConfig(message.guild.id);
+    if (!isGuildAdmin(message.member, guildConfig)) {
+      await message.reply('❌ Only server admins can set the server-wide threshold.');
+      return;
+    }
+    const saved = await saveGuildSettings(message.guild.id, { confirm_threshold: command.amount });
+    await message.reply(saved
+      ? `🛡️ Payments above **$${command.amount.toFixed(2)}** in this server now need a button confirmation.`
+      : '❌ Could not save the server threshold. Please try again.');
+    return;
+  }
 
-  const embed = new EmbedBuilder()
-    .setTitle('🎁 MoniBot Giveaway!')
-    .setDescription(`**@${senderProfile.pay_tag}** is giving away **$${command.amount}** each to the first **${command.maxParticipants}** people!`)
-    .addFields(
-      { name: '💰 Per Person', value: `$${command.amount}`, inline: true },
-      { name: '👥 Spots', value: `${command.maxParticipants}`, inline: true },
-      { name: '💎 Total', value: `$${totalBudget.toFixed(2)}`, inline: true },
-      { name: 'How to Claim', value: 'Drop your **@MoniTag** below! 👇', inline: false },
-    )
-    .setColor(0xFFD700)
-    .setFooter({ text: 'First come, first served! Must have a MoniPay account.' });
+  const saved = await upsertUserSettings(message.author.id, { confirm_threshold: command.amount });
+  await message.reply(saved
+    ? `🛡️ You'll be asked to confirm payments above **$${command.amount.toFixed(2)}**. A lower server-wide threshold still applies.`
+    : '❌ Could not save your threshold. Please try again.');
+}
 
-  const giveawayMsg = await message.reply({ embeds: [embed] });
+// ============ Spending Limits Handler ============
 
-  // Create a collector for replies
-  const filter = (m) => !m.author.bot && /@\w+/i.test(m.content);
-  const collector = message.channel.createMessageCollector({ filter, time: 600000 }); // 10 min
+const formatLimit = (value) => (value === null ? 'No limit' : `$${Number(value).toFixed(2)}`);
 
-  let claimedCount = 0;
-  const claimedUsers = new Set();
+async function handleLimits(message, command) {
+  if (command.action === 'set') {
+    const updates = {};
+    for (const [key, column] of [['daily', 'daily_limit'], ['perTx', 'per_tx_limit']]) {
+      if (command[key] === undefined) continue;
+      if (command[key] !== null && !(Number.isFinite(command[key]) && command[key] > 0)) {
+        await message.reply('❌ Limits must be dollar amounts above $0, e.g. `!monibot limits daily $50 per-tx $20`, or `none`.');
+        return;
+      }
+      updates[column] = command[key];
+    }
 
-  collector.on('collect', async (reply) => {
-    if (claimedCount >= command.maxParticipants) {
-      collector.stop('limit');
+    const saved = await upsertUserSettings(message.author.id, updates);
+    if (!saved) {
+      await message.reply('❌ Could not save your limits. Please try again.');
       return;
     }
+  }
 
-    // Prevent duplicate claims
-    if (claimedUsers.has(reply.author.id)) return;
+  const [limits, spentEverywhere, spentHere] = await Promise.all([
+    getSpendingLimits(message.author.id, message.guild.id),
+    getSpentToday(message.author.id),
+    getSpentToday(message.author.id, message.guild.id),
+  ]);
 
-    // Extract monitag from reply
-    const tagMatch = reply.content.match(/@(\w[\w-]*)/);
-    if (!tagMatch) return;
+  const left = (limit, spent) => (limit === null || spent === null ? '' : ` · **$${Math.max(limit - spent, 0).toFixed(2)}** left today`);
 
-    const claimTag = tagMatch[1].toLowerCase();
-    if (claimTag === 'monibot' || claimTag === 'monipay') return;
+  const embed = new EmbedBuilder()
+    .setTitle(command.action === 'set' ? '🚦 Spending Limits Updated' : '🚦 Your Spending Limits')
+    .addFields(
+      { name: 'Your daily limit', value: `${formatLimit(limits.user.daily)}${left(limits.user.daily, spentEverywhere)}`, inline: false },
+      { name: 'Your per-transaction limit', value: formatLimit(limits.user.perTx), inline: true },
+      { name: 'Spent (last 24h)', value: spentEverywhere === null ? 'Unavailable' : `$${spentEverywhere.toFixed(2)}`, inline: true },
+      { name: `${message.guild.name} daily cap`, value: `${formatLimit(limits.guild.daily)}${left(limits.guild.daily, spentHere)}`, inline: false },
+      { name: `${message.guild.name} per-transaction cap`, value: formatLimit(limits.guild.perTx), inline: true },
+    )
+    .setColor(0x0052FF)
+    .setFooter({ text: 'The lower of your limit and the server cap applies. Daily totals are a rolling 24 hours.' });
 
-    const recipientProfile = await getProfileByMonitag(claimTag);
-    if (!recipientProfile) {
-      await reply.reply(`❌ @${claimTag} not found on MoniPay. Sign up at monipay.xyz first!`);
-      return;
-    }
+  await message.reply({ embeds: [embed] });
+}
 
-    // Prevent self-giveaway
-    if (recipientProfile.id === senderProfile.id) return;
+// ============ Receipt Settings Handler ============
 
-    claimedUsers.add(reply.author.id);
-    claimedCount++;
+async function handleReceiptSettings(message, command) {
+  if (command.action === 'set') {
+    const saved = await upsertUserSettings(message.author.id, { payment_dms: command.enabled });
+    await message.reply(!saved
+      ? '❌ Could not save your receipt setting. Please try again.'
+      : command.enabled
+        ? '📨 You\'ll get a DM receipt whenever someone pays you.'
+        : '🔕 Payment receipt DMs are off. Turn them back on with `!monibot receipts on`.');
+    return;
+  }
 
-    try {
-      const { hash, fee } = await executeP2P(
-        senderProfile.wallet_address,
-        recipientProfile.wallet_address,
-        command.amount,
-        `giveaway_${message.id}_${claimedCount}`,
-        command.chain
-      );
+  const settings = await getUserSettings(message.author.id);
+  await message.reply(settings?.payment_dms === false
+    ? '🔕 Payment receipt DMs are **off**. Turn them on with `!monibot receipts on`.'
+    : '📨 Payment receipt DMs are **on**. Turn them off with `!monibot receipts off`.');
+}
 
-      await logMonibotTransaction({
-        senderId: senderProfile.id,
-        receiverId: recipientProfile.id,
-        amount: command.amount,
-        fee,
-        txHash: hash,
-        type: 'p2p_command',
-        payerPayTag: senderProfile.pay_tag,
-        recipientPayTag: recipientProfile.pay_tag,
-        chain: command.chain.toUpperCase(),
-      });
+// ============ Scheduled Command Handler ============
 
-      const explorerUrl = getExplorerUrl(command.chain, hash);
-      await reply.reply(`✅ **$${command.amount.toFixed(2)}** sent to **@${recipientProfile.pay_tag}**! (${claimedCount}/${command.maxParticipants})\n[View TX](${explorerUrl}) | \`${hash}\``);
+const SCHEDULABLE_TYPES = new Set(['p2p', 'p2p_multi', 'giveaway']);
 
-      if (claimedCount >= command.maxParticipants) {
-        collector.stop('limit');
-      }
-    } catch (error) {
-      console.error(`❌ Giveaway transfer error for @${claimTag}:`, error.message);
-      claimedUsers.delete(reply.author.id);
-      claimedCount--;
+// Commands that take a time themselves, so their text skips schedule detection
+const TIMED_ARGUMENT_TYPES = new Set(['scheduled', 'bounty', 'raffle']);
 
-      if (error.message.includes('ERROR_BALANCE')) {
-        await reply.reply('❌ Giveaway ended — sender ran out of funds.');
-        collector.stop('funds');
-      } else if (error.message.includes('ERROR_ALLOWANCE')) {
-        await reply.reply('❌ Giveaway paused — sender needs to set allowance at monipay.xyz → Settings → MoniBot AI.');
-        collector.stop('allowance');
-      } else if (error.message.includes('rate limit') || error.message.includes('429')) {
-        await reply.reply('⏳ Network is busy — please try claiming again in a moment.');
-      } else {
-        await reply.reply('❌ Transfer failed — please try again.');
-      }
-    }
-  });
+/**
+ * Schedule the first run of a recurring command. Later runs are created by
+ * advanceRecurringJobs() after each execution.
+ * @param {object} message
+ * @param {{ commandText: string, rule?: object, error?: string }} recurrence - From parseRecurrence()
+ * @param {string} originalText
+ */
+async function handleRecurringCommand(message, recurrence, originalText) {
+  if (recurrence.error) {
+    await message.reply(`❌ ${recurrence.error}`);
+    return;
+  }
 
-  collector.on('end', (collected, reason) => {
-    const endEmbed = new EmbedBuilder()
-      .setTitle('🎁 Giveaway Ended!')
-      .setDescription(`**${claimedCount}/${command.maxParticipants}** spots claimed.`)
-      .setColor(reason === 'limit' ? 0x00FF00 : 0xFFA500)
-      .setFooter({ text: reason === 'limit' ? 'All spots filled!' : reason === 'funds' ? 'Sender ran out of funds' : 'Time expired' });
+  const firstRun = computeNextRun(recurrence.rule, new Date());
+  if (!firstRun) {
+    await message.reply('❌ That schedule ends before its first payment. Check the `until` date.');
+    return;
+  }
 
-    message.channel.send({ embeds: [endEmbed] });
-  });
+  await handleScheduledCommand(message, {
+    scheduledAt: firstRun.toISOString(),
+    command: recurrence.commandText,
+    timeDescription: describeRecurrence(recurrence.rule),
+  }, originalText, recurrence.rule);
 }
 
-// ============ Scheduled Command Handler ============
-
-async function handleScheduledCommand(message, scheduleResult, originalText) {
+/**
+ * @param {object} message
+ * @param {{ scheduledAt: string, command: string, timeDescription?: string }} scheduleResult
+ * @param {string} originalText
+ * @param {object|null} [recurrenceRule] - Makes the job the first run of a recurring series
+ */
+async function handleScheduledCommand(message, scheduleResult, originalText, recurrenceRule = null) {
   const senderProfile = await getProfileByDiscordId(message.author.id);
   if (!senderProfile) {
     await message.reply('❌ Your Discord is not linked to MoniPay. Use `!monibot link` to connect.');
@@ -1065,8 +3999,14 @@ async function handleScheduledCommand(message, scheduleResult, originalText) {
     return;
   }
 
+  const guildConfig = await getGuildConfig(message.guild.id);
+  if (!isCommandEnabled(guildConfig, 'schedule')) {
+    await message.reply('🚫 Scheduled commands are disabled in this server.');
+    return;
+  }
+
   // Parse the underlying command from the schedule result
-  const innerCommand = parseCommand(`!monibot ${scheduleResult.command}`);
+  const innerCommand = parseCommand(`!monibot ${scheduleResult.command}`, { defaultChain: guildConfig.defaultChain });
   let aiCommand = null;
   if (!innerCommand) {
     const aiResult = await aiParseCommand(scheduleResult.command, 'discord');
@@ -1076,11 +4016,42 @@ async function handleScheduledCommand(message, scheduleResult, originalText) {
   }
 
   const cmd = innerCommand || aiCommand;
-  if (!cmd || !cmd.type || cmd.type === 'help' || cmd.type === 'link' || cmd.type === 'balance') {
+  if (!cmd || !SCHEDULABLE_TYPES.has(cmd.type)) {
     await message.reply('❌ I can only schedule payment commands (send, giveaway). Try: `!monibot send $5 to @alice tomorrow at 3pm`');
     return;
   }
 
+  const denial = checkGuildPolicy(guildConfig, cmd);
+  if (denial) {
+    await message.reply(denial);
+    return;
+  }
+
+  // Daily headroom is reserved just before the job runs (reserveDueScheduledJobs)
+  const limits = await getSpendingLimits(message.author.id, message.guild.id);
+  if (limits.perTx !== null && cmd.amount > limits.perTx) {
+    await message.reply(`🚫 **$${cmd.amount.toFixed(2)}** is over ${limits.from.perTx} per-transaction limit of **$${limits.perTx.toFixed(2)}**.`);
+    return;
+  }
+
+  // The scheduler resolves recipients by MoniTag, so turn Discord mentions into tags now
+  if (cmd.recipients?.length) {
+    const tags = [];
+    for (const token of cmd.recipients) {
+      if (!getMentionId(token)) {
+        tags.push(token);
+        continue;
+      }
+      const recipient = await resolveRecipient(message.guild, token);
+      if (!recipient.profile) {
+        await message.reply(recipientNotFoundMessage(recipient));
+        return;
+      }
+      tags.push(recipient.profile.pay_tag.toLowerCase());
+    }
+    cmd.recipients = tags;
+  }
+
   // ── Allowance sanity check for scheduled commands ─────────────────────────
   // Warn the user now so they have time to fix it before execution.
   if (cmd.amount && cmd.chain) {
@@ -1106,12 +4077,30 @@ async function handleScheduledCommand(message, scheduleResult, originalText) {
       senderWallet: senderProfile.wallet_address,
       command: cmd,
       originalText,
+      ...(recurrenceRule && { recurrence: { rule: recurrenceRule, occurrence: 1 } }),
     },
     sourceAuthorId: message.author.id,
     sourceAuthorUsername: message.author.tag,
     sourceTweetId: message.id,
   });
 
+  if (recurrenceRule) {
+    const embed = new EmbedBuilder()
+      .setTitle('🔁 Recurring Payment Scheduled!')
+      .setDescription(`**${describeRecurrence(recurrenceRule)}**`)
+      .addFields(
+        { name: 'Command', value: scheduleResult.command, inline: false },
+        { name: 'First Payment', value: `<t:${Math.floor(scheduledAt.getTime() / 1000)}:F>`, inline: true },
+        { name: 'Ends', value: describeRecurrenceEnd(recurrenceRule), inline: true },
+        { name: 'Status', value: job ? '✅ Queued' : '❌ Failed to queue', inline: true },
+      )
+      .setColor(job ? 0x0052FF : 0xFF0000)
+      .setFooter({ text: `Series ID: ${job?.id || 'N/A'} • Each payment is posted here when it runs` });
+
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
   const timeDesc = scheduleResult.timeDescription || scheduledAt.toUTCString();
 
   const embed = new EmbedBuilder()
@@ -1123,11 +4112,128 @@ async function handleScheduledCommand(message, scheduleResult, originalText) {
       { name: 'Status', value: job ? '✅ Queued' : '❌ Failed to queue', inline: true },
     )
     .setColor(job ? 0x0052FF : 0xFF0000)
-    .setFooter({ text: `Job ID: ${job?.id || 'N/A'}` });
+    .setFooter({ text: job ? `Job ID: ${job.id} • Cancel with !monibot cancel ${shortId(job.id)}` : 'Job ID: N/A' });
 
   await message.reply({ embeds: [embed] });
 }
 
+// ============ Scheduled Job Management ============
+
+// Row IDs are UUIDs; the first block is enough to pick out a job or bounty
+const shortId = (id) => id.slice(0, 8);
+
+/**
+ * One-line summary of what a scheduled job will do
+ */
+function describeScheduledJob(job) {
+  const cmd = job.payload?.command || {};
+  const amount = `$${Number(cmd.amount || 0).toFixed(2)}`;
+  const chain = getChain(cmd.chain)?.symbol;
+  const what = cmd.type === 'giveaway'
+    ? `${amount} giveaway to the first ${cmd.maxParticipants}`
+    : `${amount}${cmd.type === 'p2p_multi' ? ' each' : ''} to ${(cmd.recipients || []).map(r => `@${r}`).join(', ') || 'N/A'}`;
+  return chain ? `${what} (${chain})` : what;
+}
+
+/**
+ * Find one of the caller's pending jobs by full ID or short ID.
+ * @returns {Promise<{ job?: object, error?: string }>}
+ */
+async function findOwnPendingJob(userId, jobId) {
+  if (jobId.length === 36) {
+    const job = await getScheduledJob(jobId);
+    if (!job || job.payload?.platform !== 'discord') return { error: `❌ No scheduled payment with ID \`${jobId}\`.` };
+    if (job.source_author_id !== userId) return { error: '❌ Only the person who scheduled this payment can change it.' };
+    if (job.status !== 'pending') return { error: `❌ This payment is already **${job.status}**.` };
+    return { job };
+  }
+
+  const jobs = await getPendingScheduledJobsForUser(userId);
+  const matches = jobs.filter(j => j.id.startsWith(jobId));
+  if (matches.length === 0) return { error: `❌ You have no pending scheduled payment \`${jobId}\`. See \`!monibot scheduled\`.` };
+  if (matches.length > 1) return { error: `❌ \`${jobId}\` matches several payments. Use the full Job ID.` };
+  return { job: matches[0] };
+}
+
+async function handleScheduledManagement(message, command) {
+  if (command.action === 'list') {
+    const jobs = await getPendingScheduledJobsForUser(message.author.id);
+    if (jobs.length === 0) {
+      await message.reply('⏰ You have no scheduled payments. Try `!monibot send $5 to @alice tomorrow at 3pm`.');
+      return;
+    }
+
+    const lines = jobs.map(job => {
+      const ts = Math.floor(new Date(job.scheduled_at).getTime() / 1000);
+      const recurring = job.payload?.recurrence ? ` 🔁 ${describeRecurrence(job.payload.recurrence.rule)}` : '';
+      return `\`${shortId(job.id)}\` <t:${ts}:F> (<t:${ts}:R>)\n${describeScheduledJob(job)}${recurring}`;
+    });
+
+    const embed = new EmbedBuilder()
+      .setTitle('⏰ Your Scheduled Payments')
+      .setDescription(lines.join('\n\n').substring(0, 4096))
+      .setColor(0x0052FF)
+      .setFooter({ text: '!monibot cancel <id> · !monibot reschedule <id> <time>' });
+
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  const { job, error } = await findOwnPendingJob(message.author.id, command.jobId);
+  if (error) {
+    await message.reply(error);
+    return;
+  }
+
+  if (command.action === 'cancel') {
+    const cancelled = await cancelScheduledJob(job.id);
+    if (!cancelled) {
+      await message.reply('❌ Too late — this payment has already started running.');
+      return;
+    }
+    await releaseScheduledSpend(job);
+    const series = job.payload?.recurrence ? ' Its recurring series is cancelled too.' : '';
+    await message.reply(`🚫 Cancelled scheduled payment \`${shortId(job.id)}\`: ${describeScheduledJob(job)}.${series}`);
+    log.info(`🚫 [Schedule] Job ${job.id} cancelled by ${message.author.tag}`);
+    return;
+  }
+
+  // Reschedule
+  const guildConfig = await getGuildConfig(message.guild.id);
+  if (!isCommandEnabled(guildConfig, 'schedule')) {
+    await message.reply('🚫 Scheduled commands are disabled in this server.');
+    return;
+  }
+
+  const schedule = await parseScheduleViaEdge(command.time, getSupabase());
+  if (!schedule?.scheduledAt) {
+    await message.reply('❌ I couldn\'t understand that time. Try `in 2 hours` or `tomorrow at 3pm`.');
+    return;
+  }
+  const scheduledAt = new Date(schedule.scheduledAt);
+  if (scheduledAt <= new Date()) {
+    await message.reply('⏰ That time is in the past. Please specify a future time.');
+    return;
+  }
+
+  const updated = await rescheduleScheduledJob(job.id, scheduledAt.toISOString());
+  if (!updated) {
+    await message.reply('❌ Too late — this payment has already started running.');
+    return;
+  }
+
+  // Spending is reserved again when the new time comes round
+  if (job.payload?.spendReservationId) {
+    await releaseScheduledSpend(job);
+    const { spendReservationId, ...payload } = job.payload;
+    await updateScheduledJob(job.id, { payload });
+  }
+
+  const ts = Math.floor(scheduledAt.getTime() / 1000);
+  await message.reply(`⏰ Moved \`${shortId(job.id)}\` (${describeScheduledJob(job)}) to <t:${ts}:F> (<t:${ts}:R>).`);
+  log.info(`⏰ [Schedule] Job ${job.id} moved to ${scheduledAt.toISOString()} by ${message.author.tag}`);
+}
+
 // ============ Conversational AI Handler ============
 
 async function handleChat(message, text) {
@@ -1145,7 +4251,7 @@ async function handleChat(message, text) {
       await message.reply("I'm MoniBot! Try commands like `!monibot send $5 to @alice` or `!monibot help` 💸");
     }
   } catch (e) {
-    console.error('[AI] Chat handler error:', e.message);
+    log.error('[AI] Chat handler error:', e.message);
     await message.reply("I'm MoniBot! Try `!monibot help` to see what I can do 🤖");
   }
 }
@@ -1154,13 +4260,202 @@ async function handleChat(message, text) {
 
 const notifiedJobIds = new Set();
 
+/**
+ * Schedule the next run for every finished run of a recurring series.
+ * The next run is anchored on the previous run's scheduled time so it doesn't
+ * drift; runs missed while the bot was offline are skipped, not back-paid.
+ * @returns {Promise<Map<string, object|null>>} Finished job ID → next job (null if the series ended)
+ */
+async function advanceRecurringJobs() {
+  const advanced = new Map();
+  const jobs = await getRecurringJobsAwaitingNext();
+
+  for (const job of jobs) {
+    const recurrence = job.payload.recurrence;
+    const { rule, occurrence = 1 } = recurrence;
+    const seriesId = recurrence.seriesId || job.id;
+
+    // Step over missed runs one interval at a time, so the series keeps its spacing (e.g. every other Friday)
+    let nextRun = computeNextRun(rule, new Date(job.scheduled_at), occurrence);
+    while (nextRun && nextRun <= new Date()) nextRun = computeNextRun(rule, nextRun, occurrence);
+
+    if (!nextRun) {
+      await updateScheduledJob(job.id, { payload: { ...job.payload, recurrence: { ...recurrence, ended: true } } });
+      advanced.set(job.id, null);
+      log.info(`🔁 [Recurring] Series ${seriesId} finished after ${occurrence} run(s)`);
+      continue;
+    }
+
+    // Each run reserves its own spending
+    const { spendReservationId, ...payload } = job.payload;
+    const nextJob = await createScheduledJob({
+      type: job.type,
+      scheduledAt: nextRun.toISOString(),
+      payload: { ...payload, recurrence: { rule, occurrence: occurrence + 1, seriesId } },
+      sourceAuthorId: job.source_author_id,
+      sourceAuthorUsername: job.source_author_username,
+      sourceTweetId: `${seriesId}_${occurrence + 1}`,
+    });
+    // Left without nextJobId, so the next poll retries
+    if (!nextJob) continue;
+
+    await updateScheduledJob(job.id, { payload: { ...job.payload, recurrence: { ...recurrence, nextJobId: nextJob.id } } });
+    advanced.set(job.id, nextJob);
+  }
+
+  return advanced;
+}
+
+/**
+ * Embed field describing where a run sits in its recurring series
+ */
+function recurrenceField(job, advanced) {
+  const recurrence = job.payload?.recurrence;
+  if (!recurrence) return null;
+
+  const position = `Payment ${recurrence.occurrence}${recurrence.rule.count ? ` of ${recurrence.rule.count}` : ''}`;
+  const next = advanced.get(job.id);
+  let value = `${position} · ${describeRecurrence(recurrence.rule)}`;
+  if (next) value += `\nNext: <t:${Math.floor(new Date(next.scheduled_at).getTime() / 1000)}:F>`;
+  else if (advanced.has(job.id)) value += '\nThis was the last payment in the series.';
+  return { name: '🔁 Recurring', value, inline: false };
+}
+
+// How far ahead jobs get their spending reserved; covers at least two polls
+const SCHEDULED_SPEND_LOOKAHEAD_MS = 90 * 1000;
+
+/**
+ * Per-transfer amount and transfer count a scheduled job will spend
+ */
+function scheduledSpend(job) {
+  const cmd = job.payload?.command || {};
+  const transfers = cmd.type === 'giveaway' ? cmd.maxParticipants : cmd.type === 'p2p_multi' ? cmd.recipients?.length : 1;
+  return { perTransfer: Number(cmd.amount || 0), transfers: transfers || 1 };
+}
+
+/**
+ * The scheduler runs jobs outside this process, so spending limits are
+ * enforced here just before: each job due soon reserves its amount, and one
+ * that would break a limit is failed with the headroom message instead.
+ */
+async function reserveDueScheduledJobs() {
+  const jobs = await getScheduledJobsDueBefore(new Date(Date.now() + SCHEDULED_SPEND_LOOKAHEAD_MS).toISOString());
+
+  for (const job of jobs) {
+    const pause = getPaymentPause(await getGuildConfig(job.payload.guildId));
+    if (pause) {
+      if (await failScheduledJob(job.id, pause)) {
+        log.info(`⏸️ Scheduled job ${job.id} blocked: payments paused`);
+      }
+      continue;
+    }
+
+    const spend = await reserveSpending({
+      discordId: job.source_author_id,
+      guildId: job.payload.guildId,
+      ...scheduledSpend(job),
+      source: 'scheduled',
+      reference: job.id,
+    });
+
+    if (spend.error) {
+      if (await failScheduledJob(job.id, spend.error)) {
+        log.info(`🚦 [Limits] Scheduled job ${job.id} blocked: over spending limit`);
+      }
+      continue;
+    }
+
+    // 'none' marks the job as checked when nothing could be recorded
+    await updateScheduledJob(job.id, { payload: { ...job.payload, spendReservationId: spend.reservation?.id || 'none' } });
+  }
+}
+
+/**
+ * Settle a finished job's reservation with what it actually sent. Jobs that
+ * ran without one (e.g. while the bot was offline) are recorded after the fact.
+ */
+async function settleScheduledSpend(job) {
+  const { perTransfer, transfers } = scheduledSpend(job);
+  const succeeded = job.result?.results ? job.result.results.filter(r => r.status === 'success').length : transfers;
+  const spent = job.status === 'completed' ? perTransfer * succeeded : 0;
+  const reservationId = job.payload?.spendReservationId;
+
+  if (reservationId && reservationId !== 'none') {
+    await settleSpending({ id: reservationId }, spent);
+  } else if (!reservationId && spent > 0) {
+    // The poller sees a job again after a restart; record it only once.
+    // If the lookup fails, skip rather than risk counting it twice
+    if ((await hasSpendForReference('scheduled', job.id)) !== false) return;
+    await insertSpend({
+      discordId: job.source_author_id,
+      guildId: job.payload?.guildId,
+      amount: spent,
+      source: 'scheduled',
+      reference: job.id,
+      status: 'completed',
+    });
+  }
+}
+
+/**
+ * Void a pending job's reservation (cancelled or moved)
+ */
+async function releaseScheduledSpend(job) {
+  const reservationId = job.payload?.spendReservationId;
+  if (reservationId && reservationId !== 'none') await settleSpending({ id: reservationId }, 0);
+}
+
+/**
+ * DM receipts for each transfer a completed scheduled job made
+ */
+async function queueScheduledReceipts(job) {
+  const command = job.payload?.command || {};
+  const chain = command.chain || job.payload?.chain || DEFAULT_CHAIN;
+  const amount = Number(command.amount ?? job.payload?.amount);
+  const transfers = job.result?.results
+    ? job.result.results.filter(r => r.status === 'success').map(r => ({ recipient: r.tag, txHash: r.txHash }))
+    : [{ recipient: (command.recipients || job.payload?.recipients || [])[0], txHash: job.result?.txHash }];
+
+  for (const { recipient, txHash } of transfers) {
+    if (!recipient || !txHash || !Number.isFinite(amount)) continue;
+    const mentionId = getMentionId(recipient);
+    const profile = mentionId ? await getProfileByDiscordId(mentionId) : await getProfileByMonitag(recipient.replace(/^@/, ''));
+    queueReceipt(profile, {
+      senderTag: job.payload?.senderPayTag || 'Unknown',
+      amount,
+      chain,
+      txHash,
+      memo: job.payload?.recurrence ? 'Recurring payment' : 'Scheduled payment',
+      guildName: client.guilds.cache.get(job.payload?.guildId)?.name,
+    });
+  }
+}
+
 async function pollScheduledJobResults() {
   try {
+    await reserveDueScheduledJobs();
+    const advanced = await advanceRecurringJobs();
     const jobs = await getCompletedScheduledJobs();
     for (const job of jobs) {
       if (notifiedJobIds.has(job.id)) continue;
       notifiedJobIds.add(job.id);
 
+      if (job.status !== 'cancelled') {
+        await settleScheduledSpend(job);
+        logAudit(client.guilds.cache.get(job.payload?.guildId), {
+          event: job.status === 'completed' ? 'scheduled_executed' : 'scheduled_failed',
+          type: job.type,
+          actorId: job.source_author_id,
+          amount: job.payload?.command?.amount ?? job.payload?.amount,
+          chain: job.payload?.command?.chain || job.payload?.chain || DEFAULT_CHAIN,
+          recipients: job.payload?.command?.recipients || job.payload?.recipients,
+          txHash: job.result?.txHash || job.result?.results?.[0]?.txHash,
+          jobId: job.id,
+          detail: job.status === 'failed' ? job.error_message : null,
+        });
+      }
+      if (job.status === 'completed') await queueScheduledReceipts(job);
+
       const channelId = job.payload?.channelId;
       if (!channelId) continue;
 
@@ -1173,7 +4468,7 @@ async function pollScheduledJobResults() {
 
       if (job.status === 'completed' && job.result) {
         const txHash = job.result.txHash || job.result.results?.[0]?.txHash;
-        const chain = job.payload?.command?.chain || job.payload?.chain || 'base';
+        const chain = job.payload?.command?.chain || job.payload?.chain || DEFAULT_CHAIN;
         const explorerUrl = getExplorerUrl(chain, txHash || '');
 
         const embed = new EmbedBuilder()
@@ -1197,8 +4492,12 @@ async function pollScheduledJobResults() {
           embed.addFields({ name: 'Results', value: summary, inline: false });
         }
 
+        const seriesField = recurrenceField(job, advanced);
+        if (seriesField) embed.addFields(seriesField);
+
         await channel.send({ embeds: [embed] });
-        console.log(`📬 Notified channel ${channelId}: job ${job.id} completed`);
+        log.info(`📬 Notified channel ${channelId}: job ${job.id} completed`);
+        scheduledJobNotifications.inc({ status: 'completed' });
       } else if (job.status === 'failed') {
         const embed = new EmbedBuilder()
           .setTitle('❌ Scheduled Payment Failed')
@@ -1211,12 +4510,32 @@ async function pollScheduledJobResults() {
           .setColor(0xFF0000)
           .setFooter({ text: `Job ID: ${job.id} | Attempts: ${job.attempts}/${job.max_attempts}` });
 
+        const seriesField = recurrenceField(job, advanced);
+        if (seriesField) embed.addFields(seriesField);
+
+        await channel.send({ embeds: [embed] });
+        log.info(`📬 Notified channel ${channelId}: job ${job.id} failed`);
+        scheduledJobNotifications.inc({ status: 'failed' });
+      } else if (job.status === 'cancelled') {
+        const unixTs = Math.floor(new Date(job.scheduled_at).getTime() / 1000);
+        const embed = new EmbedBuilder()
+          .setTitle('🚫 Scheduled Payment Cancelled')
+          .setDescription(`**@${senderTag}** cancelled a scheduled payment${job.payload?.recurrence ? ' and its recurring series' : ''}.`)
+          .addFields(
+            { name: 'Amount', value: `$${amount}`, inline: true },
+            { name: 'To', value: recipients.map(r => `@${r}`).join(', ') || 'N/A', inline: true },
+            { name: 'Was Scheduled For', value: `<t:${unixTs}:F>`, inline: false },
+          )
+          .setColor(0x808080)
+          .setFooter({ text: `Job ID: ${job.id}` });
+
         await channel.send({ embeds: [embed] });
-        console.log(`📬 Notified channel ${channelId}: job ${job.id} failed`);
+        log.info(`📬 Notified channel ${channelId}: job ${job.id} cancelled`);
+        scheduledJobNotifications.inc({ status: 'cancelled' });
       }
     }
   } catch (err) {
-    console.error('❌ Job notification poll error:', err.message);
+    log.error('❌ Job notification poll error:', err.message);
   }
 }
 
@@ -1226,8 +4545,8 @@ async function pollScheduledJobResults() {
 
 // ============ Graceful Shutdown ============
 
-process.on('SIGTERM', () => { console.log('🛑 SIGTERM'); client.destroy(); process.exit(0); });
-process.on('SIGINT', () => { console.log('🛑 SIGINT'); client.destroy(); process.exit(0); });
+process.on('SIGTERM', () => { log.info('🛑 SIGTERM'); client.destroy(); process.exit(0); });
+process.on('SIGINT', () => { log.info('🛑 SIGINT'); client.destroy(); process.exit(0); });
 
 // ============ Login ============
 
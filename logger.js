@@ -0,0 +1,158 @@
+/**
+ * MoniBot Discord - Structured Logging
+ *
+ * One JSON object per line:
+ *   {"time":"…","level":"info","module":"blockchain","correlationId":"c4e1…","msg":"…",…fields}
+ *
+ * Each command runs inside withCorrelation(), and every line logged while it
+ * is handled - parsing, profile lookup, allowance check, executeP2P, reroute,
+ * reply - carries its correlationId without it being passed around.
+ *
+ * Redacted from every message and field:
+ * - Secret env values (*_KEY, *_TOKEN, *_SECRET) and fields named like keys
+ * - API keys in URLs (long path segments, query strings, user:pass@)
+ * - Wallet addresses, shortened to 0x1234…abcd (tx hashes are kept)
+ *
+ * LOG_LEVEL = debug | info | warn | error (default info)
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import util from 'util';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = LEVELS[process.env.LOG_LEVEL?.toLowerCase()] ?? LEVELS.info;
+
+const contextStorage = new AsyncLocalStorage();
+
+// ============ Redaction ============
+
+const SECRET_ENV_NAME = /(KEY|TOKEN|SECRET|PASSWORD)$/;
+const SECRET_FIELD_NAME = /private.?key|secret|token|password|api.?key|authorization/i;
+const URL_PATTERN = /\b(?:https?|wss?):\/\/[^\s"'<>`)]+/g;
+// 40 hex chars not part of a longer hex string, so 64-char tx hashes survive
+const ADDRESS_PATTERN = /(?<![0-9a-fA-F])0x([0-9a-fA-F]{4})[0-9a-fA-F]{32}([0-9a-fA-F]{4})(?![0-9a-fA-F])/g;
+
+let secretValues = null;
+
+function getSecretValues() {
+  // Read lazily: dotenv may load after this module is imported
+  if (!secretValues) {
+    secretValues = Object.entries(process.env)
+      .filter(([name, value]) => SECRET_ENV_NAME.test(name) && value && value.length >= 8)
+      .map(([, value]) => value)
+      .sort((a, b) => b.length - a.length);
+  }
+  return secretValues;
+}
+
+function redactUrl(raw) {
+  try {
+    const url = new URL(raw);
+    const userInfo = url.username || url.password ? '***@' : '';
+    const path = url.pathname
+      .split('/')
+      .map(segment => (/^[A-Za-z0-9_-]{16,}$/.test(segment) ? '***' : segment))
+      .join('/');
+    return `${url.protocol}//${userInfo}${url.host}${path}${url.search ? '?***' : ''}`;
+  } catch {
+    return '[url]';
+  }
+}
+
+/**
+ * Redact secrets, URL credentials and wallet addresses from a string
+ * @param {string} text
+ */
+export function redactString(text) {
+  let out = text;
+  for (const secret of getSecretValues()) {
+    if (out.includes(secret)) out = out.split(secret).join('[REDACTED]');
+  }
+  return out
+    .replace(URL_PATTERN, redactUrl)
+    .replace(ADDRESS_PATTERN, '0x$1…$2');
+}
+
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value === 'bigint') return value.toString();
+  if (value === null || typeof value !== 'object') return value;
+  if (depth > 4) return '[object]';
+  if (value instanceof Error) return { name: value.name, message: redactString(value.message) };
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const out = {};
+  for (const [key, item] of Object.entries(value)) {
+    out[key] = SECRET_FIELD_NAME.test(key) ? '[REDACTED]' : redact(item, depth + 1);
+  }
+  return out;
+}
+
+// ============ Correlation ============
+
+/**
+ * Short random ID for one command
+ */
+export function newCorrelationId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+/**
+ * Run `fn` with context fields (at least a correlationId) attached to every
+ * line it logs, including from awaited calls in other modules.
+ * @param {{ correlationId: string } & object} context
+ * @param {Function} fn
+ */
+export function withCorrelation(context, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+}
+
+/**
+ * Correlation ID of the command being handled, if any
+ */
+export function getCorrelationId() {
+  return contextStorage.getStore()?.correlationId ?? null;
+}
+
+// ============ Logger ============
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+function write(level, module, args) {
+  if (LEVELS[level] < minLevel) return;
+
+  // Console-style arguments; a trailing plain object holds structured fields
+  const fields = args.length > 1 && isPlainObject(args[args.length - 1]) ? { ...args.pop() } : {};
+  const error = args.find(arg => arg instanceof Error);
+  if (error && !fields.error) fields.error = error;
+  const msg = util.format(...args.map(arg => (arg instanceof Error ? arg.message : arg))).trim();
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    module,
+    ...contextStorage.getStore(),
+    msg,
+    ...fields,
+  });
+
+  const line = `${JSON.stringify(entry)}\n`;
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(line);
+  else process.stdout.write(line);
+}
+
+/**
+ * Logger for one module. Methods take console-style arguments, optionally
+ * followed by an object of fields: log.info('💸 Sent', { chain, txHash }).
+ * @param {string} module
+ */
+export function createLogger(module) {
+  return {
+    debug: (...args) => write('debug', module, args),
+    info: (...args) => write('info', module, args),
+    warn: (...args) => write('warn', module, args),
+    error: (...args) => write('error', module, args),
+  };
+}
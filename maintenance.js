@@ -0,0 +1,103 @@
+/**
+ * MoniBot Discord - Maintenance Mode & Payment Pauses
+ *
+ * Switches operators flip from the admin API:
+ * - Maintenance mode: MoniBot answers every command with a maintenance
+ *   notice, and no payments go out. Starts on with MAINTENANCE_MODE=true.
+ * - Global payment pause: commands still work, but nothing that moves funds.
+ *   Stored in discord_bot_settings (key payments_paused) so an emergency
+ *   pause survives restarts. Payments stay paused from startup until the
+ *   stored value has been read; if it can't be, the read is retried.
+ * - Per-guild payment pause: the same for one server; stored as
+ *   discord_servers.payments_paused so it survives restarts.
+ * Maintenance mode lives in memory and resets to MAINTENANCE_MODE on restart.
+ */
+
+import { getBotSetting, saveBotSetting } from './database.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('maintenance');
+
+const DEFAULT_MAINTENANCE_MESSAGE = '🛠️ MoniBot is down for maintenance. Please try again a little later.';
+const PAUSE_SETTING = 'payments_paused';
+const PAUSE_LOAD_RETRY_MS = 60 * 1000;
+
+const state = {
+  maintenance: process.env.MAINTENANCE_MODE === 'true',
+  maintenanceMessage: DEFAULT_MAINTENANCE_MESSAGE,
+  // Closed until the stored switch is known
+  paymentsPaused: true,
+  // 'loading' → 'database' (stored value) or 'default' (never set); 'admin_api' once flipped
+  paymentsPausedSource: 'loading',
+};
+
+/**
+ * Current global switches
+ * @returns {{ maintenance: boolean, maintenanceMessage: string, paymentsPaused: boolean, paymentsPausedSource: string }}
+ */
+export function getMaintenanceState() {
+  return { ...state };
+}
+
+/**
+ * The maintenance notice to reply with, or null when not in maintenance
+ */
+export function getMaintenanceNotice() {
+  return state.maintenance ? state.maintenanceMessage : null;
+}
+
+/**
+ * Turn maintenance mode on or off
+ * @param {boolean} enabled
+ * @param {string} [message] - Custom notice shown to users
+ */
+export function setMaintenance(enabled, message = null) {
+  state.maintenance = enabled;
+  state.maintenanceMessage = message || DEFAULT_MAINTENANCE_MESSAGE;
+  log.warn(`🛠️ Maintenance mode ${enabled ? 'ON' : 'OFF'}`);
+}
+
+/**
+ * Load the stored global payment pause. Until it has been read, payments
+ * stay paused; a failed read is retried every minute.
+ */
+export async function loadPaymentPause() {
+  const stored = await getBotSetting(PAUSE_SETTING);
+  // An operator may have flipped the switch while this was loading
+  if (state.paymentsPausedSource !== 'loading') return;
+
+  if (!stored) {
+    log.error(`❌ Could not read the global payment pause; payments stay paused, retrying in ${PAUSE_LOAD_RETRY_MS / 1000}s`);
+    setTimeout(loadPaymentPause, PAUSE_LOAD_RETRY_MS);
+    return;
+  }
+
+  state.paymentsPaused = stored.value === true;
+  state.paymentsPausedSource = stored.value === null ? 'default' : 'database';
+  if (state.paymentsPaused) log.warn('⏸️ Payments are paused globally (stored switch)');
+}
+
+/**
+ * Pause or resume payments in every guild. Takes effect immediately; returns
+ * false if it could not be stored, so it would not survive a restart.
+ * @param {boolean} paused
+ * @returns {Promise<boolean>}
+ */
+export async function setPaymentsPaused(paused) {
+  state.paymentsPaused = paused;
+  state.paymentsPausedSource = 'admin_api';
+  log.warn(`⏸️ Payments ${paused ? 'paused' : 'resumed'} globally`);
+  return saveBotSetting(PAUSE_SETTING, paused);
+}
+
+/**
+ * Why payments can't go out in a guild right now, or null if they can
+ * @param {object} [guildConfig] - From getGuildConfig()
+ * @returns {string|null}
+ */
+export function getPaymentPause(guildConfig) {
+  if (state.maintenance) return '🛠️ Payments are paused while MoniBot is under maintenance.';
+  if (state.paymentsPaused) return '⏸️ Payments are temporarily paused. Please try again later.';
+  if (guildConfig?.paymentsPaused) return '⏸️ Payments are paused in this server right now.';
+  return null;
+}
@@ -0,0 +1,157 @@
+/**
+ * MoniBot Discord - Prometheus Metrics
+ *
+ * In-process counters and histograms served as Prometheus text from
+ * GET /metrics on the health server. Values reset when the process restarts;
+ * use rate()/increase() in queries.
+ */
+
+// ============ Registry ============
+
+const registry = [];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const pairs = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Monotonic counter with labels
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} [labelNames]
+ */
+function counter(name, help, labelNames = []) {
+  const series = new Map();
+  const metric = {
+    inc(labels = {}, by = 1) {
+      const key = labelKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + by);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [key, value] of series) {
+        lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+      }
+      return lines.join('\n');
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Cumulative histogram with labels
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} labelNames
+ * @param {number[]} buckets - Upper bounds, ascending
+ */
+function histogram(name, help, labelNames, buckets) {
+  const series = new Map();
+  const metric = {
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i]++; });
+      entry.sum += value;
+      entry.count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, entry] of series) {
+        const values = JSON.parse(key);
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${entry.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, values)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, values)} ${entry.count}`);
+      }
+      return lines.join('\n');
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// ============ Metrics ============
+
+export const commandsTotal = counter(
+  'monibot_commands_total',
+  'Commands dispatched, by command type and outcome (handled, denied, error)',
+  ['type', 'outcome'],
+);
+
+export const commandParseTotal = counter(
+  'monibot_command_parse_total',
+  'How messages were understood: regex, ai, chat, schedule or slash',
+  ['path'],
+);
+
+export const executeP2PDuration = histogram(
+  'monibot_execute_p2p_duration_seconds',
+  'executeP2P latency from preflight reads to receipt',
+  ['chain', 'outcome'],
+  [0.5, 1, 2, 5, 10, 20, 30, 60, 120],
+);
+
+export const executeP2PFailures = counter(
+  'monibot_execute_p2p_failures_total',
+  'Failed executeP2P calls, by chain and error code (ERROR_BALANCE, ERROR_ALLOWANCE, ...)',
+  ['chain', 'code'],
+);
+
+export const rpcFailovers = counter(
+  'monibot_rpc_failovers_total',
+  'Switches to the next RPC endpoint after a transport error',
+  ['chain'],
+);
+
+export const crossChainReroutes = counter(
+  'monibot_cross_chain_reroutes_total',
+  'Payments moved to another chain by findAlternateChain',
+  ['from', 'to'],
+);
+
+export const rateLimitRejections = counter(
+  'monibot_rate_limit_rejections_total',
+  'Commands refused by the per-member rate limit',
+  ['source'],
+);
+
+export const scheduledJobNotifications = counter(
+  'monibot_scheduled_job_notifications_total',
+  'Scheduled job results posted to Discord, by job status',
+  ['status'],
+);
+
+// ============ Helpers ============
+
+/**
+ * Short, low-cardinality code for a transfer error: the ERROR_* prefix our
+ * code throws, else the viem error class name
+ * @param {Error} error
+ */
+export function errorCode(error) {
+  return error?.message?.match(/^ERROR_[A-Z_]+/)?.[0] || error?.name || 'Error';
+}
+
+/**
+ * Render every metric in the Prometheus text exposition format
+ * @returns {string}
+ */
+export function renderMetrics() {
+  return `${registry.map(metric => metric.render()).join('\n')}\n`;
+}
@@ -0,0 +1,11 @@
+-- Button confirmation for large or AI-parsed payments.
+-- Per-user threshold (`!monibot confirm $50`) and the server-wide one.
+
+create table if not exists discord_user_settings (
+  discord_id text primary key,
+  confirm_threshold numeric,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table discord_servers add column if not exists confirm_threshold numeric;
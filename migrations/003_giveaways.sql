@@ -0,0 +1,26 @@
+-- Giveaways persisted so they resume after a restart. claims holds each
+-- claim as { discordId, profileId, payTag, wallet, key, reservationId,
+-- status, txHash }; the tx hash is written before the payout is broadcast.
+
+create table if not exists discord_giveaways (
+  id uuid primary key default gen_random_uuid(),
+  message_id text not null,
+  announcement_message_id text,
+  guild_id text not null,
+  channel_id text not null,
+  sender_profile_id uuid not null,
+  sender_discord_id text not null,
+  amount numeric not null,
+  max_participants integer not null,
+  budget numeric not null,
+  chain text not null,
+  claimed_count integer not null default 0,
+  claims jsonb not null default '[]'::jsonb,
+  status text not null default 'open',
+  end_reason text,
+  expires_at timestamptz not null,
+  ended_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists discord_giveaways_status_idx on discord_giveaways (status);
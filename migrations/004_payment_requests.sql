@@ -0,0 +1,27 @@
+-- Payment requests (`!monibot request $10 from @bob`) with a Pay button.
+-- status: open -> processing -> paid, or declined / expired.
+
+create table if not exists discord_payment_requests (
+  id uuid primary key default gen_random_uuid(),
+  guild_id text,
+  channel_id text not null,
+  message_id text,
+  requester_discord_id text not null,
+  requester_profile_id uuid not null,
+  requester_pay_tag text not null,
+  payer_discord_id text,
+  payer_profile_id uuid,
+  payer_pay_tag text not null,
+  amount numeric not null,
+  chain text not null,
+  memo text,
+  status text not null default 'open',
+  tx_hash text,
+  expires_at timestamptz not null,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists discord_payment_requests_requester_idx on discord_payment_requests (requester_discord_id, created_at desc);
+create index if not exists discord_payment_requests_payer_idx on discord_payment_requests (payer_discord_id, created_at desc);
+create index if not exists discord_payment_requests_open_idx on discord_payment_requests (expires_at) where status = 'open';
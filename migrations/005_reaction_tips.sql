@@ -0,0 +1,25 @@
+-- Reaction tips. A tip row is inserted before paying; the unique key makes
+-- a repeat reaction on the same message a no-op.
+
+create table if not exists discord_tips (
+  id uuid primary key default gen_random_uuid(),
+  guild_id text not null,
+  channel_id text not null,
+  message_id text not null,
+  reactor_discord_id text not null,
+  author_discord_id text not null,
+  emoji text not null,
+  amount numeric not null,
+  chain text not null,
+  status text not null default 'pending',
+  tx_hash text,
+  error_reason text,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists discord_tips_reaction_key on discord_tips (message_id, reactor_discord_id, emoji);
+create index if not exists discord_tips_reactor_idx on discord_tips (reactor_discord_id, guild_id, created_at);
+
+-- Tip emoji ({ key: { label, amount } }) and the daily cap per member
+alter table discord_servers add column if not exists tip_emojis jsonb;
+alter table discord_servers add column if not exists tip_daily_cap numeric;
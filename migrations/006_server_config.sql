@@ -0,0 +1,9 @@
+-- Per-server configuration (`!monibot config`). Null means the global default.
+
+alter table discord_servers add column if not exists command_prefix text;
+alter table discord_servers add column if not exists default_chain text;
+alter table discord_servers add column if not exists allowed_channel_ids text[];
+alter table discord_servers add column if not exists max_payment numeric;
+alter table discord_servers add column if not exists disabled_commands text[];
+alter table discord_servers add column if not exists admin_role_ids text[];
+alter table discord_servers add column if not exists rate_limit_per_minute integer;
@@ -0,0 +1,25 @@
+-- Split the bill. Each debtor's share is a discord_payment_requests row
+-- pointing back at its split.
+
+create table if not exists discord_splits (
+  id uuid primary key default gen_random_uuid(),
+  guild_id text,
+  channel_id text not null,
+  message_id text,
+  organizer_discord_id text not null,
+  organizer_profile_id uuid not null,
+  organizer_pay_tag text not null,
+  total numeric not null,
+  organizer_share numeric not null,
+  chain text not null,
+  memo text,
+  status text not null default 'open',
+  last_reminded_at timestamptz,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists discord_splits_open_idx on discord_splits (last_reminded_at) where status = 'open';
+
+alter table discord_payment_requests add column if not exists split_id uuid references discord_splits (id);
+create index if not exists discord_payment_requests_split_idx on discord_payment_requests (split_id);
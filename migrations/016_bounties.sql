@@ -0,0 +1,23 @@
+-- Bounties. awards holds each payout as { payTag, discordId, amount, chain,
+-- txHash, unconfirmed }.
+
+create table if not exists discord_bounties (
+  id uuid primary key default gen_random_uuid(),
+  guild_id text not null,
+  channel_id text not null,
+  message_id text,
+  poster_discord_id text not null,
+  poster_profile_id uuid not null,
+  poster_pay_tag text not null,
+  amount numeric not null,
+  awarded_amount numeric not null default 0,
+  awards jsonb not null default '[]'::jsonb,
+  chain text not null,
+  description text not null,
+  status text not null default 'open',
+  expires_at timestamptz not null,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists discord_bounties_open_idx on discord_bounties (guild_id, expires_at) where status = 'open';
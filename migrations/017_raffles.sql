@@ -0,0 +1,40 @@
+-- Raffles with a commit-reveal draw. seed stays server-side until the draw;
+-- only seed_hash is shown. winners holds each payout as { discordId,
+-- payTag, key, status, txHash, chain, error }; the tx hash is written
+-- before the payout is broadcast.
+
+create table if not exists discord_raffles (
+  id uuid primary key default gen_random_uuid(),
+  guild_id text not null,
+  channel_id text not null,
+  message_id text,
+  poster_discord_id text not null,
+  poster_profile_id uuid not null,
+  poster_pay_tag text not null,
+  amount numeric not null,
+  winner_count integer not null,
+  chain text not null,
+  seed text not null,
+  seed_hash text not null,
+  status text not null default 'open',
+  ends_at timestamptz not null,
+  entries_hash text,
+  entry_count integer,
+  winners jsonb,
+  drawn_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists discord_raffles_unfinished_idx on discord_raffles (status) where status in ('open', 'drawing');
+
+create table if not exists discord_raffle_entries (
+  id uuid primary key default gen_random_uuid(),
+  raffle_id uuid not null references discord_raffles (id) on delete cascade,
+  discord_id text not null,
+  profile_id uuid not null,
+  pay_tag text not null,
+  created_at timestamptz not null default now()
+);
+
+-- One entry per member
+create unique index if not exists discord_raffle_entries_member_key on discord_raffle_entries (raffle_id, discord_id);
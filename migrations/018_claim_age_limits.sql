@@ -0,0 +1,5 @@
+-- Minimum Discord account age and server membership age to claim a
+-- giveaway or enter a raffle. Null means no limit.
+
+alter table discord_servers add column if not exists claim_min_account_age_days integer;
+alter table discord_servers add column if not exists claim_min_join_age_days integer;
@@ -0,0 +1,26 @@
+-- Spending limits. Every outgoing transfer reserves a 'pending' row before
+-- sending and settles it to 'completed' (with what was actually sent) or
+-- 'void'. Pending and completed rows count toward the rolling 24h limits.
+-- source is where the spend came from: message, slash, ai, tip, giveaway,
+-- raffle or scheduled; reference is the message, tip, giveaway, raffle or
+-- scheduled job it paid for.
+
+create table if not exists discord_spend_log (
+  id uuid primary key default gen_random_uuid(),
+  discord_id text not null,
+  guild_id text,
+  amount numeric not null,
+  source text not null,
+  reference text,
+  status text not null default 'pending',
+  settled_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists discord_spend_log_user_idx on discord_spend_log (discord_id, created_at);
+create index if not exists discord_spend_log_reference_idx on discord_spend_log (source, reference);
+
+-- Per-user limits (`!monibot limits`) and the server-wide per-member cap
+alter table discord_user_settings add column if not exists daily_limit numeric;
+alter table discord_user_settings add column if not exists per_tx_limit numeric;
+alter table discord_servers add column if not exists member_daily_limit numeric;
@@ -0,0 +1,6 @@
+-- Audit log channel, and the platform_commands row behind each giveaway and
+-- raffle so their audit lines can be traced back to the command.
+
+alter table discord_servers add column if not exists audit_channel_id text;
+alter table discord_giveaways add column if not exists command_id uuid;
+alter table discord_raffles add column if not exists command_id uuid;
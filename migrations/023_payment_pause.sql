@@ -0,0 +1,10 @@
+-- Payment pauses from the admin API. The global pause lives in
+-- discord_bot_settings (key payments_paused) so it survives restarts.
+
+alter table discord_servers add column if not exists payments_paused boolean not null default false;
+
+create table if not exists discord_bot_settings (
+  key text primary key,
+  value jsonb,
+  updated_at timestamptz not null default now()
+);
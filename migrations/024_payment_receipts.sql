@@ -0,0 +1,3 @@
+-- Payment receipt DMs. Null means on; `!monibot receipts off` sets false.
+
+alter table discord_user_settings add column if not exists payment_dms boolean;
@@ -0,0 +1,24 @@
+-- Deposit watcher. The cursor is the last block fully processed per chain;
+-- each detected transfer is recorded once, so a rescan never alerts twice.
+
+create table if not exists discord_deposit_cursors (
+  chain text primary key,
+  last_block bigint not null,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists discord_deposits (
+  id uuid primary key default gen_random_uuid(),
+  chain text not null,
+  tx_hash text not null,
+  log_index integer not null,
+  block_number bigint not null,
+  from_address text not null,
+  to_address text not null,
+  amount numeric not null,
+  profile_id uuid not null,
+  discord_id text not null,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists discord_deposits_transfer_key on discord_deposits (chain, tx_hash, log_index);
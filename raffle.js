@@ -0,0 +1,64 @@
+/**
+ * MoniBot Discord - Raffle Draw
+ *
+ * Commit-reveal draw so anyone can check a raffle's winners:
+ * 1. When the raffle opens, a random seed is generated and only its
+ *    commitment, sha256(seed), is published.
+ * 2. At close, the entry list is fixed: entrant Discord IDs sorted as
+ *    strings, hashed as sha256(ids joined by "\n").
+ * 3. Winners are a partial Fisher-Yates shuffle of the sorted list. Step i
+ *    swaps position i with i + (r mod (n - i)), where r is
+ *    HMAC-SHA256(key = seed, message = `${entriesHash}:${i}`) read as a
+ *    256-bit integer. The first `count` positions win.
+ * 4. The seed is revealed with the results; sha256(seed) must match the
+ *    commitment, and re-running step 3 must give the same winners.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Fresh secret seed for a new raffle (hex)
+ */
+export function createSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Public commitment to a seed: sha256 of the hex string
+ */
+export function commitSeed(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+/**
+ * Canonical order and hash of a raffle's entrants
+ * @param {string[]} entrantIds - Discord user IDs
+ * @returns {{ sorted: string[], entriesHash: string }}
+ */
+export function hashEntries(entrantIds) {
+  const sorted = [...new Set(entrantIds)].sort();
+  const entriesHash = crypto.createHash('sha256').update(sorted.join('\n')).digest('hex');
+  return { sorted, entriesHash };
+}
+
+/**
+ * Draw winners from the entrants. Deterministic for a given seed and entry
+ * list, and uniform over entrants (modulo bias below 2^-200).
+ * @param {string} seed - Revealed seed
+ * @param {string[]} entrantIds - Discord user IDs, in any order
+ * @param {number} count - Number of winners
+ * @returns {{ winners: string[], entriesHash: string }}
+ */
+export function drawWinners(seed, entrantIds, count) {
+  const { sorted, entriesHash } = hashEntries(entrantIds);
+  const pool = [...sorted];
+  const picks = Math.min(count, pool.length);
+
+  for (let i = 0; i < picks; i++) {
+    const digest = crypto.createHmac('sha256', seed).update(`${entriesHash}:${i}`).digest('hex');
+    const j = i + Number(BigInt(`0x${digest}`) % BigInt(pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+
+  return { winners: pool.slice(0, picks), entriesHash };
+}
@@ -0,0 +1,118 @@
+/**
+ * MoniBot Discord - Payment Receipts
+ *
+ * DMs recipients when they get paid, if their MoniPay profile is linked to a
+ * Discord account. Receipts for the same person that arrive close together
+ * (a multi-send, a burst of tips) are batched into one DM. Users can turn
+ * receipts off with `!monibot receipts off` (user_settings.payment_dms).
+ */
+
+import { EmbedBuilder } from 'discord.js';
+import { getUserSettings } from './database.js';
+import { getChain, getExplorerUrl } from './chains.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('receipts');
+
+// Wait this long after the latest receipt for more, but never longer than the max
+const RECEIPT_BATCH_WINDOW_MS = 5000;
+const RECEIPT_BATCH_MAX_WAIT_MS = 20000;
+
+// recipient Discord ID → { receipts, timer, firstAt }
+const batches = new Map();
+
+let discordClient = null;
+
+/**
+ * Give the module the Discord client it sends DMs with
+ * @param {import('discord.js').Client} client
+ */
+export function initReceipts(client) {
+  discordClient = client;
+}
+
+/**
+ * Queue a receipt DM for a payment that went through. No-op when the
+ * recipient's profile isn't linked to Discord.
+ * @param {object} recipientProfile - profiles row of who got paid
+ * @param {object} receipt
+ * @param {string} receipt.senderTag - Payer's MoniTag
+ * @param {number} receipt.amount
+ * @param {string} receipt.chain
+ * @param {string} receipt.txHash
+ * @param {string} [receipt.memo]
+ * @param {string} [receipt.guildName] - Server the payment was made in
+ */
+export function queueReceipt(recipientProfile, receipt) {
+  const discordId = recipientProfile?.discord_id;
+  if (!discordId || !discordClient) return;
+
+  let batch = batches.get(discordId);
+  if (!batch) {
+    batch = { receipts: [], timer: null, firstAt: Date.now() };
+    batches.set(discordId, batch);
+  }
+  batch.receipts.push(receipt);
+
+  clearTimeout(batch.timer);
+  const delay = Math.min(RECEIPT_BATCH_WINDOW_MS, batch.firstAt + RECEIPT_BATCH_MAX_WAIT_MS - Date.now());
+  batch.timer = setTimeout(() => flushReceipts(discordId), Math.max(delay, 0));
+}
+
+function formatAmount(receipt) {
+  const config = getChain(receipt.chain);
+  return `$${Number(receipt.amount).toFixed(2)} ${config?.symbol || ''}`.trim();
+}
+
+function buildReceiptEmbed(receipts) {
+  const footer = { text: 'Turn these off with !monibot receipts off' };
+
+  if (receipts.length === 1) {
+    const [receipt] = receipts;
+    const embed = new EmbedBuilder()
+      .setTitle('💸 You got paid!')
+      .setDescription(`**@${receipt.senderTag}** sent you **${formatAmount(receipt)}**${receipt.guildName ? ` in **${receipt.guildName}**` : ''}.`)
+      .addFields(
+        { name: 'Amount', value: formatAmount(receipt), inline: true },
+        { name: 'From', value: `@${receipt.senderTag}`, inline: true },
+        { name: 'Chain', value: receipt.chain.toUpperCase(), inline: true },
+      )
+      .setColor(0x00FF00)
+      .setFooter(footer);
+    if (receipt.memo) embed.addFields({ name: 'Memo', value: receipt.memo.substring(0, 1024), inline: false });
+    embed.addFields({ name: 'TX', value: `[View on Explorer](${getExplorerUrl(receipt.chain, receipt.txHash)})`, inline: false });
+    return embed;
+  }
+
+  const total = receipts.reduce((sum, r) => sum + Number(r.amount), 0);
+  const lines = receipts.map(r =>
+    `• **${formatAmount(r)}** from **@${r.senderTag}** on ${r.chain.toUpperCase()}` +
+    `${r.memo ? ` — *${r.memo.substring(0, 100)}*` : ''} — [TX](${getExplorerUrl(r.chain, r.txHash)})`
+  );
+  let list = lines.join('\n');
+  if (list.length > 3800) list = `${list.substring(0, 3800)}\n…`;
+
+  return new EmbedBuilder()
+    .setTitle(`💸 You got paid ${receipts.length} times!`)
+    .setDescription(`${list}\n\n**Total:** $${total.toFixed(2)}`)
+    .setColor(0x00FF00)
+    .setFooter(footer);
+}
+
+async function flushReceipts(discordId) {
+  const batch = batches.get(discordId);
+  batches.delete(discordId);
+  if (!batch?.receipts.length) return;
+
+  try {
+    const settings = await getUserSettings(discordId);
+    if (settings?.payment_dms === false) return;
+
+    const user = await discordClient.users.fetch(discordId);
+    await user.send({ embeds: [buildReceiptEmbed(batch.receipts)] });
+    log.info(`📨 [Receipts] DM'd ${batch.receipts.length} receipt(s)`, { recipientId: discordId });
+  } catch (err) {
+    // DMs closed or user gone; the payment itself already went through
+    log.warn(`⚠️ [Receipts] Could not DM ${discordId}: ${err.message}`);
+  }
+}
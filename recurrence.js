@@ -0,0 +1,302 @@
+/**
+ * MoniBot Discord - Recurring Payments
+ *
+ * Parses recurrence phrases and computes run times for repeating
+ * scheduled_jobs:
+ * - every day / daily / every 3 days
+ * - every friday / every other friday / weekly on monday / every 2 weeks
+ * - monthly on the 1st / every month / every 3 months on the 15th
+ * Optional: "at 9am" (default 9:00), "until 2026-12-31" or "until dec 31",
+ * "for 10 weeks" (a duration, stored as an end date) / "10 times" (a count).
+ *
+ * Wall-clock times are in SCHEDULE_TIMEZONE (IANA name, default UTC).
+ * The stored rule is plain JSON so it can live in the job payload.
+ */
+
+export const SCHEDULE_TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'UTC';
+
+const DEFAULT_HOUR = 9;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY = String.raw`(sun|mon|tue|tues|wed|thu|thur|thurs|fri|sat)(?:day|nesday|rsday|urday)?s?`;
+
+// Where the recurrence phrase starts: "send $20 to @alice| every friday at 9am"
+const RECURRENCE_START = /\s+(?=(?:every|daily|weekly|monthly)\b)/i;
+
+const AT_TIME = /\s*\bat\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b/i;
+const UNTIL = /\s*\buntil\s+(.+)$/i;
+// "10 times" / "for 10 payments"
+const COUNT = /\s*\b(?:for\s+)?(\d+)\s*(?:times|payments|occurrences)\b/i;
+// "for 10 weeks" (but not "every 2 weeks")
+const DURATION = /\s*\bfor\s+(\d+)\s*(day|week|month)s?\b/i;
+
+const DAILY = /^(?:daily|every\s+day|every\s+(\d+)\s+days?)$/i;
+const WEEKLY = new RegExp(String.raw`^(?:weekly|every\s+week|every\s+(\d+)\s+weeks?|every\s+(other)?\s*(?=${WEEKDAY}$))(?:\s*(?:on\s+)?${WEEKDAY})?$`, 'i');
+const MONTHLY = /^(?:monthly|every\s+month|every\s+(\d+)\s+months?)(?:\s+on\s+(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)?)?$/i;
+
+// ============ Time Zone Helpers ============
+
+/**
+ * Calendar parts of a UTC instant in a time zone
+ */
+function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }).formatToParts(date).map(p => [p.type, p.value])
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month) - 1,
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+  };
+}
+
+function zoneOffsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * UTC instant for a wall-clock time in a time zone. Out-of-range days
+ * (e.g. day 32) roll over like Date.UTC.
+ */
+function zonedTimeToDate(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month, day, hour, minute);
+  const offset = zoneOffsetMs(new Date(guess), timeZone);
+  const adjusted = guess - offset;
+  // Re-check across DST changes
+  const secondOffset = zoneOffsetMs(new Date(adjusted), timeZone);
+  return new Date(secondOffset === offset ? adjusted : guess - secondOffset);
+}
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * The same wall-clock time `n` days, weeks or months after `now`. Months
+ * clamp to the last day (Jan 31 + 1 month = Feb 28).
+ */
+function addDuration(now, n, unit, timeZone) {
+  const p = zonedParts(now, timeZone);
+  if (unit === 'month') {
+    const month = p.month + n;
+    const year = p.year + Math.floor(month / 12);
+    return zonedTimeToDate(year, month % 12, Math.min(p.day, daysInMonth(year, month % 12)), p.hour, p.minute, timeZone);
+  }
+  return zonedTimeToDate(p.year, p.month, p.day + n * (unit === 'week' ? 7 : 1), p.hour, p.minute, timeZone);
+}
+
+const weekdayIndex = (name) => WEEKDAYS.findIndex(day => day.startsWith(name.toLowerCase().slice(0, 3)));
+
+// ============ Parsing ============
+
+function parseUntil(raw, timeZone, now) {
+  const text = raw.trim().replace(/(\d)(st|nd|rd|th)\b/i, '$1');
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) return zonedTimeToDate(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]), 23, 59, timeZone);
+
+  // Date() guesses at almost anything ("someday 2026" is Jan 1), so insist on a day number
+  if (!/\b\d{1,2}\b/.test(text)) return null;
+
+  const hasYear = /\b\d{4}\b/.test(text);
+  const parsed = new Date(hasYear ? text : `${text} ${zonedParts(now, timeZone).year}`);
+  if (Number.isNaN(parsed.getTime())) return null;
+
+  // Inclusive: the whole named day counts
+  let until = zonedTimeToDate(parsed.getFullYear(), parsed.getMonth(), parsed.getDate(), 23, 59, timeZone);
+  if (!hasYear && until < now) {
+    until = zonedTimeToDate(parsed.getFullYear() + 1, parsed.getMonth(), parsed.getDate(), 23, 59, timeZone);
+  }
+  return until;
+}
+
+/**
+ * Split a command into the payment part and a recurrence rule.
+ * Returns null when the text has no recurrence phrase, and { commandText, error }
+ * when it has one that can't be understood.
+ *
+ * @param {string} text - Command text without the !monibot prefix
+ * @param {{ now?: Date, timeZone?: string }} [opts]
+ * @returns {{ commandText: string, rule?: object, error?: string } | null}
+ */
+export function parseRecurrence(text, { now = new Date(), timeZone = SCHEDULE_TIMEZONE } = {}) {
+  const start = text.search(RECURRENCE_START);
+  if (start === -1) return null;
+
+  const commandText = text.slice(0, start).trim();
+  let spec = text.slice(start).trim();
+  const current = zonedParts(now, timeZone);
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    weekday: null,
+    monthDay: null,
+    hour: DEFAULT_HOUR,
+    minute: 0,
+    timeZone,
+    until: null,
+    count: null,
+  };
+
+  const untilMatch = spec.match(UNTIL);
+  if (untilMatch) {
+    const until = parseUntil(untilMatch[1], timeZone, now);
+    if (!until) return { commandText, error: `I couldn't read the end date "${untilMatch[1]}". Try \`until 2026-12-31\`.` };
+    rule.until = until.toISOString();
+    spec = spec.replace(UNTIL, '');
+  }
+
+  const durationMatch = spec.match(DURATION);
+  if (durationMatch) {
+    const amount = parseInt(durationMatch[1], 10);
+    if (amount < 1) return { commandText, error: 'The duration must be at least 1.' };
+    const end = addDuration(now, amount, durationMatch[2].toLowerCase(), timeZone);
+    // With both "until" and "for", whichever comes first ends the series
+    if (!rule.until || end < new Date(rule.until)) rule.until = end.toISOString();
+    spec = spec.replace(DURATION, '');
+  }
+
+  const countMatch = spec.match(COUNT);
+  if (countMatch) {
+    rule.count = parseInt(countMatch[1], 10);
+    spec = spec.replace(COUNT, '');
+  }
+
+  const atMatch = spec.match(AT_TIME);
+  if (atMatch) {
+    let hour = parseInt(atMatch[1], 10);
+    const meridiem = atMatch[3]?.toLowerCase();
+    if (meridiem === 'pm' && hour < 12) hour += 12;
+    if (meridiem === 'am' && hour === 12) hour = 0;
+    rule.hour = hour;
+    rule.minute = atMatch[2] ? parseInt(atMatch[2], 10) : 0;
+    if (rule.hour > 23 || rule.minute > 59) return { commandText, error: 'That time of day doesn\'t look right. Try `at 9am` or `at 17:30`.' };
+    spec = spec.replace(AT_TIME, '');
+  }
+
+  spec = spec.trim();
+  let match;
+  if ((match = spec.match(DAILY))) {
+    rule.freq = 'daily';
+    rule.interval = match[1] ? parseInt(match[1], 10) : 1;
+  } else if ((match = spec.match(WEEKLY))) {
+    rule.freq = 'weekly';
+    rule.interval = match[1] ? parseInt(match[1], 10) : match[2] ? 2 : 1;
+    const day = match[3] || match[4];
+    rule.weekday = day ? weekdayIndex(day) : new Date(Date.UTC(current.year, current.month, current.day)).getUTCDay();
+  } else if ((match = spec.match(MONTHLY))) {
+    rule.freq = 'monthly';
+    rule.interval = match[1] ? parseInt(match[1], 10) : 1;
+    rule.monthDay = match[2] ? parseInt(match[2], 10) : current.day;
+    if (rule.monthDay < 1 || rule.monthDay > 31) return { commandText, error: 'The day of the month must be between 1 and 31.' };
+  } else {
+    return {
+      commandText,
+      error: 'I couldn\'t understand that repeat schedule. Try `every friday at 9am`, `daily at 18:00` or `monthly on the 1st`.',
+    };
+  }
+
+  if (rule.interval < 1) return { commandText, error: 'The repeat interval must be at least 1.' };
+  if (rule.count !== null && rule.count < 1) return { commandText, error: 'The number of payments must be at least 1.' };
+  return { commandText, rule };
+}
+
+// ============ Run Times ============
+
+/**
+ * First run time strictly after `after` that matches the rule, ignoring
+ * the until/count limits. The interval only spaces runs after the first:
+ * from a previous run the series steps on by the interval, but a new series
+ * starts on the very next matching day.
+ * @param {object} rule - From parseRecurrence()
+ * @param {Date} after
+ * @param {boolean} fromPreviousRun - `after` is the previous run's time
+ * @returns {Date}
+ */
+function nextMatchingTime(rule, after, fromPreviousRun) {
+  const tz = rule.timeZone || 'UTC';
+  const p = zonedParts(after, tz);
+  const at = (year, month, day) => zonedTimeToDate(year, month, day, rule.hour, rule.minute, tz);
+  const step = fromPreviousRun ? rule.interval : 1;
+
+  if (rule.freq === 'daily') {
+    let candidate = at(p.year, p.month, p.day);
+    while (candidate <= after) candidate = new Date(candidate.getTime() + step * DAY_MS);
+    // Re-anchor to wall-clock time in case a DST change moved it
+    const c = zonedParts(candidate, tz);
+    return at(c.year, c.month, c.day);
+  }
+
+  if (rule.freq === 'weekly') {
+    const today = new Date(Date.UTC(p.year, p.month, p.day)).getUTCDay();
+    let dayOffset = (rule.weekday - today + 7) % 7;
+    let candidate = at(p.year, p.month, p.day + dayOffset);
+    if (candidate <= after) {
+      dayOffset += 7 * step;
+      candidate = at(p.year, p.month, p.day + dayOffset);
+    }
+    return candidate;
+  }
+
+  // Monthly: clamp to the last day for short months (e.g. the 31st in April)
+  let { year, month } = p;
+  for (;;) {
+    const candidate = at(year, month, Math.min(rule.monthDay, daysInMonth(year, month)));
+    if (candidate > after) return candidate;
+    month += step;
+    year += Math.floor(month / 12);
+    month %= 12;
+  }
+}
+
+/**
+ * Next run after `after`, or null if the series has finished.
+ * @param {object} rule
+ * @param {Date} after - The previous run's scheduled time, or now for the first run
+ * @param {number} completedRuns - Runs already scheduled in the series (0 for the first run)
+ * @returns {Date|null}
+ */
+export function computeNextRun(rule, after, completedRuns = 0) {
+  if (rule.count !== null && completedRuns >= rule.count) return null;
+  const next = nextMatchingTime(rule, after, completedRuns > 0);
+  if (rule.until && next > new Date(rule.until)) return null;
+  return next;
+}
+
+/**
+ * Human-readable rule, e.g. "Every Friday at 09:00 (UTC)"
+ */
+export function describeRecurrence(rule) {
+  const time = `${String(rule.hour).padStart(2, '0')}:${String(rule.minute).padStart(2, '0')}`;
+  const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+  const ordinal = (n) => `${n}${['th', 'st', 'nd', 'rd'][(n % 100 > 10 && n % 100 < 14) || n % 10 > 3 ? 0 : n % 10]}`;
+
+  let when;
+  if (rule.freq === 'daily') {
+    when = rule.interval === 1 ? 'Every day' : `Every ${rule.interval} days`;
+  } else if (rule.freq === 'weekly') {
+    const day = capitalize(WEEKDAYS[rule.weekday]);
+    when = rule.interval === 1 ? `Every ${day}` : rule.interval === 2 ? `Every other ${day}` : `Every ${rule.interval} weeks on ${day}`;
+  } else {
+    when = `${rule.interval === 1 ? 'Every month' : `Every ${rule.interval} months`} on the ${ordinal(rule.monthDay)}`;
+  }
+  return `${when} at ${time} (${rule.timeZone || 'UTC'})`;
+}
+
+/**
+ * Human-readable end condition
+ */
+export function describeRecurrenceEnd(rule) {
+  const ends = [];
+  if (rule.count !== null) ends.push(`after ${rule.count} payment${rule.count === 1 ? '' : 's'}`);
+  if (rule.until) ends.push(`on <t:${Math.floor(new Date(rule.until).getTime() / 1000)}:D>`);
+  return ends.length ? `Ends ${ends.join(' or ')}` : 'Repeats until cancelled';
+}
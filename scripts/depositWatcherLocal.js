@@ -0,0 +1,114 @@
+/**
+ * MoniBot Discord - Deposit Watcher check against a local node
+ *
+ * Runs the watcher's chain side (scanDeposits) against anvil or a Hardhat
+ * node, with no Discord or Supabase:
+ * 1. Deploys a mock token that emits Transfer(caller, to, value) for
+ *    transfer(to, value) calls.
+ * 2. Registers the node as chain "local" through CHAINS_CONFIG, plus
+ *    "localrouted" with the token as its router, so every transfer counts
+ *    as one MoniBot already sent a receipt for.
+ * 3. Sends a deposit, a deposit below DEPOSIT_MIN_AMOUNT and a transfer to an
+ *    unlinked wallet, then checks that only the first is reported.
+ *
+ *   anvil                        # or: npx hardhat node
+ *   npm run test:local-node
+ *
+ * LOCAL_RPC_URL=http://127.0.0.1:8545   Node to use
+ * LOCAL_PRIVATE_KEY=0x…                 Funded key (default: the first
+ *                                       anvil / Hardhat dev account)
+ */
+
+import { createPublicClient, createWalletClient, defineChain, encodeFunctionData, erc20Abi, http, parseUnits } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+
+const RPC_URL = process.env.LOCAL_RPC_URL || 'http://127.0.0.1:8545';
+// Well-known dev account #0 of the "test test … junk" mnemonic; never holds real funds
+const PRIVATE_KEY = process.env.LOCAL_PRIVATE_KEY || '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const DECIMALS = 6;
+
+// Runtime: LOG3(value, Transfer, caller, to) then return true. Init code copies it out.
+const TRANSFER_TOPIC = 'ddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const MOCK_RUNTIME = `602435600052600435337f${TRANSFER_TOPIC}60206000a3600160005260206000f3`;
+const MOCK_TOKEN_BYTECODE = `0x603a600c600039603a6000f3${MOCK_RUNTIME}`;
+
+const LINKED_WALLET = '0x1111111111111111111111111111111111111111';
+const UNLINKED_WALLET = '0x2222222222222222222222222222222222222222';
+
+let failures = 0;
+function check(label, ok) {
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+  if (!ok) failures++;
+}
+
+async function main() {
+  const bootstrap = createPublicClient({ transport: http(RPC_URL) });
+  const chainId = await bootstrap.getChainId();
+  const chain = defineChain({
+    id: chainId,
+    name: 'Local',
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: { default: { http: [RPC_URL] } },
+  });
+  const publicClient = createPublicClient({ chain, transport: http(RPC_URL) });
+  const walletClient = createWalletClient({ chain, account: privateKeyToAccount(PRIVATE_KEY), transport: http(RPC_URL) });
+  console.log(`🔌 Connected to chain ${chainId} at ${RPC_URL}`);
+
+  const deployHash = await walletClient.sendTransaction({ data: MOCK_TOKEN_BYTECODE });
+  const { contractAddress: token } = await publicClient.waitForTransactionReceipt({ hash: deployHash });
+  console.log(`🪙 Mock token at ${token}`);
+
+  const transfer = async (to, amount) => {
+    const hash = await walletClient.sendTransaction({
+      to: token,
+      data: encodeFunctionData({ abi: erc20Abi, functionName: 'transfer', args: [to, parseUnits(amount, DECIMALS)] }),
+    });
+    return publicClient.waitForTransactionReceipt({ hash });
+  };
+  const deposit = await transfer(LINKED_WALLET, '5');
+  const dust = await transfer(LINKED_WALLET, '0.5');
+  await transfer(UNLINKED_WALLET, '7');
+
+  // The chain registry is read once at import, so configure it first
+  const chainEntry = {
+    displayName: 'Local',
+    chainId,
+    rpcs: [RPC_URL],
+    tokenAddress: token,
+    routerAddress: '0x000000000000000000000000000000000000dead',
+    decimals: DECIMALS,
+    symbol: 'USDC',
+    explorerTxUrl: 'http://localhost/tx/',
+  };
+  process.env.CHAINS_CONFIG = JSON.stringify({
+    local: chainEntry,
+    localrouted: { ...chainEntry, displayName: 'Local (routed)', routerAddress: token },
+  });
+  process.env.DEPOSIT_MIN_AMOUNT = '1';
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+  const { scanDeposits } = await import('../depositWatcher.js');
+  const { getLatestBlockNumber } = await import('../blockchain.js');
+
+  const head = await getLatestBlockNumber('local');
+  const wallets = new Map([[LINKED_WALLET, { id: 'profile-1', discord_id: '100000000000000001', pay_tag: 'local' }]]);
+  const found = await scanDeposits('local', deposit.blockNumber, head, wallets);
+
+  check('the deposit into the linked wallet is reported', found.some(d => d.txHash === deposit.transactionHash));
+  check('it carries amount, sender and owner', found[0]?.amount === 5 && found[0]?.from === walletClient.account.address.toLowerCase() && found[0]?.profile.id === 'profile-1');
+  check('the deposit below DEPOSIT_MIN_AMOUNT is not', !found.some(d => d.txHash === dust.transactionHash));
+  check('nothing else is reported', found.length === 1);
+
+  const routed = await scanDeposits('localrouted', deposit.blockNumber, head, wallets);
+  check('transfers sent through the router are skipped', routed.length === 0);
+
+  if (failures) {
+    console.log(`❌ ${failures} check(s) failed`);
+    process.exit(1);
+  }
+  console.log('✅ Deposit watcher works against the local node');
+}
+
+main().catch((err) => {
+  console.error(`❌ ${err.shortMessage || err.message}`);
+  process.exit(1);
+});
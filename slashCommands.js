@@ -0,0 +1,188 @@
+/**
+ * MoniBot Discord - Slash Commands
+ *
+ * Native application commands that mirror the !monibot text commands:
+ * - /send, /multisend, /giveaway, /balance, /link, /setup, /help
+ *
+ * Interactions are converted into the same command objects parseCommand()
+ * produces, and wrapped in a message-like context so the existing handlers
+ * in index.js can serve both paths unchanged.
+ */
+
+import { REST, Routes, SlashCommandBuilder, InteractionContextType, MessageFlags } from 'discord.js';
+import { normalizeRecipient } from './commands.js';
+import { CHAINS, DEFAULT_CHAIN } from './chains.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('slashCommands');
+
+// ============ Command Definitions ============
+
+// Discord allows at most 25 choices per option
+const CHAIN_CHOICES = Object.values(CHAINS)
+  .slice(0, 25)
+  .map(c => ({ name: `${c.displayName} (${c.symbol})`, value: c.name }));
+
+const addChainOption = (builder) => builder.addStringOption(o =>
+  o.setName('chain').setDescription('Network to pay on (default: the server\'s default chain)').addChoices(...CHAIN_CHOICES)
+);
+
+const SLASH_COMMANDS = [
+  addChainOption(
+    new SlashCommandBuilder()
+      .setName('send')
+      .setDescription('Send a payment to a MoniTag')
+      .addNumberOption(o => o.setName('amount').setDescription('Amount in USD').setRequired(true).setMinValue(0.01))
+      .addStringOption(o => o.setName('recipient').setDescription('Recipient MoniTag (@alice) or Discord mention').setRequired(true))
+  ),
+  addChainOption(
+    new SlashCommandBuilder()
+      .setName('multisend')
+      .setDescription('Send the same amount to several MoniTags')
+      .addNumberOption(o => o.setName('amount').setDescription('Amount in USD per recipient').setRequired(true).setMinValue(0.01))
+      .addStringOption(o => o.setName('recipients').setDescription('MoniTags or mentions separated by spaces or commas').setRequired(true))
+      .addBooleanOption(o => o.setName('all_or_nothing').setDescription('Send nothing unless every recipient is found'))
+  ),
+  addChainOption(
+    new SlashCommandBuilder()
+      .setName('giveaway')
+      .setDescription('Give an amount to the first N people who drop their MoniTag')
+      .addNumberOption(o => o.setName('amount').setDescription('Amount in USD per person').setRequired(true).setMinValue(0.01))
+      .addIntegerOption(o => o.setName('spots').setDescription('Number of people who can claim').setRequired(true).setMinValue(1).setMaxValue(100))
+  ),
+  addChainOption(
+    new SlashCommandBuilder()
+      .setName('balance')
+      .setDescription('Check your MoniPay balance (all chains unless one is picked)')
+  ),
+  new SlashCommandBuilder().setName('link').setDescription('Link your Discord to MoniPay'),
+  new SlashCommandBuilder().setName('setup').setDescription('First-time setup guide'),
+  new SlashCommandBuilder().setName('help').setDescription('Show all MoniBot commands'),
+].map(builder => builder.setContexts(InteractionContextType.Guild).toJSON());
+
+// Command types whose results are only shown to the caller
+const EPHEMERAL_TYPES = new Set(['balance', 'link', 'help', 'setup']);
+
+/**
+ * Register the global application commands for DISCORD_CLIENT_ID.
+ */
+export async function registerSlashCommands() {
+  const clientId = process.env.DISCORD_CLIENT_ID;
+  if (!clientId) {
+    log.warn('⚠️ [Slash] DISCORD_CLIENT_ID not set, skipping slash command registration');
+    return;
+  }
+
+  try {
+    const rest = new REST().setToken(process.env.DISCORD_BOT_TOKEN);
+    await rest.put(Routes.applicationCommands(clientId), { body: SLASH_COMMANDS });
+    log.info(`✅ [Slash] Registered ${SLASH_COMMANDS.length} application commands`);
+  } catch (err) {
+    log.error('❌ [Slash] Failed to register application commands:', err.message);
+  }
+}
+
+// ============ Interaction Parsing ============
+
+/**
+ * Convert a chat input interaction into a command object.
+ * Shape matches parseCommand() in commands.js.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {{ defaultChain?: string }} [opts] - Chain used when the chain option is omitted
+ * @returns {object|null}
+ */
+export function parseSlashCommand(interaction, { defaultChain = DEFAULT_CHAIN } = {}) {
+  const options = interaction.options;
+  const chain = options.getString('chain') || defaultChain;
+  const raw = interaction.toString();
+
+  switch (interaction.commandName) {
+    case 'send':
+      return {
+        type: 'p2p',
+        amount: options.getNumber('amount', true),
+        recipients: [normalizeRecipient(options.getString('recipient', true).trim())],
+        chain,
+        raw,
+      };
+    case 'multisend': {
+      const recipients = options.getString('recipients', true)
+        .split(/[\s,]+/)
+        .map(normalizeRecipient)
+        .filter(tag => /^(\w[\w-]*|<@\d+>)$/.test(tag) && tag !== 'and');
+      return {
+        type: 'p2p_multi',
+        amount: options.getNumber('amount', true),
+        recipients: [...new Set(recipients)],
+        chain,
+        allOrNothing: options.getBoolean('all_or_nothing') ?? false,
+        raw,
+      };
+    }
+    case 'giveaway':
+      return {
+        type: 'giveaway',
+        amount: options.getNumber('amount', true),
+        maxParticipants: options.getInteger('spots', true),
+        chain,
+        raw,
+      };
+    case 'balance':
+      // No chain means the all-chains portfolio view
+      return { type: 'balance', chain: options.getString('chain') || 'all', raw };
+    case 'link':
+    case 'setup':
+    case 'help':
+      return { type: interaction.commandName, raw };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether a command type's replies should be visible only to the caller.
+ */
+export function isEphemeralCommand(type) {
+  return EPHEMERAL_TYPES.has(type);
+}
+
+// ============ Message-like Context ============
+
+/**
+ * Wrap a deferred interaction so it can be passed to handlers written for
+ * messages. The first reply fills the deferred response; later replies become
+ * follow-ups. Returned messages edit through the interaction webhook, which
+ * also works for ephemeral responses.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - Must already be deferred
+ * @param {{ ephemeral?: boolean }} [opts]
+ */
+export function createInteractionContext(interaction, { ephemeral = false } = {}) {
+  let responded = false;
+
+  const toOptions = (payload) => (typeof payload === 'string' ? { content: payload } : payload);
+
+  const wrap = (msg, target) => Object.create(msg, {
+    edit: { value: (payload) => interaction.editReply({ ...toOptions(payload), message: target }) },
+  });
+
+  return {
+    id: interaction.id,
+    author: interaction.user,
+    member: interaction.member,
+    guild: interaction.guild,
+    channel: interaction.channel,
+    content: interaction.toString(),
+    interaction,
+    async reply(payload) {
+      const options = toOptions(payload);
+      if (!responded) {
+        responded = true;
+        const msg = await interaction.editReply(options);
+        return wrap(msg, '@original');
+      }
+      const msg = await interaction.followUp({ ...options, flags: ephemeral ? MessageFlags.Ephemeral : undefined });
+      return wrap(msg, msg.id);
+    },
+  };
+}
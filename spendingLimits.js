@@ -0,0 +1,165 @@
+/**
+ * MoniBot Discord - Spending Limits
+ *
+ * Caps checked before any transfer leaves a user's wallet:
+ * - Per-transaction: the largest single transfer
+ * - Daily: the total over a rolling 24 hours
+ * A user's own limits (`!monibot limits`) apply alongside the server's
+ * (`config set max`, `config set dailylimit`); the lower of each wins.
+ *
+ * Spending is persisted in discord_spend_log. A transfer reserves its amount
+ * (status 'pending') before it is sent, then settles to 'completed' or 'void'.
+ * Pending and completed rows count toward the daily total. The check and the
+ * insert of a reservation run one at a time per user, so concurrent commands
+ * from the same user (claims, tips, multi-sends) see each other's pending rows.
+ * This serialization is in-process: it assumes a single bot process.
+ */
+
+import { getUserSettings, insertSpend, updateSpend, getSpendTotalSince } from './database.js';
+import { getGuildConfig } from './guildConfig.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// discordId → tail of that user's chain of reservations
+const reservationQueues = new Map();
+
+const lower = (a, b) => (a === null ? b : b === null ? a : Math.min(a, b));
+const dollars = (n) => `$${Number(n).toFixed(2)}`;
+
+/**
+ * Effective limits for a user in a guild. Each is null when unlimited.
+ * `from` says whose limit is the binding one, for messages.
+ * @param {string} discordId
+ * @param {string} [guildId]
+ * @returns {Promise<{ daily: number|null, perTx: number|null, from: { daily: string, perTx: string }, user: object, guild: object }>}
+ */
+export async function getSpendingLimits(discordId, guildId) {
+  const [settings, guildConfig] = await Promise.all([
+    getUserSettings(discordId),
+    guildId ? getGuildConfig(guildId) : null,
+  ]);
+
+  const user = { daily: settings?.daily_limit ?? null, perTx: settings?.per_tx_limit ?? null };
+  const guild = { daily: guildConfig?.memberDailyLimit ?? null, perTx: guildConfig?.maxPayment ?? null };
+  const daily = lower(user.daily, guild.daily);
+  const perTx = lower(user.perTx, guild.perTx);
+
+  return {
+    daily,
+    perTx,
+    from: {
+      daily: daily !== null && daily === user.daily ? 'your' : "this server's",
+      perTx: perTx !== null && perTx === user.perTx ? 'your' : "this server's",
+    },
+    user,
+    guild,
+  };
+}
+
+/**
+ * Amount spent in the last 24 hours (pending + completed), or null if it
+ * could not be read
+ * @param {string} discordId
+ * @param {string} [guildId] - Only count spending in this guild
+ */
+export async function getSpentToday(discordId, guildId = null) {
+  return getSpendTotalSince(discordId, new Date(Date.now() - DAY_MS).toISOString(), guildId);
+}
+
+/**
+ * Check a payment against the user's limits without reserving anything.
+ * @param {string} discordId
+ * @param {string} guildId
+ * @param {number} perTransfer - Amount of each transfer
+ * @param {number} [transfers] - Number of transfers
+ * @returns {Promise<string|null>} A message with the remaining headroom, or null if allowed
+ */
+export async function checkSpending(discordId, guildId, perTransfer, transfers = 1) {
+  const limits = await getSpendingLimits(discordId, guildId);
+
+  if (limits.perTx !== null && perTransfer > limits.perTx) {
+    return `🚫 **${dollars(perTransfer)}** is over ${limits.from.perTx} per-transaction limit of **${dollars(limits.perTx)}**.`;
+  }
+  if (limits.daily === null) return null;
+
+  // The server's daily cap only counts spending in that server
+  const [spentEverywhere, spentHere] = await Promise.all([
+    limits.user.daily !== null ? getSpentToday(discordId) : 0,
+    limits.guild.daily !== null ? getSpentToday(discordId, guildId) : 0,
+  ]);
+  if (spentEverywhere === null || spentHere === null) {
+    return '❌ Could not check your daily spending limit right now. Please try again.';
+  }
+
+  const total = perTransfer * transfers;
+  const checks = [
+    { limit: limits.user.daily, spent: spentEverywhere, whose: 'your' },
+    { limit: limits.guild.daily, spent: spentHere, whose: "this server's" },
+  ];
+  for (const { limit, spent, whose } of checks) {
+    if (limit !== null && spent + total > limit + 1e-9) {
+      const left = Math.max(limit - spent, 0);
+      return `🚫 **${dollars(total)}** would go over ${whose} daily limit of **${dollars(limit)}**. ` +
+        `You've spent **${dollars(spent)}** in the last 24 hours, so **${dollars(left)}** is left.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Run `fn` after every earlier call for the same user has finished
+ * @param {string} discordId
+ * @param {() => Promise<any>} fn
+ */
+export function withSpendingLock(discordId, fn) {
+  const previous = reservationQueues.get(discordId) || Promise.resolve();
+  const run = previous.then(fn);
+  const tail = run.catch(() => {});
+  reservationQueues.set(discordId, tail);
+  tail.then(() => {
+    if (reservationQueues.get(discordId) === tail) reservationQueues.delete(discordId);
+  });
+  return run;
+}
+
+/**
+ * Check limits and reserve the amount before sending. The check and the
+ * insert run under the user's spending lock, so two reservations can't both
+ * pass against the same headroom.
+ * @param {{ discordId: string, guildId: string, perTransfer: number, transfers?: number, source: string, reference?: string }} spend
+ * @returns {Promise<{ error: string } | { reservation: object|null }>}
+ *   reservation is null only when nothing could be recorded and no limit applies
+ */
+export function reserveSpending(spend) {
+  return withSpendingLock(spend.discordId, () => reserveUnlocked(spend));
+}
+
+async function reserveUnlocked({ discordId, guildId, perTransfer, transfers = 1, source, reference = null }) {
+  const error = await checkSpending(discordId, guildId, perTransfer, transfers);
+  if (error) return { error };
+
+  const reservation = await insertSpend({
+    discordId,
+    guildId,
+    amount: perTransfer * transfers,
+    source,
+    reference,
+  });
+  if (!reservation) {
+    const limits = await getSpendingLimits(discordId, guildId);
+    if (limits.daily !== null) return { error: '❌ Could not record this payment against your daily limit. Please try again.' };
+  }
+  return { reservation };
+}
+
+/**
+ * Settle a reservation with what was actually sent (0 voids it)
+ * @param {object|null} reservation - From reserveSpending()
+ * @param {number} spentAmount
+ */
+export async function settleSpending(reservation, spentAmount) {
+  if (!reservation) return;
+  await updateSpend(reservation.id, spentAmount > 0
+    ? { status: 'completed', amount: spentAmount, settled_at: new Date().toISOString() }
+    : { status: 'void', settled_at: new Date().toISOString() });
+}
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHAINS, DEFAULT_CHAIN, getChain, getExplorerUrl, findChainInText } from '../chains.js';
+
+test('chain lookups ignore case', () => {
+  assert.equal(getChain('TEMPO').name, 'tempo');
+  assert.equal(getChain('dogechain'), null);
+});
+
+test('keywords match whole words, never part of a MoniTag', () => {
+  assert.equal(findChainInText('send 5 USDT to @alice'), 'bsc');
+  assert.equal(findChainInText('tip @base-fan on tempo'), 'tempo');
+  assert.equal(findChainInText('basement'), null);
+});
+
+test('explorer links fall back to the default chain', () => {
+  assert.equal(getExplorerUrl('unknown', '0xab'), `${CHAINS[DEFAULT_CHAIN].explorerTxUrl}0xab`);
+});
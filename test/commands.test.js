@@ -0,0 +1,217 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCommand, normalizeRecipient, getMentionId, extractRecipients } from '../commands.js';
+import { DEFAULT_CHAIN } from '../chains.js';
+
+test('ignores messages that are not commands', () => {
+  assert.equal(parseCommand('hello'), null);
+});
+
+test('parses a single send', () => {
+  const command = parseCommand('!monibot send $5 to @alice');
+  assert.equal(command.type, 'p2p');
+  assert.equal(command.amount, 5);
+  assert.deepEqual(command.recipients, ['alice']);
+  assert.equal(command.chain, DEFAULT_CHAIN);
+});
+
+test('picks the chain from a keyword', () => {
+  assert.equal(parseCommand('!monibot send $5 to @alice on tempo').chain, 'tempo');
+  assert.equal(parseCommand('!monibot send $5 to @alice', { defaultChain: 'tempo' }).chain, 'tempo');
+});
+
+test('parses a multi-send', () => {
+  const command = parseCommand('!monibot send $1 each to @a, @b');
+  assert.equal(command.type, 'p2p_multi');
+  assert.equal(command.amount, 1);
+  assert.deepEqual(command.recipients, ['a', 'b']);
+  assert.equal(command.allOrNothing, false);
+});
+
+test('multi-send dedupes recipients and reads the all-or-nothing flag', () => {
+  const command = parseCommand('!monibot send $1 each to @a and @b, @a all-or-nothing');
+  assert.deepEqual(command.recipients, ['a', 'b']);
+  assert.equal(command.allOrNothing, true);
+  assert.equal(parseCommand('!monibot send $2 usdt each to @a @b strict').chain, 'bsc');
+});
+
+test('parses a split with its participants', () => {
+  const command = parseCommand('!monibot split $30 between @alice @bob @me');
+  assert.equal(command.type, 'split');
+  assert.equal(command.amount, 30);
+  assert.deepEqual(command.participants.map(p => p.recipient), ['alice', 'bob', 'me']);
+});
+
+test('split reads custom shares and keeps chain words in the memo out of the chain', () => {
+  const command = parseCommand('!monibot split $30 between @alice:12 @bob @me for tempo dinner');
+  assert.deepEqual(command.participants, [
+    { recipient: 'alice', share: 12 },
+    { recipient: 'bob', share: null },
+    { recipient: 'me', share: null },
+  ]);
+  assert.equal(command.memo, 'tempo dinner');
+  assert.equal(command.chain, DEFAULT_CHAIN);
+  assert.equal(parseCommand('!monibot split $30 with @monibot'), null);
+});
+
+test('parses balance', () => {
+  assert.deepEqual(parseCommand('!monibot balance'), { type: 'balance', chain: 'all', raw: 'balance' });
+});
+
+test('balance can be narrowed to one chain', () => {
+  assert.equal(parseCommand('!monibot balance tempo').chain, 'tempo');
+});
+
+// ============ Confirmation Threshold ============
+
+test('parses a personal or server confirmation threshold', () => {
+  assert.deepEqual(parseCommand('!monibot threshold $20'), { type: 'confirm_threshold', scope: 'user', amount: 20, raw: 'threshold $20' });
+  const server = parseCommand('!monibot confirm threshold server $100');
+  assert.equal(server.scope, 'guild');
+  assert.equal(server.amount, 100);
+});
+
+// ============ Payment Requests ============
+
+test('parses a payment request with a memo', () => {
+  const command = parseCommand('!monibot request $5 from @Bob for lunch');
+  assert.equal(command.type, 'request');
+  assert.equal(command.amount, 5);
+  assert.deepEqual(command.recipients, ['bob']);
+  assert.equal(command.memo, 'lunch');
+});
+
+test('a chain word in the request memo does not pick the chain', () => {
+  assert.equal(parseCommand('!monibot request $5 from @bob for tempo tickets').chain, DEFAULT_CHAIN);
+  assert.equal(parseCommand('!monibot request $5 from @bob on tempo').chain, 'tempo');
+});
+
+test('parses the request list', () => {
+  assert.deepEqual(parseCommand('!monibot requests'), { type: 'requests', raw: 'requests' });
+});
+
+// ============ Reaction Tips ============
+
+test('parses tip emoji settings', () => {
+  assert.deepEqual(parseCommand('!monibot tips ☕ $1'), { type: 'tip_config', action: 'set', emoji: '☕', amount: 1, raw: 'tips ☕ $1' });
+  assert.equal(parseCommand('!monibot tips remove ☕').action, 'remove');
+  assert.deepEqual(parseCommand('!monibot tips cap $20'), { type: 'tip_config', action: 'cap', amount: 20, raw: 'tips cap $20' });
+  assert.equal(parseCommand('!monibot tips').action, 'list');
+});
+
+// ============ Server Configuration ============
+
+test('parses config view, set, reset and toggles', () => {
+  assert.equal(parseCommand('!monibot config').action, 'view');
+  assert.deepEqual(parseCommand('!monibot config set Chain bsc'), { type: 'config', action: 'set', key: 'chain', value: 'bsc', raw: 'config set Chain bsc' });
+  assert.deepEqual(parseCommand('!monibot config reset max'), { type: 'config', action: 'reset', key: 'max', raw: 'config reset max' });
+  assert.deepEqual(parseCommand('!monibot config disable giveaway'), { type: 'config', action: 'disable', key: 'giveaway', raw: 'config disable giveaway' });
+});
+
+// ============ History ============
+
+test('parses history filters and export', () => {
+  assert.deepEqual(parseCommand('!monibot history'), { type: 'history', direction: null, chain: null, export: false, raw: 'history' });
+  const filtered = parseCommand('!monibot history sent tempo export');
+  assert.equal(filtered.direction, 'sent');
+  assert.equal(filtered.chain, 'tempo');
+  assert.equal(filtered.export, true);
+  assert.equal(parseCommand('!monibot history received').direction, 'received');
+});
+
+// ============ Mentions ============
+
+test('Discord mentions are recipients, normalized to <@id>', () => {
+  assert.deepEqual(parseCommand('!monibot send $5 to <@!123456>').recipients, ['<@123456>']);
+  assert.deepEqual(parseCommand('!monibot send $1 each to <@1>, @Bob and <@!2>').recipients, ['<@1>', 'bob', '<@2>']);
+});
+
+test('a leading @MoniBot mention is the prefix, not a recipient', () => {
+  const command = parseCommand('<@999> send $2 to <@888>');
+  assert.equal(command.type, 'p2p');
+  assert.deepEqual(command.recipients, ['<@888>']);
+});
+
+test('mention helpers', () => {
+  assert.equal(normalizeRecipient('@Alice'), 'alice');
+  assert.equal(getMentionId('<@42>'), '42');
+  assert.equal(getMentionId('alice'), null);
+  assert.deepEqual(extractRecipients('@monibot @alice <@!7> @here'), ['alice', '<@7>']);
+});
+
+// ============ Scheduled Payments ============
+
+test('parses scheduled list, cancel and reschedule', () => {
+  assert.deepEqual(parseCommand('!monibot scheduled'), { type: 'scheduled', action: 'list', raw: 'scheduled' });
+  assert.equal(parseCommand('!monibot cancel 9F1C2A3B').jobId, '9f1c2a3b');
+  const moved = parseCommand('!monibot reschedule 9f1c2a3b tomorrow at 3pm');
+  assert.equal(moved.action, 'reschedule');
+  assert.equal(moved.time, 'tomorrow at 3pm');
+});
+
+test('job IDs need at least six hex characters', () => {
+  assert.equal(parseCommand('!monibot cancel abc'), null);
+});
+
+// ============ Bounties ============
+
+test('parses a bounty post with its expiry', () => {
+  const command = parseCommand('!monibot bounty $50 for fixing the tempo docs expires in 7 days');
+  assert.equal(command.action, 'post');
+  assert.equal(command.amount, 50);
+  assert.equal(command.description, 'fixing the tempo docs');
+  assert.equal(command.durationMs, 7 * 86400000);
+  // "tempo" is part of the description, not a chain choice
+  assert.equal(command.chain, DEFAULT_CHAIN);
+  assert.equal(parseCommand('!monibot bounty $5 for a logo').durationMs, null);
+});
+
+test('parses bounty awards, cancel and the board', () => {
+  assert.deepEqual(parseCommand('!monibot award 1A2B3C4D to @alice:30 @bob').winners, [
+    { recipient: 'alice', share: 30 },
+    { recipient: 'bob', share: null },
+  ]);
+  assert.equal(parseCommand('!monibot bounty cancel 1a2b3c4d').action, 'cancel');
+  assert.equal(parseCommand('!monibot bounties').action, 'list');
+  assert.equal(parseCommand('!monibot bounty board').action, 'list');
+});
+
+// ============ Raffles ============
+
+test('parses a raffle with winners and duration', () => {
+  const command = parseCommand('!monibot raffle $10 to 3 winners in 1h');
+  assert.equal(command.type, 'raffle');
+  assert.equal(command.amount, 10);
+  assert.equal(command.winners, 3);
+  assert.equal(command.durationMs, 3600000);
+  assert.equal(parseCommand('!monibot raffle $5 each for 2 people in 2 days').durationMs, 2 * 86400000);
+});
+
+test('a bare raffle has one winner and the default duration', () => {
+  const command = parseCommand('!monibot raffle $5 tempo');
+  assert.equal(command.winners, 1);
+  assert.equal(command.durationMs, null);
+  assert.equal(command.chain, 'tempo');
+});
+
+// ============ Spending Limits ============
+
+test('parses limits; unset means unchanged and none means removed', () => {
+  assert.deepEqual(parseCommand('!monibot limits'), { type: 'limits', action: 'view', raw: 'limits' });
+  const both = parseCommand('!monibot limits daily $50 per-tx $20');
+  assert.equal(both.daily, 50);
+  assert.equal(both.perTx, 20);
+  const dailyOnly = parseCommand('!monibot limits daily none');
+  assert.equal(dailyOnly.daily, null);
+  assert.equal(dailyOnly.perTx, undefined);
+  assert.equal(parseCommand('!monibot limit per transaction 5').perTx, 5);
+  assert.deepEqual(parseCommand('!monibot limits off'), { type: 'limits', action: 'set', daily: null, perTx: null, raw: 'limits off' });
+});
+
+// ============ Receipts ============
+
+test('parses the receipt DM setting', () => {
+  assert.deepEqual(parseCommand('!monibot receipts'), { type: 'receipts', action: 'view', raw: 'receipts' });
+  assert.equal(parseCommand('!monibot receipts off').enabled, false);
+  assert.equal(parseCommand('!monibot receipt on').enabled, true);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG_KEYS, isCommandEnabled, getClaimIneligibility } from '../guildConfig.js';
+
+test('config values are validated before they are saved', () => {
+  assert.deepEqual(CONFIG_KEYS.prefix.parse('!Pay'), { value: '!pay' });
+  assert.ok(CONFIG_KEYS.prefix.parse('two words').error);
+  assert.deepEqual(CONFIG_KEYS.chain.parse('TEMPO'), { value: 'tempo' });
+  assert.ok(CONFIG_KEYS.chain.parse('dogechain').error);
+  assert.deepEqual(CONFIG_KEYS.max.parse('$50'), { value: 50 });
+  assert.ok(CONFIG_KEYS.ratelimit.parse('61').error);
+});
+
+test('"none" clears list and limit keys', () => {
+  assert.deepEqual(CONFIG_KEYS.channels.parse('<#123> <#456>'), { value: ['123', '456'] });
+  assert.deepEqual(CONFIG_KEYS.channels.parse('none'), { value: [] });
+  assert.deepEqual(CONFIG_KEYS.max.parse('none'), { value: null });
+});
+
+test('disabling a group disables every command type in it', () => {
+  const config = { disabledCommands: ['tips'] };
+  assert.equal(isCommandEnabled(config, 'tip_config'), false);
+  assert.equal(isCommandEnabled(config, 'reaction_tip'), false);
+  assert.equal(isCommandEnabled(config, 'p2p'), true);
+});
+
+// ============ Claim Age Limits ============
+
+const DAY = 24 * 60 * 60 * 1000;
+const member = (accountDays, joinedDays) => ({
+  user: { createdTimestamp: Date.now() - accountDays * DAY },
+  joinedTimestamp: joinedDays === null ? null : Date.now() - joinedDays * DAY,
+});
+
+test('claim age limits check account age and time in the server', () => {
+  const config = { claimMinAccountAgeDays: 30, claimMinJoinAgeDays: 7 };
+  assert.equal(getClaimIneligibility(member(31, 8), config), null);
+  assert.match(getClaimIneligibility(member(2, 8), config), /at least 30 days old/);
+  assert.match(getClaimIneligibility(member(31, 1), config), /at least 7 days/);
+  assert.match(getClaimIneligibility(member(31, null), config), /at least 7 days/);
+  assert.equal(getClaimIneligibility(member(0, 0), { claimMinAccountAgeDays: null, claimMinJoinAgeDays: null }), null);
+});
+
+test('age limits are set in days', () => {
+  assert.deepEqual(CONFIG_KEYS.accountage.parse('7d'), { value: 7 });
+  assert.deepEqual(CONFIG_KEYS.joinage.parse('none'), { value: null });
+  assert.ok(CONFIG_KEYS.joinage.parse('a week').error);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createSeed, commitSeed, hashEntries, drawWinners } from '../raffle.js';
+
+const SEED = 'a'.repeat(64);
+const ENTRANTS = ['300', '100', '500', '200', '400'];
+
+test('seeds are fresh 32-byte hex strings', () => {
+  const seed = createSeed();
+  assert.match(seed, /^[0-9a-f]{64}$/);
+  assert.notEqual(seed, createSeed());
+});
+
+test('the commitment is sha256 of the seed', () => {
+  assert.equal(commitSeed(SEED), crypto.createHash('sha256').update(SEED).digest('hex'));
+});
+
+test('entries are deduped and sorted before hashing', () => {
+  const { sorted, entriesHash } = hashEntries(['b', 'a', 'b']);
+  assert.deepEqual(sorted, ['a', 'b']);
+  assert.equal(entriesHash, crypto.createHash('sha256').update('a\nb').digest('hex'));
+  assert.equal(hashEntries(['a', 'b']).entriesHash, entriesHash);
+});
+
+test('the draw is deterministic and independent of entry order', () => {
+  const first = drawWinners(SEED, ENTRANTS, 2);
+  assert.deepEqual(drawWinners(SEED, [...ENTRANTS].reverse(), 2), first);
+  assert.equal(first.entriesHash, hashEntries(ENTRANTS).entriesHash);
+});
+
+test('winners are distinct entrants', () => {
+  const { winners } = drawWinners(SEED, ENTRANTS, 3);
+  assert.equal(winners.length, 3);
+  assert.equal(new Set(winners).size, 3);
+  for (const w of winners) assert.ok(ENTRANTS.includes(w));
+});
+
+test('asking for more winners than entrants picks everyone once', () => {
+  const { winners } = drawWinners(SEED, ENTRANTS, 10);
+  assert.deepEqual([...winners].sort(), [...ENTRANTS].sort());
+  assert.deepEqual(drawWinners(SEED, [], 3).winners, []);
+});
+
+test('matches the documented partial Fisher-Yates procedure', () => {
+  const { sorted, entriesHash } = hashEntries(ENTRANTS);
+  const pool = [...sorted];
+  for (let i = 0; i < 2; i++) {
+    const r = BigInt(`0x${crypto.createHmac('sha256', SEED).update(`${entriesHash}:${i}`).digest('hex')}`);
+    const j = i + Number(r % BigInt(pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  assert.deepEqual(drawWinners(SEED, ENTRANTS, 2).winners, pool.slice(0, 2));
+});
+
+test('a different seed gives a different draw', () => {
+  const entrants = Array.from({ length: 50 }, (_, i) => String(1000 + i));
+  assert.notDeepEqual(drawWinners(SEED, entrants, 5).winners, drawWinners('b'.repeat(64), entrants, 5).winners);
+});
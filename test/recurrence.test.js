@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRecurrence, computeNextRun, describeRecurrence, describeRecurrenceEnd } from '../recurrence.js';
+
+// Monday 19 Oct 2026, after the default 09:00 run time
+const NOW = new Date('2026-10-19T10:00:00Z');
+
+function parse(spec, { now = NOW, timeZone = 'UTC' } = {}) {
+  return parseRecurrence(`send $5 to @alice ${spec}`, { now, timeZone });
+}
+
+/** Every run of a series, as ISO dates, stopping at `limit` for open-ended ones */
+function runDates(rule, now = NOW, limit = 50) {
+  const dates = [];
+  let next = computeNextRun(rule, now, 0);
+  while (next && dates.length < limit) {
+    dates.push(next.toISOString());
+    next = computeNextRun(rule, next, dates.length);
+  }
+  return dates;
+}
+
+// ============ parseRecurrence ============
+
+test('text without a recurrence is not a series', () => {
+  assert.equal(parseRecurrence('send $5 to @alice', { now: NOW }), null);
+});
+
+test('splits the command from the schedule', () => {
+  const { commandText, rule } = parse('every friday at 5pm');
+  assert.equal(commandText, 'send $5 to @alice');
+  assert.equal(rule.freq, 'weekly');
+  assert.equal(rule.weekday, 5);
+  assert.equal(rule.interval, 1);
+  assert.equal(rule.hour, 17);
+  assert.equal(rule.minute, 0);
+});
+
+test('reads intervals for each frequency', () => {
+  assert.equal(parse('every 3 days').rule.interval, 3);
+  assert.equal(parse('every other monday').rule.interval, 2);
+  assert.equal(parse('every 2 weeks on tuesday').rule.weekday, 2);
+  const monthly = parse('every 3 months on the 15th').rule;
+  assert.equal(monthly.freq, 'monthly');
+  assert.equal(monthly.interval, 3);
+  assert.equal(monthly.monthDay, 15);
+});
+
+test('"N times" sets a count and no end date', () => {
+  const { rule } = parse('weekly 4 times');
+  assert.equal(rule.count, 4);
+  assert.equal(rule.until, null);
+  assert.equal(parse('weekly for 4 payments').rule.count, 4);
+});
+
+test('"for N weeks" ends the series N weeks from now', () => {
+  const { rule } = parse('every 2 weeks on monday for 10 weeks');
+  assert.equal(rule.count, null);
+  assert.equal(rule.until, '2026-12-28T10:00:00.000Z');
+  assert.equal(rule.interval, 2);
+});
+
+test('"for N months" clamps to the end of a shorter month', () => {
+  const { rule } = parse('daily for 1 month', { now: new Date('2027-01-31T12:00:00Z') });
+  assert.equal(rule.until, '2027-02-28T12:00:00.000Z');
+});
+
+test('an explicit end date and a duration end at whichever comes first', () => {
+  // "until" takes the rest of the text, so it comes last
+  assert.equal(parse('daily for 2 weeks until 2026-10-25').rule.until.slice(0, 10), '2026-10-25');
+  assert.equal(parse('daily for 2 weeks until 2027-06-01').rule.until, '2026-11-02T10:00:00.000Z');
+});
+
+test('rejects schedules it cannot read', () => {
+  assert.ok(parse('every blue moon').error);
+  assert.ok(parse('daily at 25:00').error);
+  assert.ok(parse('monthly on the 32nd').error);
+  assert.ok(parse('daily until someday').error);
+  assert.ok(parse('daily until next friday').error);
+  assert.equal(parse('daily until dec 31st').rule.until.slice(0, 10), '2026-12-31');
+  assert.equal(parse('daily until jan 5').rule.until.slice(0, 10), '2027-01-05');
+});
+
+// ============ computeNextRun ============
+
+test('"daily for 2 weeks" makes 14 payments', () => {
+  const dates = runDates(parse('daily for 2 weeks').rule);
+  assert.equal(dates.length, 14);
+  assert.equal(dates[0], '2026-10-20T09:00:00.000Z');
+  assert.equal(dates.at(-1), '2026-11-02T09:00:00.000Z');
+});
+
+test('"every other friday for 10 weeks" makes 5 payments', () => {
+  const dates = runDates(parse('every other friday for 10 weeks').rule);
+  assert.deepEqual(dates.map(d => d.slice(0, 10)), ['2026-10-23', '2026-11-06', '2026-11-20', '2026-12-04', '2026-12-18']);
+});
+
+test('a weekly series created after today\'s slot starts one week out, not one interval out', () => {
+  const dates = runDates(parse('every 2 weeks on monday 3 times').rule);
+  assert.deepEqual(dates.map(d => d.slice(0, 10)), ['2026-10-26', '2026-11-09', '2026-11-23']);
+});
+
+test('a series created before today\'s slot starts today', () => {
+  const dates = runDates(parse('every 2 weeks on monday 2 times').rule, new Date('2026-10-19T08:00:00Z'));
+  assert.deepEqual(dates.map(d => d.slice(0, 10)), ['2026-10-19', '2026-11-02']);
+});
+
+test('interval series start on the next matching day and then keep their spacing', () => {
+  assert.deepEqual(runDates(parse('every 3 days 3 times').rule).map(d => d.slice(0, 10)), ['2026-10-20', '2026-10-23', '2026-10-26']);
+  assert.deepEqual(runDates(parse('every 2 months on the 1st 3 times').rule).map(d => d.slice(0, 10)), ['2026-11-01', '2027-01-01', '2027-03-01']);
+});
+
+test('monthly runs on the 31st fall back to the last day of shorter months', () => {
+  const dates = runDates(parse('monthly on the 31st 4 times').rule);
+  assert.deepEqual(dates.map(d => d.slice(0, 10)), ['2026-10-31', '2026-11-30', '2026-12-31', '2027-01-31']);
+});
+
+test('stops after the count or the end date', () => {
+  const { rule } = parse('weekly 2 times');
+  assert.equal(computeNextRun(rule, NOW, 2), null);
+  assert.equal(runDates(parse('daily until 2026-10-22').rule).length, 3);
+});
+
+test('keeps the wall-clock time across a DST change', () => {
+  const now = new Date('2027-03-15T12:00:00Z');
+  const { rule } = parse('every sunday at 9am 2 times', { now, timeZone: 'Europe/London' });
+  // Clocks go forward early on 28 Mar 2027 (GMT to BST)
+  assert.deepEqual(runDates(rule, now), ['2027-03-21T09:00:00.000Z', '2027-03-28T08:00:00.000Z']);
+});
+
+// ============ Descriptions ============
+
+test('describes the schedule and its end', () => {
+  assert.equal(describeRecurrence(parse('every other friday at 17:30').rule), 'Every other Friday at 17:30 (UTC)');
+  assert.equal(describeRecurrence(parse('monthly on the 1st').rule), 'Every month on the 1st at 09:00 (UTC)');
+  assert.equal(describeRecurrenceEnd(parse('weekly 1 times').rule), 'Ends after 1 payment');
+  assert.equal(describeRecurrenceEnd(parse('weekly').rule), 'Repeats until cancelled');
+  assert.match(describeRecurrenceEnd(parse('daily for 2 weeks').rule), /^Ends on <t:\d+:D>$/);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { withSpendingLock } from '../spendingLimits.js';
+
+test('runs one user\'s reservations one at a time, in order', async () => {
+  const events = [];
+  const reserve = (name, ms) => withSpendingLock('alice', async () => {
+    events.push(`${name} start`);
+    await sleep(ms);
+    events.push(`${name} end`);
+  });
+  await Promise.all([reserve('first', 20), reserve('second', 0)]);
+  assert.deepEqual(events, ['first start', 'first end', 'second start', 'second end']);
+});
+
+test('a failed reservation does not block the next one', async () => {
+  await assert.rejects(withSpendingLock('bob', async () => { throw new Error('db down'); }), /db down/);
+  assert.equal(await withSpendingLock('bob', async () => 'ok'), 'ok');
+});
+
+test('different users do not wait on each other', async () => {
+  const events = [];
+  await Promise.all([
+    withSpendingLock('carol', async () => { await sleep(20); events.push('carol'); }),
+    withSpendingLock('dave', async () => { events.push('dave'); }),
+  ]);
+  assert.deepEqual(events, ['dave', 'carol']);
+});
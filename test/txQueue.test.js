@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { keccak256 } from 'viem';
+import { submitTransaction, reserveTransfer, getPendingUnits, getQueueDepth } from '../txQueue.js';
+
+/**
+ * In-memory executor clients. The "signed transaction" is just the nonce as
+ * hex; sendRawTransaction fails with `failures[i]` on the i-th broadcast.
+ */
+function fakeClients({ pendingNonce = 5, failures = [] } = {}) {
+  const sent = [];
+  let countReads = 0;
+  let broadcasts = 0;
+  return {
+    sent,
+    get countReads() { return countReads; },
+    publicClient: {
+      async getTransactionCount() {
+        countReads++;
+        return pendingNonce + sent.length;
+      },
+    },
+    walletClient: {
+      account: { address: '0x00000000000000000000000000000000000000e1' },
+      async prepareTransactionRequest(request) { return request; },
+      async signTransaction({ nonce }) { return `0x${nonce.toString(16).padStart(2, '0')}`; },
+      async sendRawTransaction({ serializedTransaction }) {
+        const failure = failures[broadcasts++];
+        if (failure) throw new Error(failure);
+        sent.push(Number(serializedTransaction));
+        return keccak256(serializedTransaction);
+      },
+    },
+  };
+}
+
+const TX = { to: '0x0000000000000000000000000000000000000001', data: '0x' };
+
+// ============ Executor Queue ============
+
+test('hands out consecutive nonces to concurrent submissions', async () => {
+  const clients = fakeClients();
+  const hashes = await Promise.all([
+    submitTransaction('test-order', clients, TX),
+    submitTransaction('test-order', clients, TX),
+    submitTransaction('test-order', clients, TX),
+  ]);
+  assert.deepEqual(clients.sent, [5, 6, 7]);
+  assert.equal(clients.countReads, 1);
+  assert.equal(hashes[0], keccak256('0x05'));
+  assert.equal(getQueueDepth('test-order'), 0);
+});
+
+test('resyncs from the chain and retries when a nonce is rejected', async () => {
+  const clients = fakeClients({ failures: ['nonce too low'] });
+  await submitTransaction('test-resync', clients, TX);
+  assert.deepEqual(clients.sent, [5]);
+  assert.equal(clients.countReads, 2);
+});
+
+test('other errors fail the submission without blocking the queue', async () => {
+  const clients = fakeClients({ failures: ['insufficient funds'] });
+  await assert.rejects(submitTransaction('test-error', clients, TX), /insufficient funds/);
+  await submitTransaction('test-error', clients, TX);
+  assert.deepEqual(clients.sent, [5]);
+});
+
+test('hands each signed hash to onSigned before broadcasting it', async () => {
+  const clients = fakeClients();
+  const seen = [];
+  const hash = await submitTransaction('test-signed', clients, TX, {
+    onSigned: async (signed) => { seen.push([signed, clients.sent.length]); },
+  });
+  assert.deepEqual(seen, [[hash, 0]]);
+});
+
+test('a throwing onSigned cancels the broadcast', async () => {
+  const clients = fakeClients();
+  const onSigned = async () => { throw new Error('ERROR_RECORD:could not store'); };
+  await assert.rejects(submitTransaction('test-unsigned', clients, TX, { onSigned }), /ERROR_RECORD/);
+  assert.deepEqual(clients.sent, []);
+
+  // The nonce was never used, so the next transaction gets it
+  await submitTransaction('test-unsigned', clients, TX);
+  assert.deepEqual(clients.sent, [5]);
+});
+
+// ============ Sender Reservations ============
+
+test('reserves router nonces in order and tracks pending amounts', () => {
+  const first = reserveTransfer('test-res', '0xABC', 3n, 100n);
+  const second = reserveTransfer('test-res', '0xabc', 3n, 50n);
+  assert.equal(first.nonce, 3n);
+  assert.equal(second.nonce, 4n);
+  assert.equal(getPendingUnits('test-res', '0xabc'), 150n);
+
+  first.release(true);
+  second.release(true);
+  assert.equal(getPendingUnits('test-res', '0xabc'), 0n);
+});
+
+test('giving up an unsent nonce fails later unsent transfers and reuses it', () => {
+  const first = reserveTransfer('test-gap', '0xabc', 0n, 1n);
+  const second = reserveTransfer('test-gap', '0xabc', 0n, 1n);
+
+  first.release(false);
+  assert.throws(() => second.beginBroadcast(), /ERROR_NONCE_GAP/);
+  second.release(false);
+
+  assert.equal(reserveTransfer('test-gap', '0xabc', 0n, 1n).nonce, 0n);
+});
@@ -0,0 +1,197 @@
+/**
+ * MoniBot Discord - Executor Transaction Queue
+ *
+ * Every transfer is signed by the single MONIBOT_PRIVATE_KEY executor, so
+ * concurrent commands must not let the RPC pick nonces. Per chain, this module:
+ * - Owns the executor's account nonce locally and hands them out in order
+ * - Serializes signing and broadcasting; receipts are awaited outside the
+ *   queue, so submissions pipeline instead of waiting on each other
+ * - Resyncs from the chain and retries when a nonce is rejected
+ * - Tracks in-flight transfers per sender so their MoniBotRouter nonces and
+ *   pending amounts are accounted for before the next transfer is built
+ * - When a reserved router nonce is given up unsent, fails the sender's later
+ *   transfers that aren't broadcast yet (they could only revert across the
+ *   gap) and hands the nonce out again
+ */
+
+import { keccak256 } from 'viem';
+import { createLogger } from './logger.js';
+
+const log = createLogger('txQueue');
+
+const MAX_NONCE_RETRIES = 3;
+
+// chainName → { tail, depth, nonce, address }
+const queues = {};
+
+// `${chainName}:${sender}` → { next, inflight, pendingUnits, slots: Map<nonce, { broadcast, stale }> }
+const senderReservations = new Map();
+
+function getQueue(chainName) {
+  if (!queues[chainName]) {
+    queues[chainName] = { tail: Promise.resolve(), depth: 0, nonce: null, address: null };
+  }
+  return queues[chainName];
+}
+
+const errorText = (err) => `${err.details || ''} ${err.shortMessage || ''} ${err.message || ''}`.toLowerCase();
+
+function isNonceError(err) {
+  if (err.walk?.(e => e.name === 'NonceTooLowError' || e.name === 'NonceTooHighError')) return true;
+  return /nonce too low|nonce too high|nonce has already been used|invalid nonce|replacement transaction underpriced/.test(errorText(err));
+}
+
+// The node already has this exact signed transaction, so it was broadcast
+function isAlreadyKnown(err) {
+  return /already known|already imported|known transaction/.test(errorText(err));
+}
+
+/**
+ * Sign and broadcast with the next local nonce, resyncing on nonce errors.
+ * Only ever runs inside the chain's queue.
+ */
+async function sendWithManagedNonce(chainName, queue, { publicClient, walletClient }, tx, onSigned) {
+  const account = walletClient.account;
+
+  // A different executor key means the cached nonce belongs to someone else
+  if (queue.address !== account.address) {
+    queue.address = account.address;
+    queue.nonce = null;
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    if (queue.nonce === null) {
+      queue.nonce = await publicClient.getTransactionCount({ address: account.address, blockTag: 'pending' });
+    }
+    const nonce = queue.nonce;
+
+    let serializedTransaction;
+    try {
+      const request = await walletClient.prepareTransactionRequest({ ...tx, account, nonce });
+      serializedTransaction = await walletClient.signTransaction(request);
+      await onSigned?.(keccak256(serializedTransaction));
+      const hash = await walletClient.sendRawTransaction({ serializedTransaction });
+      queue.nonce = nonce + 1;
+      return hash;
+    } catch (err) {
+      if (serializedTransaction && isAlreadyKnown(err)) {
+        queue.nonce = nonce + 1;
+        return keccak256(serializedTransaction);
+      }
+
+      // Whatever happened, the next send re-reads the pending nonce from the chain
+      queue.nonce = null;
+      if (!isNonceError(err) || attempt >= MAX_NONCE_RETRIES) throw err;
+      log.warn(`  🔁 [TxQueue] Nonce ${nonce} rejected on ${chainName}, resyncing (attempt ${attempt + 1}/${MAX_NONCE_RETRIES})`);
+    }
+  }
+}
+
+/**
+ * Queue a transaction from the executor account on a chain.
+ * Resolves with the tx hash once it is broadcast (not mined).
+ *
+ * @param {string} chainName
+ * @param {{ publicClient: object, walletClient: object }} clients
+ * @param {{ to: string, data: string, gas?: bigint }} tx
+ * @param {{ beforeSend?: () => void, onSigned?: (hash: string) => Promise<void> }} [options]
+ *   beforeSend runs in the queue right before signing. onSigned gets the hash
+ *   of each signed attempt before it is broadcast, so callers can store it
+ *   first. Throwing from either cancels the send.
+ * @returns {Promise<string>} Transaction hash
+ */
+export function submitTransaction(chainName, clients, tx, { beforeSend, onSigned } = {}) {
+  const queue = getQueue(chainName);
+  queue.depth++;
+
+  const run = queue.tail.then(() => {
+    beforeSend?.();
+    return sendWithManagedNonce(chainName, queue, clients, tx, onSigned);
+  });
+  queue.tail = run.catch(() => {}).finally(() => { queue.depth--; });
+  return run;
+}
+
+// ============ Sender Reservations ============
+
+/**
+ * Reserve the next MoniBotRouter nonce and the amount for a transfer from
+ * `sender`. Must be called synchronously after reading the on-chain nonce so
+ * two concurrent transfers never reserve the same one.
+ *
+ * @param {string} chainName
+ * @param {string} sender
+ * @param {bigint} onchainNonce - getNonce(sender) from the router
+ * @param {bigint} units - Transfer amount in token units
+ * @returns {{ nonce: bigint, beginBroadcast: () => void, release: (sent: boolean) => void }}
+ *   Call beginBroadcast() from the executor queue right before sending; it
+ *   throws ERROR_NONCE_GAP if an earlier nonce was given up in the meantime.
+ *   Call release(true) once the transfer is mined or reverted, release(false)
+ *   if it was never broadcast.
+ */
+export function reserveTransfer(chainName, sender, onchainNonce, units) {
+  const key = `${chainName}:${sender.toLowerCase()}`;
+  const entry = senderReservations.get(key) || { next: 0n, inflight: 0, pendingUnits: 0n, slots: new Map() };
+  const nonce = entry.next > onchainNonce ? entry.next : onchainNonce;
+  const slot = { broadcast: false, stale: false };
+
+  entry.next = nonce + 1n;
+  entry.inflight++;
+  entry.pendingUnits += units;
+  entry.slots.set(nonce, slot);
+  senderReservations.set(key, entry);
+
+  let released = false;
+  return {
+    nonce,
+    beginBroadcast() {
+      if (slot.stale) {
+        throw new Error(`ERROR_NONCE_GAP:Router nonce ${nonce - 1n} or earlier was never used; not sending nonce ${nonce}`);
+      }
+      slot.broadcast = true;
+    },
+    release(sent) {
+      if (released) return;
+      released = true;
+      entry.inflight--;
+      entry.pendingUnits -= units;
+      if (entry.slots.get(nonce) === slot) entry.slots.delete(nonce);
+
+      // A stale reservation's nonce was already handed out again
+      if (!sent && !slot.stale) {
+        for (const [later, other] of entry.slots) {
+          if (later > nonce && !other.broadcast) other.stale = true;
+        }
+        if (entry.next > nonce) entry.next = nonce;
+      }
+      if (entry.inflight === 0) senderReservations.delete(key);
+    },
+  };
+}
+
+/**
+ * Token units from `sender` that are reserved by transfers not yet mined
+ */
+export function getPendingUnits(chainName, sender) {
+  return senderReservations.get(`${chainName}:${sender.toLowerCase()}`)?.pendingUnits || 0n;
+}
+
+// ============ Stats ============
+
+/**
+ * Queue depth (transactions waiting to be broadcast, including the one
+ * being sent) for one chain
+ */
+export function getQueueDepth(chainName) {
+  return queues[chainName]?.depth || 0;
+}
+
+/**
+ * Depth and local nonce for every chain that has sent something
+ * @returns {Record<string, { depth: number, nonce: number|null }>}
+ */
+export function getQueueStats() {
+  return Object.fromEntries(
+    Object.entries(queues).map(([chain, q]) => [chain, { depth: q.depth, nonce: q.nonce }])
+  );
+}